@@ -4,15 +4,25 @@
  * @requires express
  * @requires ./routes/authRoutes
  * @requires ./routes/userRoutes
+ * @requires ./routes/adminRoutes
+ * @requires ./routes/wellKnownRoutes
  * @requires cookie-parser
  * @requires dotenv/config
+ * @requires ./middlewares/errorHandler
+ * @requires ./jobs/tokenCleanupJob
+ * @requires ./config/env.config
  */
 
 import express from "express";
 import authRoutes from "./routes/authRoutes.js";
 import userRoutes from "./routes/userRoutes.js";
+import adminRoutes from "./routes/adminRoutes.js";
+import wellKnownRoutes from "./routes/wellKnownRoutes.js";
 import cookieParser from "cookie-parser";
 import "dotenv/config";
+import { errorHandler, notFound } from "./middlewares/errorHandler.js";
+import { startTokenCleanupJob } from "./jobs/tokenCleanupJob.js";
+import config from "./config/env.config.js";
 
 /**
  * Express application instance.
@@ -21,14 +31,15 @@ import "dotenv/config";
 const app = express();
 
 /**
- * Port number the server will listen on.
+ * Port number the server will listen on, from the PORT setting.
  * @constant {number}
  * @default 5000
  */
-const PORT = 5000;
+const PORT = config.port;
 
 /**
  * Middleware for parsing cookies from incoming requests.
+ * Reads the token and CSRF cookies when AUTH_COOKIES_ENABLED is on.
  * @see {@link https://www.npmjs.com/package/cookie-parser}
  */
 app.use(cookieParser());
@@ -53,6 +64,33 @@ app.use("/api/auth", authRoutes);
  */
 app.use("/api/users", userRoutes);
 
+/**
+ * Routes for administrative endpoints, such as the audit log.
+ * All routes in adminRoutes will be prefixed with '/api/admin'.
+ * @see {@link module:routes/adminRoutes}
+ */
+app.use("/api/admin", adminRoutes);
+
+/**
+ * Discovery routes, such as the JWKS other services verify tokens with.
+ * All routes in wellKnownRoutes will be prefixed with '/.well-known'.
+ * @see {@link module:routes/wellKnownRoutes}
+ */
+app.use("/.well-known", wellKnownRoutes);
+
+/**
+ * Fallback for requests that matched no route.
+ * @see {@link module:middlewares/errorHandler.notFound}
+ */
+app.use(notFound);
+
+/**
+ * Formats every error passed on by the routes and middlewares above in the
+ * standard response envelope. Must be registered last.
+ * @see {@link module:middlewares/errorHandler.errorHandler}
+ */
+app.use(errorHandler);
+
 /**
  * Starts the Express server on the specified PORT.
  * @listens PORT
@@ -61,6 +99,12 @@ app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
 });
 
+/**
+ * Starts the background job that purges expired and idle refresh tokens.
+ * @see {@link module:jobs/tokenCleanupJob}
+ */
+startTokenCleanupJob();
+
 /**
  * @exports app - The configured Express application
  */
@@ -0,0 +1,37 @@
+/**
+ * Audit log definitions: the events recorded and their outcomes.
+ * @module config/audit
+ */
+
+/**
+ * Actions recorded in the audit log.
+ * @readonly
+ * @enum {string}
+ */
+export const AUDIT_ACTIONS = Object.freeze({
+  USER_REGISTER: "user.register",
+  LOGIN: "auth.login",
+  LOGOUT: "auth.logout",
+  TOKEN_REFRESH: "auth.token_refresh",
+  PASSWORD_CHANGE: "auth.password_change",
+  PASSWORD_RESET: "auth.password_reset",
+  USER_UPDATE: "user.update",
+  USER_DELETE: "user.delete",
+  USER_RESTORE: "user.restore",
+  USER_PURGE: "user.purge",
+  USER_DISABLE: "user.disable",
+  USER_ENABLE: "user.enable",
+  USER_UNLOCK: "user.unlock",
+  ROLE_GRANT: "user.role_grant",
+  ROLE_REVOKE: "user.role_revoke",
+});
+
+/**
+ * Outcomes an audited action can have.
+ * @readonly
+ * @enum {string}
+ */
+export const AUDIT_OUTCOMES = Object.freeze({
+  SUCCESS: "success",
+  FAILURE: "failure",
+});
@@ -2,42 +2,30 @@
  * MySQL connection pool module using mysql2/promise.
  * @module db/pool
  * @requires mysql2/promise
- * @requires dotenv
- * @requires path
+ * @requires ./env.config
  */
 
 import mysql from "mysql2/promise";
-import dotenv from "dotenv";
-import path from "path";
-import { fileURLToPath } from 'url';
-
-// ES Modules alternative for __dirname
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-/**
- * Loads environment variables from the .env file located in the project root.
- */
-dotenv.config({ path: path.join(__dirname, "../../.env") });
+import config from "./env.config.js";
 
 /**
  * MySQL connection pool configuration.
  * @type {Object}
- * @property {string} host - MySQL host address from environment variables
- * @property {string} user - MySQL username from environment variables
- * @property {string} password - MySQL password from environment variables
- * @property {string} database - MySQL database name from environment variables
- * @property {string|number} port - MySQL port from environment variables
+ * @property {string} host - MySQL host address from the validated configuration
+ * @property {string} user - MySQL username from the validated configuration
+ * @property {string} password - MySQL password from the validated configuration
+ * @property {string} database - MySQL database name from the validated configuration
+ * @property {number} port - MySQL port from the validated configuration
  * @property {boolean} waitForConnections - Whether to queue connections when limit is reached
  * @property {number} connectionLimit - Maximum number of connections in pool
  * @property {number} queueLimit - Maximum number of connection requests to queue (0 = unlimited)
  */
 const pool = mysql.createPool({
-  host: process.env.MYSQL_HOST,
-  user: process.env.MYSQL_USER,
-  password: process.env.MYSQL_PASSWORD,
-  database: process.env.MYSQL_DATABASE,
-  port: process.env.MYSQL_PORT,
+  host: config.db.host,
+  user: config.db.user,
+  password: config.db.password,
+  database: config.db.database,
+  port: config.db.port,
   waitForConnections: true,
   connectionLimit: 10,
   queueLimit: 0,
@@ -0,0 +1,405 @@
+/**
+ * Typed, validated application configuration read from environment variables.
+ * @module config/env
+ * @requires dotenv
+ * @requires fs
+ * @requires path
+ * @requires url
+ *
+ * Every setting is checked when this module is first imported. If any value
+ * is missing or invalid, a report listing each problem is printed and the
+ * process exits, so a misconfigured server never starts accepting requests.
+ * Secret values are never echoed in the report.
+ */
+
+import dotenv from "dotenv";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// ES Modules alternative for __dirname
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Loads environment variables from the .env file located in the project root.
+ */
+dotenv.config({ path: path.join(__dirname, "../../.env") });
+
+/**
+ * Minimum length of the secrets (JWT_SECRET, REFRESH_TOKEN_PEPPER,
+ * MFA_ENCRYPTION_KEY). 32 characters gives at least 256 bits for HS256 when
+ * randomly generated.
+ * @constant {number}
+ */
+const MIN_SECRET_LENGTH = 32;
+
+/**
+ * Seconds per unit accepted in duration settings.
+ * @constant {Object<string, number>}
+ */
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+/**
+ * Validation problems found while reading the configuration.
+ * @type {Array<string>}
+ */
+const errors = [];
+
+/**
+ * Reads a string setting.
+ * @param {string} name - Environment variable name.
+ * @param {Object} [options] - Validation options.
+ * @param {boolean} [options.required=true] - Whether the variable must be set.
+ * @param {string} [options.defaultValue] - Value used when the variable is not set or empty.
+ * @param {number} [options.minLength] - Minimum length when set.
+ * @param {boolean} [options.secret=false] - Whether the value must be kept out of the report.
+ * @returns {string|undefined} The value, or undefined if unset and not required.
+ */
+const readString = (
+  name,
+  { required = true, defaultValue, minLength, secret = false } = {}
+) => {
+  // dotenv sets variables left empty in .env to "", which counts as unset
+  const raw = process.env[name];
+  const value = raw === undefined || raw === "" ? defaultValue : raw;
+
+  if (value === undefined || value === "") {
+    if (required) errors.push(`${name}: is required`);
+    return undefined;
+  }
+
+  if (minLength !== undefined && value.length < minLength) {
+    errors.push(
+      `${name}: must be at least ${minLength} characters (got ${
+        secret ? value.length : `"${value}"`
+      })`
+    );
+  }
+
+  return value;
+};
+
+/**
+ * Reads an integer setting.
+ * @param {string} name - Environment variable name.
+ * @param {Object} options - Validation options.
+ * @param {number} [options.defaultValue] - Value used when the variable is not set.
+ * @param {number} [options.min=1] - Smallest allowed value.
+ * @param {number} [options.max=Number.MAX_SAFE_INTEGER] - Largest allowed value.
+ * @returns {number|undefined} The parsed value, or undefined if invalid.
+ */
+const readInteger = (
+  name,
+  { defaultValue, min = 1, max = Number.MAX_SAFE_INTEGER } = {}
+) => {
+  const raw = process.env[name];
+
+  if (raw === undefined || raw === "") {
+    if (defaultValue === undefined) errors.push(`${name}: is required`);
+    return defaultValue;
+  }
+
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < min || value > max) {
+    errors.push(
+      `${name}: must be an integer between ${min} and ${max} (got "${raw}")`
+    );
+    return undefined;
+  }
+
+  return value;
+};
+
+/**
+ * Reads a boolean setting ("true" or "false").
+ * @param {string} name - Environment variable name.
+ * @param {boolean} defaultValue - Value used when the variable is not set.
+ * @returns {boolean|undefined} The value, or undefined if invalid.
+ */
+const readBoolean = (name, defaultValue) => {
+  const raw = process.env[name];
+
+  if (raw === undefined || raw === "") {
+    return defaultValue;
+  }
+
+  if (raw !== "true" && raw !== "false") {
+    errors.push(`${name}: must be true or false (got "${raw}")`);
+    return undefined;
+  }
+
+  return raw === "true";
+};
+
+/**
+ * Reads a setting restricted to a fixed set of values.
+ * @param {string} name - Environment variable name.
+ * @param {Array<string>} choices - Allowed values.
+ * @param {string} defaultValue - Value used when the variable is not set.
+ * @returns {string|undefined} The value, or undefined if invalid.
+ */
+const readChoice = (name, choices, defaultValue) => {
+  const value = process.env[name] || defaultValue;
+
+  if (!choices.includes(value)) {
+    errors.push(
+      `${name}: must be one of ${choices.join(", ")} (got "${value}")`
+    );
+    return undefined;
+  }
+
+  return value;
+};
+
+/**
+ * Reads a duration setting such as "15m" or "7d" and converts it to seconds.
+ * @param {string} name - Environment variable name.
+ * @param {string} defaultValue - Value used when the variable is not set.
+ * @returns {number|undefined} Duration in seconds, or undefined if invalid.
+ */
+const readDuration = (name, defaultValue) => {
+  const raw = process.env[name] || defaultValue;
+  const match = /^(\d+)([smhd])$/.exec(raw);
+
+  if (!match || Number(match[1]) === 0) {
+    errors.push(
+      `${name}: must be a positive duration like 30s, 15m, 12h or 7d (got "${raw}")`
+    );
+    return undefined;
+  }
+
+  return Number(match[1]) * DURATION_UNITS[match[2]];
+};
+
+const port = readInteger("PORT", { defaultValue: 5000, max: 65535 });
+
+const jwtActiveKid = readString("JWT_ACTIVE_KID", { required: false });
+const jwtKeysDir = readString("JWT_KEYS_DIR", {
+  required: false,
+  defaultValue: path.join(__dirname, "../../keys"),
+});
+
+// The shared secret is only mandatory when not signing with asymmetric keys
+const jwtSecret = readString("JWT_SECRET", {
+  required: !jwtActiveKid,
+  minLength: MIN_SECRET_LENGTH,
+  secret: true,
+});
+
+if (
+  jwtActiveKid &&
+  !fs.existsSync(path.join(jwtKeysDir, `${jwtActiveKid}.pem`))
+) {
+  errors.push(
+    `JWT_ACTIVE_KID: no key file "${jwtActiveKid}.pem" in ${jwtKeysDir}`
+  );
+}
+
+const accessTokenTtl = readDuration("JWT_ACCESS_TOKEN_TTL", "15m");
+const refreshTokenTtl = readDuration("JWT_REFRESH_TOKEN_TTL", "7d");
+
+if (accessTokenTtl && refreshTokenTtl && accessTokenTtl >= refreshTokenTtl) {
+  errors.push(
+    "JWT_ACCESS_TOKEN_TTL: must be shorter than JWT_REFRESH_TOKEN_TTL"
+  );
+}
+
+const passwordMinLength = readInteger("PASSWORD_MIN_LENGTH", {
+  defaultValue: 8,
+  max: 72,
+});
+// bcrypt ignores everything past 72 bytes
+const passwordMaxLength = readInteger("PASSWORD_MAX_LENGTH", {
+  defaultValue: 64,
+  max: 72,
+});
+
+if (
+  passwordMinLength &&
+  passwordMaxLength &&
+  passwordMinLength > passwordMaxLength
+) {
+  errors.push("PASSWORD_MIN_LENGTH: must not exceed PASSWORD_MAX_LENGTH");
+}
+
+const cookiesSecure = readBoolean("AUTH_COOKIES_SECURE", true);
+const cookiesSameSite = readChoice(
+  "AUTH_COOKIES_SAME_SITE",
+  ["strict", "lax", "none"],
+  "strict"
+);
+
+if (cookiesSameSite === "none" && cookiesSecure === false) {
+  errors.push(
+    'AUTH_COOKIES_SAME_SITE: "none" requires AUTH_COOKIES_SECURE=true'
+  );
+}
+
+/**
+ * Application configuration.
+ * @type {Object}
+ * @property {number} port - PORT: HTTP port the server listens on.
+ * @property {string} appBaseUrl - APP_BASE_URL: public URL of the API, used in emailed links.
+ * @property {Object} jwt - Token signing settings.
+ * @property {string|undefined} jwt.secret - JWT_SECRET: HS256 secret.
+ * @property {string|undefined} jwt.activeKid - JWT_ACTIVE_KID: kid of the asymmetric signing key.
+ * @property {string} jwt.keysDir - JWT_KEYS_DIR: directory holding `<kid>.pem` keys.
+ * @property {number} jwt.accessTokenTtl - JWT_ACCESS_TOKEN_TTL: access token lifetime in seconds.
+ * @property {number} jwt.refreshTokenTtl - JWT_REFRESH_TOKEN_TTL: refresh token lifetime in seconds.
+ * @property {string} refreshTokenPepper - REFRESH_TOKEN_PEPPER: key for hashing stored refresh tokens, email verification and password reset tokens and MFA recovery codes; changing it voids all of them.
+ * @property {Object} db - MySQL connection settings (MYSQL_HOST, MYSQL_PORT, MYSQL_USER, MYSQL_PASSWORD, MYSQL_DATABASE).
+ * @property {Object} tokenCleanup - Refresh token purge job settings.
+ * @property {number} tokenCleanup.intervalMinutes - TOKEN_CLEANUP_INTERVAL_MINUTES.
+ * @property {number} tokenCleanup.batchSize - TOKEN_CLEANUP_BATCH_SIZE.
+ * @property {number} tokenCleanup.idleDays - TOKEN_CLEANUP_IDLE_DAYS.
+ * @property {Object} tokenRevocation - Access token revocation settings.
+ * @property {number} tokenRevocation.cacheTtl - TOKEN_REVOCATION_CACHE_TTL: seconds a revocation lookup is cached in memory; revocations made on other instances take up to this long to apply.
+ * @property {Object} authentication - Access token authentication settings.
+ * @property {boolean} authentication.loadUser - AUTH_LOAD_USER: load the user on every authenticated request and reject deleted, disabled or locked accounts.
+ * @property {number} authentication.userCacheTtl - AUTH_USER_CACHE_TTL: seconds a loaded user is cached in memory.
+ * @property {Object} userDeletion - Account deletion settings.
+ * @property {number} userDeletion.purgeRetention - USER_PURGE_RETENTION: seconds a deleted user is kept, and can be restored, before it may be purged.
+ * @property {Object} loginProtection - Brute-force protection settings.
+ * @property {number} loginProtection.maxFailures - LOGIN_MAX_FAILURES: failures before an account is locked.
+ * @property {number} loginProtection.ipMaxFailures - LOGIN_IP_MAX_FAILURES: failures before an IP is blocked.
+ * @property {number} loginProtection.lockoutMinutes - LOGIN_LOCKOUT_MINUTES: lockout duration.
+ * @property {number} loginProtection.failureWindowMinutes - LOGIN_FAILURE_WINDOW_MINUTES: period failures are counted over.
+ * @property {number} loginProtection.baseDelaySeconds - LOGIN_BASE_DELAY_SECONDS: delay after the first failure, doubled after each further one.
+ * @property {Object} rateLimit - Request rate limiting settings.
+ * @property {string} rateLimit.store - RATE_LIMIT_STORE: "memory" for a single instance, "mysql" to share counters between replicas.
+ * @property {Object} mail - Outgoing email settings.
+ * @property {string} mail.transport - MAIL_TRANSPORT: "console" or "file".
+ * @property {string} mail.filePath - MAIL_FILE_PATH: file the "file" transport appends messages to.
+ * @property {string} mail.from - MAIL_FROM: sender address.
+ * @property {Object} emailVerification - Email verification settings.
+ * @property {boolean} emailVerification.required - EMAIL_VERIFICATION_REQUIRED: refuse logins to unverified accounts.
+ * @property {number} emailVerification.tokenTtl - EMAIL_VERIFICATION_TOKEN_TTL: verification link lifetime in seconds.
+ * @property {number} emailVerification.resendCooldownSeconds - EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS: minimum time between verification emails.
+ * @property {Object} passwordReset - Password reset settings.
+ * @property {number} passwordReset.tokenTtl - PASSWORD_RESET_TOKEN_TTL: reset link lifetime in seconds.
+ * @property {Object} passwordPolicy - Rules every new password must satisfy.
+ * @property {number} passwordPolicy.minLength - PASSWORD_MIN_LENGTH: minimum number of characters.
+ * @property {number} passwordPolicy.maxLength - PASSWORD_MAX_LENGTH: maximum number of characters (at most 72, bcrypt's limit).
+ * @property {boolean} passwordPolicy.requireLowercase - PASSWORD_REQUIRE_LOWERCASE: require a lowercase letter.
+ * @property {boolean} passwordPolicy.requireUppercase - PASSWORD_REQUIRE_UPPERCASE: require an uppercase letter.
+ * @property {boolean} passwordPolicy.requireDigit - PASSWORD_REQUIRE_DIGIT: require a digit.
+ * @property {boolean} passwordPolicy.requireSymbol - PASSWORD_REQUIRE_SYMBOL: require a character that is not a letter or digit.
+ * @property {boolean} passwordPolicy.blockCommon - PASSWORD_BLOCK_COMMON: reject passwords on the bundled common/breached password list.
+ * @property {Object} mfa - Two-factor authentication settings.
+ * @property {string} mfa.issuer - MFA_ISSUER: service name shown in authenticator apps.
+ * @property {string} mfa.encryptionKey - MFA_ENCRYPTION_KEY: key the stored TOTP secrets are encrypted with; changing it disables every user's authenticator app.
+ * @property {number} mfa.pendingTokenTtl - MFA_PENDING_TOKEN_TTL: seconds a user has to enter their code after the password step.
+ * @property {Object} cookies - Cookie token transport settings, for browser clients.
+ * @property {boolean} cookies.enabled - AUTH_COOKIES_ENABLED: deliver tokens in HttpOnly cookies instead of the response body.
+ * @property {boolean} cookies.secure - AUTH_COOKIES_SECURE: only send cookies over HTTPS (disable for local HTTP development).
+ * @property {string} cookies.sameSite - AUTH_COOKIES_SAME_SITE: "strict", "lax" or "none".
+ * @property {string|undefined} cookies.domain - AUTH_COOKIES_DOMAIN: cookie domain, defaults to the API host.
+ */
+const config = Object.freeze({
+  port: port,
+  appBaseUrl: readString("APP_BASE_URL", {
+    defaultValue: `http://localhost:${port}`,
+  }),
+  jwt: Object.freeze({
+    secret: jwtSecret,
+    activeKid: jwtActiveKid,
+    keysDir: jwtKeysDir,
+    accessTokenTtl: accessTokenTtl,
+    refreshTokenTtl: refreshTokenTtl,
+  }),
+  refreshTokenPepper: readString("REFRESH_TOKEN_PEPPER", {
+    minLength: MIN_SECRET_LENGTH,
+    secret: true,
+  }),
+  db: Object.freeze({
+    host: readString("MYSQL_HOST"),
+    port: readInteger("MYSQL_PORT", { defaultValue: 3306, max: 65535 }),
+    user: readString("MYSQL_USER"),
+    password: readString("MYSQL_PASSWORD", { required: false }) ?? "",
+    database: readString("MYSQL_DATABASE"),
+  }),
+  tokenCleanup: Object.freeze({
+    intervalMinutes: readInteger("TOKEN_CLEANUP_INTERVAL_MINUTES", {
+      defaultValue: 60,
+    }),
+    batchSize: readInteger("TOKEN_CLEANUP_BATCH_SIZE", { defaultValue: 1000 }),
+    idleDays: readInteger("TOKEN_CLEANUP_IDLE_DAYS", { defaultValue: 7 }),
+  }),
+  tokenRevocation: Object.freeze({
+    cacheTtl: readDuration("TOKEN_REVOCATION_CACHE_TTL", "30s"),
+  }),
+  authentication: Object.freeze({
+    loadUser: readBoolean("AUTH_LOAD_USER", true),
+    userCacheTtl: readDuration("AUTH_USER_CACHE_TTL", "30s"),
+  }),
+  userDeletion: Object.freeze({
+    purgeRetention: readDuration("USER_PURGE_RETENTION", "30d"),
+  }),
+  loginProtection: Object.freeze({
+    maxFailures: readInteger("LOGIN_MAX_FAILURES", { defaultValue: 5 }),
+    ipMaxFailures: readInteger("LOGIN_IP_MAX_FAILURES", { defaultValue: 100 }),
+    lockoutMinutes: readInteger("LOGIN_LOCKOUT_MINUTES", { defaultValue: 15 }),
+    failureWindowMinutes: readInteger("LOGIN_FAILURE_WINDOW_MINUTES", {
+      defaultValue: 15,
+    }),
+    baseDelaySeconds: readInteger("LOGIN_BASE_DELAY_SECONDS", {
+      defaultValue: 1,
+    }),
+  }),
+  rateLimit: Object.freeze({
+    store: readChoice("RATE_LIMIT_STORE", ["memory", "mysql"], "memory"),
+  }),
+  mail: Object.freeze({
+    transport: readChoice("MAIL_TRANSPORT", ["console", "file"], "console"),
+    filePath: readString("MAIL_FILE_PATH", {
+      defaultValue: path.join(__dirname, "../../mail-outbox.log"),
+    }),
+    from: readString("MAIL_FROM", { defaultValue: "no-reply@localhost" }),
+  }),
+  emailVerification: Object.freeze({
+    required: readBoolean("EMAIL_VERIFICATION_REQUIRED", false),
+    tokenTtl: readDuration("EMAIL_VERIFICATION_TOKEN_TTL", "24h"),
+    resendCooldownSeconds: readInteger(
+      "EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS",
+      { defaultValue: 60 }
+    ),
+  }),
+  passwordReset: Object.freeze({
+    tokenTtl: readDuration("PASSWORD_RESET_TOKEN_TTL", "30m"),
+  }),
+  passwordPolicy: Object.freeze({
+    minLength: passwordMinLength,
+    maxLength: passwordMaxLength,
+    requireLowercase: readBoolean("PASSWORD_REQUIRE_LOWERCASE", false),
+    requireUppercase: readBoolean("PASSWORD_REQUIRE_UPPERCASE", false),
+    requireDigit: readBoolean("PASSWORD_REQUIRE_DIGIT", false),
+    requireSymbol: readBoolean("PASSWORD_REQUIRE_SYMBOL", false),
+    blockCommon: readBoolean("PASSWORD_BLOCK_COMMON", true),
+  }),
+  mfa: Object.freeze({
+    issuer: readString("MFA_ISSUER", { defaultValue: "Auth API" }),
+    encryptionKey: readString("MFA_ENCRYPTION_KEY", {
+      minLength: MIN_SECRET_LENGTH,
+      secret: true,
+    }),
+    pendingTokenTtl: readDuration("MFA_PENDING_TOKEN_TTL", "5m"),
+  }),
+  cookies: Object.freeze({
+    enabled: readBoolean("AUTH_COOKIES_ENABLED", false),
+    secure: cookiesSecure,
+    sameSite: cookiesSameSite,
+    domain: readString("AUTH_COOKIES_DOMAIN", { required: false }),
+  }),
+});
+
+if (errors.length > 0) {
+  console.error(
+    `Invalid configuration (${errors.length} problem${
+      errors.length === 1 ? "" : "s"
+    }):\n${errors.map((error) => `  - ${error}`).join("\n")}`
+  );
+  process.exit(1);
+}
+
+export default config;
@@ -0,0 +1,21 @@
+/**
+ * Role definitions used for role-based access control.
+ * @module config/roles
+ */
+
+/**
+ * Roles that can be granted to a user.
+ * @readonly
+ * @enum {string}
+ */
+export const ROLES = Object.freeze({
+  USER: "user",
+  ADMIN: "admin",
+});
+
+/**
+ * Checks whether a value is a known role.
+ * @param {string} role - Role name to check.
+ * @returns {boolean} True if the role is defined in ROLES, false otherwise.
+ */
+export const isValidRole = (role) => Object.values(ROLES).includes(role);
@@ -0,0 +1,50 @@
+/**
+ * Permission scope definitions used to limit what an access token can do.
+ * @module config/scopes
+ * @requires ./roles.config
+ */
+
+import { ROLES } from "./roles.config.js";
+
+/**
+ * Scopes that can be carried by an access token.
+ * @readonly
+ * @enum {string}
+ */
+export const SCOPES = Object.freeze({
+  USERS_READ: "users:read",
+  USERS_WRITE: "users:write",
+  ROLES_WRITE: "roles:write",
+  AUDIT_READ: "audit:read",
+});
+
+/**
+ * Scopes each role is allowed to request.
+ * @constant {Object<string, Array<string>>}
+ */
+export const ROLE_SCOPES = Object.freeze({
+  [ROLES.USER]: [SCOPES.USERS_READ, SCOPES.USERS_WRITE],
+  [ROLES.ADMIN]: [
+    SCOPES.USERS_READ,
+    SCOPES.USERS_WRITE,
+    SCOPES.ROLES_WRITE,
+    SCOPES.AUDIT_READ,
+  ],
+});
+
+/**
+ * Collects every scope the given roles are allowed to request.
+ * @param {Array<string>} roles - Roles granted to a user.
+ * @returns {Array<string>} De-duplicated list of allowed scopes.
+ */
+export const scopesForRoles = (roles) => [
+  ...new Set(roles.flatMap((role) => ROLE_SCOPES[role] ?? [])),
+];
+
+/**
+ * Parses a space-delimited `scope` string (RFC 6749 section 3.3) into a list.
+ * @param {string} [scope] - Space-delimited scope string.
+ * @returns {Array<string>} List of scopes (empty if none).
+ */
+export const parseScope = (scope) =>
+  typeof scope === "string" ? scope.split(" ").filter(Boolean) : [];
@@ -0,0 +1,45 @@
+/**
+ * @file Admin controller for handling administrative endpoints, such as reading the audit log.
+ * @module controllers/adminController
+ */
+
+import AuditService from "../services/auditService.js";
+import PaginationUtil from "../util/pagination.util.js";
+
+/**
+ * @controller fetchAuditLog
+ * @description Get a page of audit log entries, newest first, filtered by action, outcome, user and date
+ * @route GET /api/admin/audit
+ * @access Private/Admin
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Listing options (see schemas/adminSchemas.listAuditSchema)
+ * @param {Object} res - Express response object
+ * @param {function} next - Express next middleware function
+ * @returns {Object} JSON response with the entries and pagination metadata or error
+ */
+export const fetchAuditLog = async (req, res, next) => {
+  try {
+    const { entries, next_cursor } = await AuditService.listEntries(req.query);
+
+    res.status(200).json({
+      message: "Successfully fetched audit log",
+      data: {
+        entries: entries,
+        pagination: {
+          limit: req.query.limit,
+          next_cursor: next_cursor,
+          links: {
+            self: PaginationUtil.linkWithQuery(req, {}),
+            next: next_cursor
+              ? PaginationUtil.linkWithQuery(req, { cursor: next_cursor })
+              : null,
+          },
+        },
+      },
+      error: null,
+    });
+  } catch (err) {
+    res.locals.failureMessage = "Fetching audit log failed";
+    next(err);
+  }
+};
@@ -1,10 +1,77 @@
 /**
- * @file Authentication controller for handling user registration, login, and logout.
+ * @file Authentication controller for handling user registration, email verification,
+ * login (including two-factor authentication), token refresh, logout, password reset,
+ * and session management.
  * @module controllers/authController
  */
 
 import User from "../models/User.js";
 import AuthService from "../services/authService.js";
+import WhitelistService from "../services/whitelistService.js";
+import EmailVerificationService from "../services/emailVerificationService.js";
+import PasswordResetService from "../services/passwordResetService.js";
+import MfaService from "../services/mfaService.js";
+import AuthCookieUtil, { COOKIE_NAMES } from "../util/authCookie.util.js";
+import config from "../config/env.config.js";
+
+/**
+ * Builds the response data for a newly issued token pair.
+ * With cookies enabled, both tokens are also set as HttpOnly cookies and the
+ * refresh token is left out of the body, which carries the CSRF token the
+ * client must echo in the X-CSRF-Token header instead.
+ * @param {Object} res - Express response object.
+ * @param {Object} tokens - Issued tokens.
+ * @param {string} tokens.accessToken - JWT access token.
+ * @param {string} tokens.refreshToken - JWT refresh token.
+ * @returns {Object} Response data.
+ */
+const tokenResponseData = (res, { accessToken, refreshToken }) => {
+  if (!config.cookies.enabled) {
+    return { accessToken: accessToken, refreshToken: refreshToken };
+  }
+
+  const csrfToken = AuthCookieUtil.setTokens(res, {
+    accessToken: accessToken,
+    refreshToken: refreshToken,
+  });
+  return { accessToken: accessToken, csrfToken: csrfToken };
+};
+
+/**
+ * Reads the refresh token from the request body or, with cookies enabled,
+ * from the refresh_token cookie.
+ * @param {Object} req - Express request object.
+ * @returns {string|undefined} Refresh token.
+ */
+const refreshTokenFrom = (req) =>
+  req.body?.refresh_token ??
+  (config.cookies.enabled
+    ? req.cookies?.[COOKIE_NAMES.REFRESH_TOKEN]
+    : undefined);
+
+/**
+ * Reads the access token from the Authorization header or, with cookies
+ * enabled, from the access_token cookie.
+ * @param {Object} req - Express request object.
+ * @returns {string|undefined} Access token.
+ */
+const accessTokenFrom = (req) =>
+  req.headers.authorization?.split(" ")[1] ??
+  (config.cookies.enabled
+    ? req.cookies?.[COOKIE_NAMES.ACCESS_TOKEN]
+    : undefined);
+
+/**
+ * Collects the client information stored with sessions and audit log entries.
+ * The user agent is cut to the 512 characters its columns hold, so an
+ * oversized header cannot make the insert fail.
+ * @param {Object} req - Express request object.
+ * @returns {{user_agent: string|undefined, ip_address: string}} Client information.
+ */
+const clientFrom = (req) => ({
+  user_agent: req.get("user-agent")?.slice(0, 512),
+  ip_address: req.ip,
+});
 
 /**
  * Registers a new user.
@@ -16,134 +83,366 @@ import AuthService from "../services/authService.js";
  * @param {string} req.body.email - User's email address.
  * @param {string} req.body.password - User's password.
  * @param {Object} res - Express response object.
+ * @param {function} next - Express next middleware function.
  * @returns {Promise<Object>} Response object with registration result.
  * @throws {Error} Possible errors:
  * - ALL_FIELDS_REQUIRED: If any required field is missing
  * - INVALID_EMAIL_FORMAT: If email format is invalid
  * - EMAIL_EXISTS: If email is already registered
- * - PASSWORD_TOO_SHORT: If password is less than 8 characters
+ * - WEAK_PASSWORD: If password violates the password policy; the violated
+ *   rules are returned in data.violations
  * - Server error for unexpected failures
  */
-export const register = async (req, res) => {
+export const register = async (req, res, next) => {
   try {
-    const user = await AuthService.registerUser(req.body);
+    const user = await AuthService.registerUser(req.body, clientFrom(req));
     res.status(201).json({
       message: "Successfully registered user.",
       data: user,
       error: null,
     });
   } catch (error) {
-    let statusCode = 400;
-    let errorDetails = "Invalid request";
-
-    switch (error.message) {
-      case "ALL_FIELDS_REQUIRED":
-        statusCode = 400;
-        errorDetails = "All fields (full_name, email, password) are required";
-        break;
-
-      case "INVALID_EMAIL_FORMAT":
-        statusCode = 400;
-        errorDetails = "Email must be a valid format (e.g., user@example.com)";
-        break;
-
-      case "EMAIL_EXISTS":
-        statusCode = 409;
-        errorDetails = "Email address is already registered";
-        break;
-
-      case "PASSWORD_TOO_SHORT":
-        statusCode = 400;
-        errorDetails = "Password must be at least 8 characters long";
-        break;
-
-      default:
-        statusCode = 500;
-        errorDetails = "An unexpected error occurred";
-        console.error("Unhandled error:", error);
-    }
+    res.locals.failureMessage = "User registration failed";
+    next(error);
+  }
+};
 
-    res.status(statusCode).json({
-      message: "User registration failed",
+/**
+ * Verifies a user's email address with the token from their verification link.
+ * @async
+ * @function verifyEmail
+ * @param {Object} req - Express request object.
+ * @param {Object} req.query - Query parameters (used when following the link).
+ * @param {string} [req.query.token] - Verification token.
+ * @param {Object} req.body - Request body (used by API clients).
+ * @param {string} [req.body.token] - Verification token.
+ * @param {Object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ * @returns {Promise<Object>} Response object with verification result.
+ * @throws {Error} Possible errors:
+ * - VERIFICATION_TOKEN_REQUIRED: If the token is missing
+ * - INVALID_VERIFICATION_TOKEN: If the token is unknown, already used or expired
+ * - Server error for unexpected failures
+ */
+export const verifyEmail = async (req, res, next) => {
+  try {
+    await EmailVerificationService.verifyEmail(
+      req.query.token ?? req.body?.token
+    );
+    res.status(200).json({
+      message: "Successfully verified email address.",
+      data: null,
+      error: null,
+    });
+  } catch (error) {
+    res.locals.failureMessage = "Email verification failed";
+    next(error);
+  }
+};
+
+/**
+ * Sends a new verification email.
+ * Responds identically whether or not the address is registered, unverified
+ * or was emailed recently, so it cannot be used to discover accounts.
+ * @async
+ * @function resendVerificationEmail
+ * @param {Object} req - Express request object.
+ * @param {Object} req.body - Request body.
+ * @param {string} req.body.email - Address to send the verification email to.
+ * @param {Object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ * @returns {Promise<Object>} Response object with a generic confirmation.
+ * @throws {Error} Possible errors:
+ * - EMAIL_REQUIRED: If the email is missing
+ * - Server error for unexpected failures
+ */
+export const resendVerificationEmail = async (req, res, next) => {
+  try {
+    await EmailVerificationService.resendVerification(req.body?.email);
+    res.status(200).json({
+      message:
+        "If the address belongs to an unverified account, a verification email has been sent.",
       data: null,
-      error: statusCode === 500 ? error.message : errorDetails,
+      error: null,
     });
+  } catch (error) {
+    res.locals.failureMessage = "Resending verification email failed";
+    next(error);
   }
 };
 
 /**
  * Authenticates a user and generates access/refresh tokens.
+ * For users with MFA enabled, responds with an MFA token instead, to be
+ * exchanged for the tokens through verifyMfa.
  * @async
  * @function login
  * @param {Object} req - Express request object.
  * @param {Object} req.body - Request body containing login credentials.
  * @param {string} req.body.email - User's email address.
  * @param {string} req.body.password - User's password.
+ * @param {string} [req.body.scope] - Space-delimited scopes to limit the tokens to.
  * @param {Object} res - Express response object.
- * @returns {Promise<Object>} Response object with authentication tokens.
+ * @param {function} next - Express next middleware function.
+ * @returns {Promise<Object>} Response object with authentication tokens or an MFA token.
  * @throws {Error} Possible errors:
  * - ALL_FIELDS_REQUIRED: If email or password is missing
  * - INVALID_CREDENTIALS: If credentials are invalid
+ * - INVALID_SCOPE: If a requested scope is not allowed for the user
+ * - EMAIL_NOT_VERIFIED: If the account's email address must be verified first
+ * - ACCOUNT_DISABLED: If the account has been disabled
+ * - ACCOUNT_LOCKED: If the account is locked after too many failed attempts
+ * - LOGIN_THROTTLED: If attempts are being made too quickly
+ * - Server error for unexpected failures
+ */
+export const login = async (req, res, next) => {
+  try {
+    const { accessToken, refreshToken, mfaToken } = await AuthService.loginUser(
+      req.body,
+      clientFrom(req)
+    );
+
+    if (mfaToken) {
+      return res.status(200).json({
+        message: "Multi-factor authentication required.",
+        data: {
+          mfaRequired: true,
+          mfaToken: mfaToken,
+        },
+        error: null,
+      });
+    }
+
+    res.status(200).json({
+      message: "Successfully logged in user.",
+      data: tokenResponseData(res, { accessToken, refreshToken }),
+      error: null,
+    });
+  } catch (error) {
+    res.locals.failureMessage = "User login failed";
+    next(error);
+  }
+};
+
+/**
+ * Completes a login for a user with MFA enabled, exchanging the MFA token
+ * and a code for access/refresh tokens.
+ * @async
+ * @function verifyMfa
+ * @param {Object} req - Express request object.
+ * @param {Object} req.body - Request body.
+ * @param {string} req.body.mfa_token - MFA token returned by login.
+ * @param {string} req.body.code - TOTP code from the authenticator app, or a recovery code.
+ * @param {Object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ * @returns {Promise<Object>} Response object with authentication tokens.
+ * @throws {Error} Possible errors:
+ * - MFA_FIELDS_REQUIRED: If the MFA token or code is missing
+ * - INVALID_MFA_TOKEN: If the MFA token is invalid or has expired
+ * - INVALID_MFA_CODE: If the code is wrong or was already used
+ * - ACCOUNT_DISABLED: If the account has been disabled
+ * - ACCOUNT_LOCKED: If the account is locked after too many failed attempts
+ * - LOGIN_THROTTLED: If attempts are being made too quickly
  * - Server error for unexpected failures
  */
-export const login = async (req, res) => {
+export const verifyMfa = async (req, res, next) => {
   try {
-    const { accessToken, refreshToken } = await AuthService.loginUser(req.body);
+    const { accessToken, refreshToken } = await AuthService.verifyMfa(
+      req.body ?? {},
+      clientFrom(req)
+    );
     res.status(200).json({
       message: "Successfully logged in user.",
-      data: {
-        accessToken: accessToken,
-        refreshToken: refreshToken,
-      },
+      data: tokenResponseData(res, { accessToken, refreshToken }),
       error: null,
     });
   } catch (error) {
-    let statusCode = 400;
-    let errorDetails = "Invalid request";
-
-    switch (error.message) {
-      case "ALL_FIELDS_REQUIRED":
-        statusCode = 400;
-        errorDetails = "All fields (email, password) are required";
-        break;
-
-      case "INVALID_CREDENTIALS":
-        statusCode = 401;
-        errorDetails = "Invalid email or password";
-        break;
-
-      default:
-        statusCode = 500;
-        errorDetails = "An unexpected error occurred";
-        console.error("Unhandled error:", error);
-    }
+    res.locals.failureMessage = "MFA verification failed";
+    next(error);
+  }
+};
+
+/**
+ * Starts MFA enrolment for the authenticated user by generating a TOTP secret.
+ * @async
+ * @function setupMfa
+ * @param {Object} req - Express request object.
+ * @param {Object} req.user - Authenticated user object.
+ * @param {number} req.user.id - User ID.
+ * @param {Object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ * @returns {Promise<Object>} Response object with the secret and otpauth URI.
+ * @throws {Error} Possible errors:
+ * - USER_NOT_FOUND: If the user no longer exists
+ * - MFA_ALREADY_ENABLED: If MFA is already on
+ * - Server error for unexpected failures
+ */
+export const setupMfa = async (req, res, next) => {
+  try {
+    const enrolment = await MfaService.setup(req.user.id);
+    res.status(200).json({
+      message:
+        "Scan the otpauth URI with an authenticator app, then confirm with a code.",
+      data: enrolment,
+      error: null,
+    });
+  } catch (error) {
+    res.locals.failureMessage = "MFA setup failed";
+    next(error);
+  }
+};
+
+/**
+ * Turns MFA on for the authenticated user once they confirm a code from
+ * their authenticator app, and returns their recovery codes.
+ * @async
+ * @function enableMfa
+ * @param {Object} req - Express request object.
+ * @param {Object} req.user - Authenticated user object.
+ * @param {number} req.user.id - User ID.
+ * @param {Object} req.body - Request body.
+ * @param {string} req.body.code - Current code from the authenticator app.
+ * @param {Object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ * @returns {Promise<Object>} Response object with the recovery codes.
+ * @throws {Error} Possible errors:
+ * - MFA_CODE_REQUIRED: If the code is missing
+ * - MFA_NOT_SET_UP: If enrolment has not been started
+ * - MFA_ALREADY_ENABLED: If MFA is already on
+ * - INVALID_MFA_CODE: If the code is wrong
+ * - Server error for unexpected failures
+ */
+export const enableMfa = async (req, res, next) => {
+  try {
+    const recoveryCodes = await MfaService.enable({
+      user_id: req.user.id,
+      code: req.body?.code,
+    });
+    res.status(200).json({
+      message:
+        "Multi-factor authentication enabled. Store the recovery codes somewhere safe; they will not be shown again.",
+      data: { recovery_codes: recoveryCodes },
+      error: null,
+    });
+  } catch (error) {
+    res.locals.failureMessage = "Enabling MFA failed";
+    next(error);
+  }
+};
 
-    res.status(statusCode).json({
-      message: "User login failed",
+/**
+ * Turns MFA off for the authenticated user after re-checking their password
+ * or a current code.
+ * @async
+ * @function disableMfa
+ * @param {Object} req - Express request object.
+ * @param {Object} req.user - Authenticated user object.
+ * @param {number} req.user.id - User ID.
+ * @param {Object} req.body - Request body.
+ * @param {string} [req.body.password] - Current password.
+ * @param {string} [req.body.code] - TOTP code or recovery code, if no password is given.
+ * @param {Object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ * @returns {Promise<Object>} Response object with disabling result.
+ * @throws {Error} Possible errors:
+ * - MFA_DISABLE_FIELDS_REQUIRED: If neither a password nor a code is given
+ * - USER_NOT_FOUND: If the user no longer exists
+ * - MFA_NOT_ENABLED: If MFA is not on
+ * - INVALID_CURRENT_PASSWORD: If the password is wrong
+ * - INVALID_MFA_CODE: If the code is wrong or was already used
+ * - ACCOUNT_LOCKED: If the account is locked after too many failed attempts
+ * - LOGIN_THROTTLED: If attempts are being made too quickly
+ * - Server error for unexpected failures
+ */
+export const disableMfa = async (req, res, next) => {
+  try {
+    await AuthService.disableMfa(
+      {
+        user_id: req.user.id,
+        password: req.body?.password,
+        code: req.body?.code,
+      },
+      clientFrom(req)
+    );
+    res.status(200).json({
+      message: "Multi-factor authentication disabled.",
       data: null,
-      error: statusCode === 500 ? error.message : errorDetails,
+      error: null,
     });
+  } catch (error) {
+    res.locals.failureMessage = "Disabling MFA failed";
+    next(error);
+  }
+};
+
+/**
+ * Exchanges a refresh token for a new access/refresh token pair.
+ * @async
+ * @function refresh
+ * @param {Object} req - Express request object.
+ * @param {Object} req.body - Request body containing the refresh token.
+ * @param {string} [req.body.refresh_token] - Refresh token to exchange (with cookies
+ * enabled, the refresh_token cookie is used if omitted).
+ * @param {Object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ * @returns {Promise<Object>} Response object with the new authentication tokens.
+ * @throws {Error} Possible errors:
+ * - REFRESH_TOKEN_REQUIRED: If the refresh token is missing
+ * - INVALID_REFRESH_TOKEN: If the token is invalid or has expired
+ * - REFRESH_TOKEN_REUSED: If the token was already rotated out
+ * - Server error for unexpected failures
+ */
+export const refresh = async (req, res, next) => {
+  try {
+    const { accessToken, refreshToken } = await AuthService.refreshTokens(
+      { refresh_token: refreshTokenFrom(req) },
+      clientFrom(req)
+    );
+    res.status(200).json({
+      message: "Successfully refreshed tokens.",
+      data: tokenResponseData(res, { accessToken, refreshToken }),
+      error: null,
+    });
+  } catch (error) {
+    res.locals.failureMessage = "Token refresh failed";
+    next(error);
   }
 };
 
 /**
  * Logs out a user and invalidates the refresh token.
+ * The access token sent in the Authorization header (or, with cookies
+ * enabled, the access_token cookie) is revoked as well, if there is one.
  * @async
  * @function logout
  * @param {Object} req - Express request object.
  * @param {Object} req.body - Request body containing logout information.
- * @param {string} req.body.user_id - ID of the user to logout.
- * @param {string} req.body.refresh_token - Refresh token to invalidate.
+ * @param {number} [req.body.user_id] - ID of the user to logout (taken from the token if omitted).
+ * @param {string} [req.body.refresh_token] - Refresh token to invalidate (with cookies
+ * enabled, the refresh_token cookie is used if omitted).
  * @param {Object} res - Express response object.
+ * @param {function} next - Express next middleware function.
  * @returns {Promise<Object>} Response object with logout confirmation.
  * @throws {Error} Possible errors:
  * - LOGOUT_FIELDS_REQUIRED: If required fields are missing
  * - REFRESH_TOKEN_DOES_EXIST_FOR_THIS_USER: If refresh token validation fails
  * - Server error for unexpected failures
  */
-export const logout = async (req, res) => {
+export const logout = async (req, res, next) => {
+  // The browser should forget the tokens even if they turn out to be invalid
+  if (config.cookies.enabled) {
+    AuthCookieUtil.clearTokens(res);
+  }
+
   try {
-    const { user_id, refresh_token } = await AuthService.logoutUser(req.body);
+    const { user_id, refresh_token } = await AuthService.logoutUser(
+      {
+        user_id: req.body?.user_id,
+        refresh_token: refreshTokenFrom(req),
+        access_token: accessTokenFrom(req),
+      },
+      clientFrom(req)
+    );
     res.status(200).json({
       message: "Successfully logged out user.",
       data: {
@@ -153,31 +452,169 @@ export const logout = async (req, res) => {
       error: null,
     });
   } catch (error) {
-    let statusCode = 400;
-    let errorDetails = "Invalid request";
-
-    switch (error.message) {
-      case "LOGOUT_FIELDS_REQUIRED":
-        statusCode = 400;
-        errorDetails = "Logout fields (user_id, refresh_token) are required";
-        break;
-
-      case "REFRESH_TOKEN_DOES_EXIST_FOR_THIS_USER":
-        statusCode = 401;
-        errorDetails =
-          "The refresh token does exist in the whitelist assigned to the user's ID.";
-        break;
-
-      default:
-        statusCode = 500;
-        errorDetails = "An unexpected error occurred";
-        console.error("Unhandled error:", error);
-    }
+    res.locals.failureMessage = "User logout failed";
+    next(error);
+  }
+};
+
+/**
+ * Emails a password reset token.
+ * Responds identically whether or not the address is registered, so it
+ * cannot be used to discover accounts.
+ * @async
+ * @function forgotPassword
+ * @param {Object} req - Express request object.
+ * @param {Object} req.body - Request body.
+ * @param {string} req.body.email - Address of the account to reset.
+ * @param {Object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ * @returns {Promise<Object>} Response object with a generic confirmation.
+ * @throws {Error} Possible errors:
+ * - EMAIL_REQUIRED: If the email is missing
+ * - Server error for unexpected failures
+ */
+export const forgotPassword = async (req, res, next) => {
+  try {
+    await PasswordResetService.requestPasswordReset(req.body?.email);
+    res.status(200).json({
+      message:
+        "If an account exists for the address, a password reset email has been sent.",
+      data: null,
+      error: null,
+    });
+  } catch (error) {
+    res.locals.failureMessage = "Requesting password reset failed";
+    next(error);
+  }
+};
 
-    res.status(statusCode).json({
-      message: "User logout failed",
+/**
+ * Sets a new password using a password reset token and signs out every session.
+ * @async
+ * @function resetPassword
+ * @param {Object} req - Express request object.
+ * @param {Object} req.body - Request body.
+ * @param {string} req.body.token - Token from the reset email.
+ * @param {string} req.body.password - New password.
+ * @param {Object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ * @returns {Promise<Object>} Response object with reset result.
+ * @throws {Error} Possible errors:
+ * - RESET_FIELDS_REQUIRED: If the token or password is missing
+ * - WEAK_PASSWORD: If password violates the password policy; the violated
+ *   rules are returned in data.violations
+ * - INVALID_RESET_TOKEN: If the token is unknown, already used or expired
+ * - Server error for unexpected failures
+ */
+export const resetPassword = async (req, res, next) => {
+  try {
+    await AuthService.resetPassword(req.body ?? {}, clientFrom(req));
+    res.status(200).json({
+      message: "Successfully reset password.",
       data: null,
-      error: statusCode === 500 ? error.message : errorDetails,
+      error: null,
     });
+  } catch (error) {
+    res.locals.failureMessage = "Password reset failed";
+    next(error);
+  }
+};
+
+/**
+ * Lists the authenticated user's active sessions.
+ * @async
+ * @function listSessions
+ * @param {Object} req - Express request object.
+ * @param {Object} req.user - Authenticated user object.
+ * @param {number} req.user.id - User ID.
+ * @param {string} [req.user.session_id] - Session ID of the access token.
+ * @param {Object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ * @returns {Promise<Object>} Response object with the user's sessions.
+ * @throws {Error} Server error for unexpected failures
+ */
+export const listSessions = async (req, res, next) => {
+  try {
+    const sessions = await WhitelistService.listSessions({
+      user_id: req.user.id,
+      current_session_id: req.user.session_id,
+    });
+    res.status(200).json({
+      message: "Successfully fetched sessions.",
+      data: sessions,
+      error: null,
+    });
+  } catch (error) {
+    res.locals.failureMessage = "Fetching sessions failed";
+    next(error);
+  }
+};
+
+/**
+ * Signs out one of the authenticated user's sessions.
+ * The session can no longer refresh, but access tokens it already holds
+ * keep working until they expire.
+ * @async
+ * @function revokeSession
+ * @param {Object} req - Express request object.
+ * @param {Object} req.params - Route parameters.
+ * @param {string} req.params.id - Session ID to revoke.
+ * @param {Object} req.user - Authenticated user object.
+ * @param {number} req.user.id - User ID.
+ * @param {Object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ * @returns {Promise<Object>} Response object with the revoked session ID.
+ * @throws {Error} Possible errors:
+ * - SESSION_NOT_FOUND: If the user has no session with the given ID
+ * - Server error for unexpected failures
+ */
+export const revokeSession = async (req, res, next) => {
+  try {
+    await WhitelistService.revokeSession({
+      user_id: req.user.id,
+      session_id: req.params.id,
+    });
+    res.status(200).json({
+      message: "Successfully signed out session.",
+      data: { id: req.params.id },
+      error: null,
+    });
+  } catch (error) {
+    res.locals.failureMessage = "Signing out session failed";
+    next(error);
+  }
+};
+
+/**
+ * Signs out every session of the authenticated user except the current one.
+ * The other sessions can no longer refresh, but access tokens they already
+ * hold keep working until they expire.
+ * @async
+ * @function revokeOtherSessions
+ * @param {Object} req - Express request object.
+ * @param {Object} req.user - Authenticated user object.
+ * @param {number} req.user.id - User ID.
+ * @param {string} req.user.session_id - Session ID of the access token, which is kept.
+ * @param {Object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ * @returns {Promise<Object>} Response object with the number of revoked sessions.
+ * @throws {Error} Possible errors:
+ * - CURRENT_SESSION_UNKNOWN: If the access token does not identify its session
+ * - Server error for unexpected failures
+ */
+export const revokeOtherSessions = async (req, res, next) => {
+  try {
+    const revokedCount = await WhitelistService.revokeOtherSessions({
+      user_id: req.user.id,
+      current_session_id: req.user.session_id,
+    });
+    res.status(200).json({
+      message: "Successfully signed out all other sessions.",
+      data: { revoked_sessions: revokedCount },
+      error: null,
+    });
+  } catch (error) {
+    res.locals.failureMessage = "Signing out other sessions failed";
+    next(error);
   }
 };
@@ -0,0 +1,26 @@
+/**
+ * @file Controller publishing the public keys used to verify issued JWTs.
+ * @module controllers/jwksController
+ */
+
+import TokenService from "../services/tokenService.js";
+
+/**
+ * Returns the JSON Web Key Set for the server's signing keys.
+ * The response is a bare JWK Set rather than the usual envelope, as expected
+ * by JWT libraries consuming `/.well-known/jwks.json`.
+ * @function getJwks
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ * @returns {Object} JWK Set response.
+ */
+export const getJwks = (req, res, next) => {
+  try {
+    res.set("Cache-Control", "public, max-age=300");
+    res.status(200).json(TokenService.getJwks());
+  } catch (error) {
+    res.locals.failureMessage = "Fetching signing keys failed";
+    next(error);
+  }
+};
@@ -1,4 +1,37 @@
 import User from "../models/User.js";
+import UserRole from "../models/UserRole.js";
+import LoginProtectionService from "../services/loginProtectionService.js";
+import AuthService from "../services/authService.js";
+import TokenRevocationService from "../services/tokenRevocationService.js";
+import AccountStatusService from "../services/accountStatusService.js";
+import UserListService from "../services/userListService.js";
+import AuditService from "../services/auditService.js";
+import EmailVerificationService from "../services/emailVerificationService.js";
+import PaginationUtil from "../util/pagination.util.js";
+import { ROLES } from "../config/roles.config.js";
+import { AUDIT_ACTIONS } from "../config/audit.config.js";
+import {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+} from "../errors/AppError.js";
+
+/**
+ * Records an administrative action on the user named by the route in the
+ * audit log, with the authenticated user as the actor.
+ * @param {Object} req - Express request object.
+ * @param {string} action - Audited action (see config/audit.config AUDIT_ACTIONS).
+ * @param {Object} [details] - Additional context.
+ * @returns {Promise<void>}
+ */
+const recordAudit = (req, action, details) =>
+  AuditService.record({
+    action: action,
+    actor_user_id: req.user.id,
+    target_user_id: req.params.id,
+    client: { user_agent: req.get("user-agent"), ip_address: req.ip },
+    details: details,
+  });
 
 /**
  * @controller usersDetails
@@ -9,48 +42,83 @@ import User from "../models/User.js";
  * @param {Object} req.user - Authenticated user object
  * @param {number} req.user.id - User ID
  * @param {Object} res - Express response object
+ * @param {function} next - Express next middleware function
  * @returns {Object} JSON response with user details or error
  */
-export const usersDetails = async (req, res) => {
+export const usersDetails = async (req, res, next) => {
   try {
     const userDetails = await User.fetchUserInformationByUserId(req.user.id);
+
+    if (!userDetails) {
+      throw new NotFoundError(
+        "USER_NOT_FOUND",
+        "The authenticated user no longer exists"
+      );
+    }
+
     res.status(200).json({
       message: "User details accessed successfully",
       data: userDetails,
       error: null,
     });
   } catch (err) {
-    res.status(500).json({
-      message: "Accessing user's details failed",
-      data: null,
-      error: err.message || "Internal server error",
-    });
+    res.locals.failureMessage = "Accessing user's details failed";
+    next(err);
   }
 };
 
 /**
  * @controller fetchUsers
- * @description Get all users (excluding sensitive information)
+ * @description Get a page of users (excluding sensitive information), filtered and sorted
  * @route GET /api/users
  * @access Private/Admin
  * @param {Object} req - Express request object
+ * @param {Object} req.query - Listing options (see schemas/userSchemas.listUsersSchema)
  * @param {Object} res - Express response object
- * @returns {Object} JSON response with users array or error
+ * @param {function} next - Express next middleware function
+ * @returns {Object} JSON response with the users and pagination metadata or error
  */
-export const fetchUsers = async (req, res) => {
+export const fetchUsers = async (req, res, next) => {
   try {
-    const users = await User.fetchAllUser();
+    const { users, total, next_cursor } = await UserListService.listUsers(
+      req.query
+    );
+    const page = req.query.page ?? null;
+
+    // Offset paging links by page number; cursor paging only moves forward
+    let nextLink = null;
+    let prevLink = null;
+    if (page) {
+      nextLink = next_cursor
+        ? PaginationUtil.linkWithQuery(req, { page: page + 1 })
+        : null;
+      prevLink =
+        page > 1 ? PaginationUtil.linkWithQuery(req, { page: page - 1 }) : null;
+    } else if (next_cursor) {
+      nextLink = PaginationUtil.linkWithQuery(req, { cursor: next_cursor });
+    }
+
     res.status(200).json({
-      message: "Successfully fetched all users",
-      data: users,
+      message: "Successfully fetched users",
+      data: {
+        users: users,
+        pagination: {
+          total: total,
+          limit: req.query.limit,
+          page: page,
+          next_cursor: next_cursor,
+          links: {
+            self: PaginationUtil.linkWithQuery(req, {}),
+            next: nextLink,
+            prev: prevLink,
+          },
+        },
+      },
       error: null,
     });
   } catch (err) {
-    res.status(500).json({
-      message: "Fetching all users failed",
-      data: [],
-      error: err.message || "Internal server error",
-    });
+    res.locals.failureMessage = "Fetching users failed";
+    next(err);
   }
 };
 
@@ -58,35 +126,26 @@ export const fetchUsers = async (req, res) => {
  * @controller fetchUserById
  * @description Get a specific user by ID
  * @route GET /api/users/:id
- * @access Private/Admin
+ * @access Private/Self or Admin
  * @param {Object} req - Express request object
  * @param {Object} req.params - Route parameters
- * @param {string} req.params.id - User ID to fetch
+ * @param {number} req.params.id - User ID to fetch
  * @param {Object} res - Express response object
+ * @param {function} next - Express next middleware function
  * @returns {Object} JSON response with user data or error
  */
-export const fetchUserById = async (req, res) => {
+export const fetchUserById = async (req, res, next) => {
   const user_id = req.params.id;
 
-  // Early return if ID is missing or invalid
-  if (!user_id || user_id.trim() === "") {
-    return res.status(400).json({
-      message: "Fetching user failed",
-      data: null,
-      error: "Missing or invalid user ID",
-    });
-  }
-
   try {
     const user = await User.fetchUserInformationByUserId(user_id);
 
     // Handle case where user is not found (404)
     if (!user) {
-      return res.status(404).json({
-        message: "User not found",
-        data: null,
-        error: "No user exists with the given ID",
-      });
+      throw new NotFoundError(
+        "USER_NOT_FOUND",
+        "No user exists with the given ID"
+      );
     }
 
     // Success response
@@ -96,71 +155,63 @@ export const fetchUserById = async (req, res) => {
       error: null,
     });
   } catch (err) {
-    return res.status(500).json({
-      message: "Fetching user failed",
-      data: null,
-      error: err.message || "Internal server error",
-    });
+    res.locals.failureMessage = "Fetching user failed";
+    next(err);
   }
 };
 
 /**
  * @controller updateUserById
- * @description Update a user's information
+ * @description Update a user's information. A changed email address must be
+ * verified again, so a verification link is sent to it.
  * @route PUT /api/users/:id
- * @access Private/Admin
+ * @access Private/Self or Admin
  * @param {Object} req - Express request object
  * @param {Object} req.params - Route parameters
- * @param {string} req.params.id - User ID to update
+ * @param {number} req.params.id - User ID to update
  * @param {Object} req.body - Request body
  * @param {string} req.body.email - New email address
  * @param {string} req.body.full_name - New full name
  * @param {Object} res - Express response object
+ * @param {function} next - Express next middleware function
  * @returns {Object} JSON response with updated user data or error
  */
-export const updateUserById = async (req, res) => {
-  try {
-    // Validate user ID
-    const user_id = req.params.id?.trim();
-    if (!user_id) {
-      return res.status(400).json({
-        message: "Updating user failed",
-        data: null,
-        error: "Missing or invalid user ID",
-      });
-    }
-
-    // Validate request body
-    const { email, full_name } = req.body;
-    if (!email?.trim() || !full_name?.trim()) {
-      return res.status(400).json({
-        message: "Updating user failed",
-        data: null,
-        error: "Both email and full name are required",
-      });
-    }
+export const updateUserById = async (req, res, next) => {
+  const user_id = req.params.id;
+  const { email, full_name } = req.body;
 
+  try {
     // Check if email already exists (excluding current user)
-    const emailExists = await User.emailExists(email);
+    const emailExists = await User.emailExists(email, user_id);
     if (emailExists) {
-      return res.status(400).json({
-        message: "Updating user failed",
-        data: null,
-        error: "Email already belongs to another user",
-      });
+      throw new ConflictError(
+        "EMAIL_EXISTS",
+        "Email already belongs to another user"
+      );
     }
 
     // Verify user exists
-    const userExists = await User.userExistByUserId(user_id);
-    if (!userExists) {
-      return res.status(404).json({
-        message: "Updating user failed",
-        data: null,
-        error: "User not found",
-      });
+    const user = await User.fetchUserInformationByUserId(user_id);
+    if (!user) {
+      throw new NotFoundError("USER_NOT_FOUND", "User not found");
     }
 
     const response = await User.updateUser({ user_id, email, full_name });
+    AccountStatusService.invalidate(user_id);
+
+    // The new address is unverified; the update stands even if the email fails
+    if (response && user.email.toLowerCase() !== email.toLowerCase()) {
+      try {
+        await EmailVerificationService.sendVerification(response);
+      } catch (error) {
+        console.error("Failed to send verification email:", error);
+      }
+    }
+
+    await recordAudit(req, AUDIT_ACTIONS.USER_UPDATE, {
+      email: email,
+      full_name: full_name,
+    });
 
     return res.status(200).json({
       message: "User updated successfully",
@@ -168,59 +219,348 @@ export const updateUserById = async (req, res) => {
       error: null,
     });
   } catch (err) {
-    console.error("Error updating user:", err);
-    return res.status(500).json({
-      message: "Internal server error",
-      data: null,
-      error: err.message || "Failed to update user",
-    });
+    res.locals.failureMessage = "Updating user failed";
+    next(err);
   }
 };
 
 /**
  * @controller deleteUserById
- * @description Delete a user by ID
+ * @description Soft-delete a user by ID, signing out all of its sessions
  * @route DELETE /api/users/:id
  * @access Private/Admin
  * @param {Object} req - Express request object
  * @param {Object} req.params - Route parameters
- * @param {string} req.params.id - User ID to delete
+ * @param {number} req.params.id - User ID to delete
  * @param {Object} res - Express response object
+ * @param {function} next - Express next middleware function
  * @returns {Object} JSON response with success status or error
  */
-export const deleteUserById = async (req, res) => {
+export const deleteUserById = async (req, res, next) => {
   const user_id = req.params.id;
 
-  if (!user_id || user_id.trim() === "") {
-    return res.status(400).json({
-      message: "Fetching user failed",
-      data: null,
-      error: "Missing or invalid user ID",
+  try {
+    await AccountStatusService.deleteAccount(user_id);
+    await recordAudit(req, AUDIT_ACTIONS.USER_DELETE);
+
+    return res.status(200).json({
+      message: "User deleted successfully",
+      data: { success: true },
+      error: null,
     });
+  } catch (err) {
+    res.locals.failureMessage = "Deleting user failed";
+    next(err);
   }
+};
+
+/**
+ * @controller grantUserRole
+ * @description Grant a role to a user
+ * @route POST /api/users/:id/roles
+ * @access Private/Admin
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {number} req.params.id - ID of the user to grant the role to
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.role - Role to grant
+ * @param {Object} res - Express response object
+ * @param {function} next - Express next middleware function
+ * @returns {Object} JSON response with the user's roles or error
+ */
+export const grantUserRole = async (req, res, next) => {
+  const user_id = req.params.id;
+  const { role } = req.body;
+
+  try {
+    if (!(await User.userExistByUserId(user_id))) {
+      throw new NotFoundError(
+        "USER_NOT_FOUND",
+        "No user exists with the given ID"
+      );
+    }
+
+    // Tokens carrying the old roles stop working; clients pick up the new ones on refresh
+    if (await UserRole.grant({ user_id, role })) {
+      await TokenRevocationService.revokeAllForUser(user_id);
+      AccountStatusService.invalidate(user_id);
+      await recordAudit(req, AUDIT_ACTIONS.ROLE_GRANT, { role: role });
+    }
+
+    return res.status(200).json({
+      message: "Role granted successfully",
+      data: {
+        id: user_id,
+        roles: await UserRole.findRolesByUserId(user_id),
+      },
+      error: null,
+    });
+  } catch (err) {
+    res.locals.failureMessage = "Granting role failed";
+    next(err);
+  }
+};
+
+/**
+ * @controller revokeUserRole
+ * @description Revoke a role from a user
+ * @route DELETE /api/users/:id/roles/:role
+ * @access Private/Admin
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {number} req.params.id - ID of the user to revoke the role from
+ * @param {string} req.params.role - Role to revoke
+ * @param {Object} req.user - Authenticated user object
+ * @param {Object} res - Express response object
+ * @param {function} next - Express next middleware function
+ * @returns {Object} JSON response with the user's roles or error
+ */
+export const revokeUserRole = async (req, res, next) => {
+  const { id: user_id, role } = req.params;
+
+  try {
+    // Prevent admins from locking themselves out of the admin endpoints
+    if (String(req.user.id) === String(user_id) && role === ROLES.ADMIN) {
+      throw new BadRequestError(
+        "CANNOT_REVOKE_OWN_ADMIN_ROLE",
+        "You cannot revoke your own admin role"
+      );
+    }
+
+    const isRevoked = await UserRole.revoke({ user_id, role });
+
+    if (!isRevoked) {
+      throw new NotFoundError(
+        "ROLE_NOT_GRANTED",
+        "The user does not have the given role"
+      );
+    }
+
+    await TokenRevocationService.revokeAllForUser(user_id);
+    AccountStatusService.invalidate(user_id);
+    await recordAudit(req, AUDIT_ACTIONS.ROLE_REVOKE, { role: role });
+
+    return res.status(200).json({
+      message: "Role revoked successfully",
+      data: {
+        id: user_id,
+        roles: await UserRole.findRolesByUserId(user_id),
+      },
+      error: null,
+    });
+  } catch (err) {
+    res.locals.failureMessage = "Revoking role failed";
+    next(err);
+  }
+};
+
+/**
+ * @controller unlockUser
+ * @description Lift a login lockout or throttling delay on a user's account
+ * @route POST /api/users/:id/unlock
+ * @access Private/Admin
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {number} req.params.id - ID of the user to unlock
+ * @param {Object} res - Express response object
+ * @param {function} next - Express next middleware function
+ * @returns {Object} JSON response with unlock result or error
+ */
+export const unlockUser = async (req, res, next) => {
+  const user_id = req.params.id;
 
   try {
     const user = await User.fetchUserInformationByUserId(user_id);
 
     if (!user) {
-      return res.status(404).json({
-        message: "User not found",
-        data: null,
-        error: "No user exists with the given ID",
-      });
+      throw new NotFoundError(
+        "USER_NOT_FOUND",
+        "No user exists with the given ID"
+      );
+    }
+
+    const wasLocked = await LoginProtectionService.unlockAccount(user.email);
+    AccountStatusService.invalidate(user.id);
+    await recordAudit(req, AUDIT_ACTIONS.USER_UNLOCK, {
+      was_locked: wasLocked,
+    });
+
+    return res.status(200).json({
+      message: "User unlocked successfully",
+      data: { id: user.id, was_locked: wasLocked },
+      error: null,
+    });
+  } catch (err) {
+    res.locals.failureMessage = "Unlocking user failed";
+    next(err);
+  }
+};
+
+/**
+ * @controller disableUser
+ * @description Disable a user's account, signing out all of its sessions
+ * @route POST /api/users/:id/disable
+ * @access Private/Admin
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {number} req.params.id - ID of the user to disable
+ * @param {Object} req.user - Authenticated user object
+ * @param {Object} res - Express response object
+ * @param {function} next - Express next middleware function
+ * @returns {Object} JSON response with the disabled user's ID or error
+ */
+export const disableUser = async (req, res, next) => {
+  const user_id = req.params.id;
+
+  try {
+    // Prevent admins from locking themselves out
+    if (String(req.user.id) === String(user_id)) {
+      throw new BadRequestError(
+        "CANNOT_DISABLE_OWN_ACCOUNT",
+        "You cannot disable your own account"
+      );
     }
 
-    const response = await User.deleteUser(user_id);
+    await AccountStatusService.disableAccount(user_id);
+    await recordAudit(req, AUDIT_ACTIONS.USER_DISABLE);
+
     return res.status(200).json({
-      message: "User deleted successfully",
-      data: response,
+      message: "User disabled successfully",
+      data: { id: user_id, disabled: true },
       error: null,
     });
   } catch (err) {
-    return res.status(500).json({
-      message: "Internal server error",
-      data: null,
-      error: err.message || "Failed to delete user",
+    res.locals.failureMessage = "Disabling user failed";
+    next(err);
+  }
+};
+
+/**
+ * @controller enableUser
+ * @description Re-enable a disabled user's account
+ * @route POST /api/users/:id/enable
+ * @access Private/Admin
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {number} req.params.id - ID of the user to enable
+ * @param {Object} res - Express response object
+ * @param {function} next - Express next middleware function
+ * @returns {Object} JSON response with the enabled user's ID or error
+ */
+export const enableUser = async (req, res, next) => {
+  const user_id = req.params.id;
+
+  try {
+    await AccountStatusService.enableAccount(user_id);
+    await recordAudit(req, AUDIT_ACTIONS.USER_ENABLE);
+
+    return res.status(200).json({
+      message: "User enabled successfully",
+      data: { id: user_id, disabled: false },
+      error: null,
+    });
+  } catch (err) {
+    res.locals.failureMessage = "Enabling user failed";
+    next(err);
+  }
+};
+
+/**
+ * @controller restoreUser
+ * @description Restore a soft-deleted user
+ * @route POST /api/users/:id/restore
+ * @access Private/Admin
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {number} req.params.id - ID of the user to restore
+ * @param {Object} res - Express response object
+ * @param {function} next - Express next middleware function
+ * @returns {Object} JSON response with the restored user or error
+ */
+export const restoreUser = async (req, res, next) => {
+  const user_id = req.params.id;
+
+  try {
+    await AccountStatusService.restoreAccount(user_id);
+    await recordAudit(req, AUDIT_ACTIONS.USER_RESTORE);
+
+    return res.status(200).json({
+      message: "User restored successfully",
+      data: await User.fetchUserInformationByUserId(user_id),
+      error: null,
+    });
+  } catch (err) {
+    res.locals.failureMessage = "Restoring user failed";
+    next(err);
+  }
+};
+
+/**
+ * @controller purgeUser
+ * @description Permanently delete a soft-deleted user once its retention period has passed
+ * @route DELETE /api/users/:id/purge
+ * @access Private/Admin
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {number} req.params.id - ID of the user to purge
+ * @param {Object} res - Express response object
+ * @param {function} next - Express next middleware function
+ * @returns {Object} JSON response with the purged user's ID or error
+ */
+export const purgeUser = async (req, res, next) => {
+  const user_id = req.params.id;
+
+  try {
+    await AccountStatusService.purgeAccount(user_id);
+    await recordAudit(req, AUDIT_ACTIONS.USER_PURGE);
+
+    return res.status(200).json({
+      message: "User purged successfully",
+      data: { id: user_id, purged: true },
+      error: null,
+    });
+  } catch (err) {
+    res.locals.failureMessage = "Purging user failed";
+    next(err);
+  }
+};
+
+/**
+ * @controller changePassword
+ * @description Change the authenticated user's password and sign out their other sessions
+ * @route PUT /api/users/me/password
+ * @access Private
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - Authenticated user object
+ * @param {number} req.user.id - User ID
+ * @param {string} req.user.session_id - Session ID of the access token, which stays signed in
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.current_password - Current password
+ * @param {string} req.body.new_password - New password
+ * @param {Object} res - Express response object
+ * @param {function} next - Express next middleware function
+ * @returns {Object} JSON response with the number of signed out sessions or error
+ * (policy violations are listed in data.violations)
+ */
+export const changePassword = async (req, res, next) => {
+  try {
+    const revokedCount = await AuthService.changePassword(
+      {
+        user_id: req.user.id,
+        session_id: req.user.session_id,
+        current_password: req.body?.current_password,
+        new_password: req.body?.new_password,
+      },
+      { user_agent: req.get("user-agent"), ip_address: req.ip }
+    );
+
+    return res.status(200).json({
+      message: "Password changed successfully",
+      data: { revoked_sessions: revokedCount },
+      error: null,
     });
+  } catch (error) {
+    res.locals.failureMessage = "Changing password failed";
+    next(error);
   }
 };
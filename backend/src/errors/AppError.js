@@ -0,0 +1,116 @@
+/**
+ * @file Error classes for failures that are reported to API clients.
+ * @module errors/AppError
+ *
+ * Services and middlewares throw these errors and the central error handler
+ * (see middlewares/errorHandler) turns them into responses. Any other error
+ * is treated as unexpected, and its details are never sent to the client.
+ */
+
+/**
+ * Base class for errors that are safe to report to API clients.
+ * `message` is set to the error code, so code comparing `error.message`
+ * keeps working as it did with plain `new Error("CODE")` errors.
+ */
+export class AppError extends Error {
+  /**
+   * @param {number} status - HTTP status code of the response.
+   * @param {string} code - Stable machine-readable error code, e.g. "INVALID_CREDENTIALS".
+   * @param {string} details - Human-readable explanation, safe to show to clients.
+   * @param {Object} [options] - Additional response content.
+   * @param {Object} [options.data] - Public data returned alongside the code, e.g. policy violations.
+   * @param {Object<string, string>} [options.headers] - Response headers, e.g. Retry-After.
+   */
+  constructor(status, code, details, { data = {}, headers = {} } = {}) {
+    super(code);
+    this.name = new.target.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+    this.data = data;
+    this.headers = headers;
+  }
+}
+
+/**
+ * The request is missing fields or carries invalid values (400).
+ */
+export class BadRequestError extends AppError {
+  constructor(code, details, options) {
+    super(400, code, details, options);
+  }
+}
+
+/**
+ * The caller could not be authenticated (401).
+ */
+export class UnauthorizedError extends AppError {
+  constructor(code, details, options) {
+    super(401, code, details, options);
+  }
+}
+
+/**
+ * The caller is authenticated but not allowed to do this (403).
+ */
+export class ForbiddenError extends AppError {
+  constructor(code, details, options) {
+    super(403, code, details, options);
+  }
+}
+
+/**
+ * The requested resource does not exist (404).
+ */
+export class NotFoundError extends AppError {
+  constructor(code, details, options) {
+    super(404, code, details, options);
+  }
+}
+
+/**
+ * The request conflicts with the current state of the resource (409).
+ */
+export class ConflictError extends AppError {
+  constructor(code, details, options) {
+    super(409, code, details, options);
+  }
+}
+
+/**
+ * The request is well-formed but its fields failed validation (422).
+ * Every failing field is listed in `data.errors`.
+ */
+export class ValidationError extends AppError {
+  /**
+   * @param {Array<Object>} errors - Field errors.
+   * @param {string} errors[].location - Part of the request: "body", "params" or "query".
+   * @param {string|null} errors[].field - Field name, or null for the part as a whole.
+   * @param {string} errors[].message - What is wrong with the field.
+   */
+  constructor(errors) {
+    super(422, "VALIDATION_FAILED", "One or more fields are invalid", {
+      data: { errors: errors },
+    });
+  }
+}
+
+/**
+ * The account is locked (423).
+ */
+export class LockedError extends AppError {
+  constructor(code, details, options) {
+    super(423, code, details, options);
+  }
+}
+
+/**
+ * The caller has made too many requests or attempts (429).
+ */
+export class TooManyRequestsError extends AppError {
+  constructor(code, details, options) {
+    super(429, code, details, options);
+  }
+}
+
+export default AppError;
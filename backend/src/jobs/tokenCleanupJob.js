@@ -0,0 +1,90 @@
+/**
+ * @file Background job that periodically purges expired and idle refresh tokens
+ * and expired access token denylist entries.
+ * @module jobs/tokenCleanupJob
+ * @requires ../services/whitelistService
+ * @requires ../services/tokenRevocationService
+ * @requires ../config/env.config
+ */
+
+import WhitelistService from "../services/whitelistService.js";
+import TokenRevocationService from "../services/tokenRevocationService.js";
+import config from "../config/env.config.js";
+
+/**
+ * Default job settings, taken from the TOKEN_CLEANUP_* configuration.
+ * @constant {Object}
+ * @property {number} intervalMinutes - Minutes between runs.
+ * @property {number} batchSize - Rows deleted per query.
+ * @property {number} idleDays - Days without use before a token is purged.
+ */
+const DEFAULTS = config.tokenCleanup;
+
+/**
+ * Runs a single cleanup pass and logs how many rows were deleted.
+ * Errors are logged rather than thrown so a failing run never crashes the server.
+ * @async
+ * @function runTokenCleanup
+ * @param {Object} [options] - Cleanup options.
+ * @param {number} [options.batchSize] - Rows deleted per query.
+ * @param {number} [options.idleDays] - Days without use before a token is purged.
+ * @returns {Promise<number>} Number of rows removed (0 if the run failed).
+ */
+export const runTokenCleanup = async ({
+  batchSize = DEFAULTS.batchSize,
+  idleDays = DEFAULTS.idleDays,
+} = {}) => {
+  try {
+    const deleted = await WhitelistService.purgeStaleRefreshTokens({
+      batch_size: batchSize,
+      idle_days: idleDays,
+    });
+    const denylisted = await TokenRevocationService.purgeExpiredEntries({
+      batch_size: batchSize,
+    });
+    console.log(
+      `Token cleanup: purged ${deleted} refresh token(s) and ${denylisted} denylist entr${
+        denylisted === 1 ? "y" : "ies"
+      }`
+    );
+    return deleted + denylisted;
+  } catch (error) {
+    console.error("Token cleanup failed:", error);
+    return 0;
+  }
+};
+
+/**
+ * Starts the cleanup job on a fixed interval.
+ * A run is skipped if the previous one is still in progress. The timer is
+ * unref'd so it never keeps the process alive on its own.
+ * @function startTokenCleanupJob
+ * @param {Object} [options] - Job options.
+ * @param {number} [options.intervalMinutes] - Minutes between runs.
+ * @param {number} [options.batchSize] - Rows deleted per query.
+ * @param {number} [options.idleDays] - Days without use before a token is purged.
+ * @returns {function} Function that stops the job.
+ *
+ * @example
+ * const stopCleanup = startTokenCleanupJob({ intervalMinutes: 30 });
+ * // later, e.g. on shutdown:
+ * stopCleanup();
+ */
+export const startTokenCleanupJob = ({
+  intervalMinutes = DEFAULTS.intervalMinutes,
+  batchSize = DEFAULTS.batchSize,
+  idleDays = DEFAULTS.idleDays,
+} = {}) => {
+  let isRunning = false;
+
+  const timer = setInterval(async () => {
+    if (isRunning) return;
+    isRunning = true;
+    await runTokenCleanup({ batchSize, idleDays });
+    isRunning = false;
+  }, intervalMinutes * 60 * 1000);
+
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
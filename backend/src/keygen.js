@@ -0,0 +1,62 @@
+/**
+ * @file Command-line helper that generates a new JWT signing key for rotation.
+ * @module keygen
+ * @requires crypto
+ * @requires fs
+ * @requires path
+ * @requires url
+ * @requires dotenv/config
+ *
+ * Writes `<kid>.pem` (PKCS#8 private key) into JWT_KEYS_DIR (default
+ * `backend/keys`). Set JWT_ACTIVE_KID to the printed kid and restart to start
+ * signing with it.
+ *
+ * @example
+ * npm run keys:generate              // RS256 key with a generated kid
+ * npm run keys:generate -- es256     // ES256 key with a generated kid
+ * npm run keys:generate -- rs256 2025-01
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import "dotenv/config";
+
+// ES Modules alternative for __dirname
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Key generation parameters per supported algorithm.
+ * @constant {Object<string, Array>}
+ */
+const KEY_TYPES = {
+  rs256: ["rsa", { modulusLength: 2048 }],
+  es256: ["ec", { namedCurve: "prime256v1" }],
+};
+
+const [algorithm = "rs256", kid = crypto.randomUUID()] = process.argv.slice(2);
+
+if (!KEY_TYPES[algorithm]) {
+  console.error(`Unknown algorithm "${algorithm}" (expected rs256 or es256)`);
+  process.exit(1);
+}
+
+const keysDir = process.env.JWT_KEYS_DIR || path.join(__dirname, "../keys");
+const keyPath = path.join(keysDir, `${kid}.pem`);
+
+if (fs.existsSync(keyPath)) {
+  console.error(`Key ${keyPath} already exists`);
+  process.exit(1);
+}
+
+const { privateKey } = crypto.generateKeyPairSync(...KEY_TYPES[algorithm]);
+
+fs.mkdirSync(keysDir, { recursive: true });
+fs.writeFileSync(keyPath, privateKey.export({ type: "pkcs8", format: "pem" }), {
+  mode: 0o600,
+});
+
+console.log(`Wrote ${keyPath}`);
+console.log(`Set JWT_ACTIVE_KID=${kid} to sign with this key.`);
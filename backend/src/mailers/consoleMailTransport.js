@@ -0,0 +1,27 @@
+/**
+ * @file Mail transport that prints messages to the console, for development.
+ * @module mailers/consoleMailTransport
+ */
+
+/**
+ * Class delivering email by writing it to stdout.
+ */
+class ConsoleMailTransport {
+  /**
+   * Prints a message.
+   * @async
+   * @param {Object} message - Message to deliver.
+   * @param {string} message.from - Sender address.
+   * @param {string} message.to - Recipient address.
+   * @param {string} message.subject - Subject line.
+   * @param {string} message.text - Plain-text body.
+   * @returns {Promise<void>}
+   */
+  async send({ from, to, subject, text }) {
+    console.log(
+      `--- Email ---\nFrom: ${from}\nTo: ${to}\nSubject: ${subject}\n\n${text}\n-------------`
+    );
+  }
+}
+
+export default ConsoleMailTransport;
@@ -0,0 +1,42 @@
+/**
+ * @file Mail transport that appends messages to a file, for development and testing.
+ * @module mailers/fileMailTransport
+ * @requires fs/promises
+ */
+
+import fs from "fs/promises";
+
+/**
+ * Class delivering email by appending it, one JSON object per line, to a file.
+ */
+class FileMailTransport {
+  /**
+   * @param {string} filePath - File messages are appended to.
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Appends a message to the file.
+   * @async
+   * @param {Object} message - Message to deliver.
+   * @param {string} message.from - Sender address.
+   * @param {string} message.to - Recipient address.
+   * @param {string} message.subject - Subject line.
+   * @param {string} message.text - Plain-text body.
+   * @returns {Promise<void>}
+   */
+  async send({ from, to, subject, text }) {
+    const entry = {
+      from,
+      to,
+      subject,
+      text,
+      sent_at: new Date().toISOString(),
+    };
+    await fs.appendFile(this.filePath, `${JSON.stringify(entry)}\n`);
+  }
+}
+
+export default FileMailTransport;
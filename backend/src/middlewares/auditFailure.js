@@ -0,0 +1,37 @@
+/**
+ * @file Middleware recording rejected requests for audited actions.
+ * @module middlewares/auditFailure
+ * @requires ../services/auditService
+ */
+
+import AuditService from "../services/auditService.js";
+
+/**
+ * Creates an error-handling middleware that records a failed attempt at an
+ * audited action in the audit log, then passes the error on.
+ *
+ * Mount it last in the route, after the controller, so it sees every
+ * rejection: a missing token, role or scope, invalid input, and errors
+ * raised by the controller. The controller records successes itself.
+ *
+ * @function auditFailure
+ * @param {string} action - Audited action (see config/audit.config AUDIT_ACTIONS).
+ * @param {function(Object): Object} [detailsFrom] - Builds the entry's details from the request.
+ * @returns {function} Express error-handling middleware.
+ *
+ * @example
+ * router.delete('/:id', authenticateToken, authorize(ROLES.ADMIN), controller, auditFailure(AUDIT_ACTIONS.USER_DELETE));
+ */
+export const auditFailure =
+  (action, detailsFrom) => async (err, req, res, next) => {
+    await AuditService.record({
+      action: action,
+      actor_user_id: req.user?.id,
+      target_user_id: req.params.id,
+      client: { user_agent: req.get("user-agent"), ip_address: req.ip },
+      details: detailsFrom?.(req),
+      error: err,
+    });
+
+    next(err);
+  };
@@ -3,26 +3,49 @@
  * @module middlewares/authenticateToken
  */
 
-import jwt from "jsonwebtoken";
+import TokenService from "../services/tokenService.js";
+import TokenRevocationService from "../services/tokenRevocationService.js";
+import AccountStatusService from "../services/accountStatusService.js";
+import { parseScope } from "../config/scopes.config.js";
+import { COOKIE_NAMES } from "../util/authCookie.util.js";
+import {
+  hasValidCsrfToken,
+  requiresCsrfToken,
+  csrfError,
+} from "./csrfProtection.js";
+import config from "../config/env.config.js";
+import { ForbiddenError, UnauthorizedError } from "../errors/AppError.js";
 
 /**
  * Middleware that authenticates JWT tokens in incoming requests.
  *
- * This middleware checks for a valid JWT in the Authorization header,
- * verifies it against the server's secret, and attaches the decoded user
- * information to the request object if successful.
+ * This middleware checks for a valid JWT in the Authorization header (or,
+ * when cookies are enabled, the access_token cookie), verifies it against the
+ * server's signing keys, checks that it has not been revoked, and attaches the
+ * decoded user information (ID, session ID, roles and scopes) to the request
+ * object if successful. Cookie-authenticated requests that change state must
+ * also carry the CSRF token in the X-CSRF-Token header.
  *
+ * With AUTH_LOAD_USER on, the user is also loaded (through a short-lived
+ * cache): deleted, disabled and locked-out accounts are rejected, and
+ * `req.user` additionally carries the user's email and full name, with
+ * `roles` taken from the database rather than the token.
+ *
+ * @async
  * @function authenticateToken
  * @param {Object} req - Express request object.
  * @param {Object} req.headers - Request headers.
  * @param {string} [req.headers.authorization] - Authorization header in format "Bearer <token>".
  * @param {Object} res - Express response object.
  * @param {function} next - Express next middleware function.
- * @returns {void|Object} Either calls next() or returns an error response.
+ * @returns {Promise<void>} Calls next(), with an error if the request is rejected.
  *
- * @throws {JsonWebTokenError} Possible JWT-related errors:
- * - TokenExpiredError: If the token has expired
- * - JsonWebTokenError: If the token is invalid or malformed
+ * Errors passed to next():
+ * - UnauthorizedError ACCESS_TOKEN_MISSING, TOKEN_EXPIRED, MFA_NOT_COMPLETED,
+ *   INVALID_TOKEN_TYPE (e.g. a refresh token) or TOKEN_REVOKED
+ * - UnauthorizedError USER_NOT_FOUND, ACCOUNT_DISABLED or ACCOUNT_LOCKED (with AUTH_LOAD_USER on)
+ * - ForbiddenError INVALID_TOKEN_SIGNATURE or INVALID_TOKEN for malformed or forged tokens
+ * - ForbiddenError INVALID_CSRF_TOKEN for cookie requests failing the CSRF check
  *
  * @example
  * // How to use in routes:
@@ -30,45 +53,95 @@ import jwt from "jsonwebtoken";
  *   // Access authenticated user via req.user
  * });
  */
-export const authenticateToken = (req, res, next) => {
-  try {
-    const authHeader = req.headers["authorization"];
-    const token = authHeader && authHeader.split(" ")[1];
+export const authenticateToken = async (req, res, next) => {
+  res.locals.failureMessage = "Authentication failed";
 
-    if (!token) {
-      return res.status(401).json({
-        message: "Authentication failed",
-        data: null,
-        error: "Access token is missing",
-      });
-    }
+  const authHeader = req.headers["authorization"];
+  let token = authHeader && authHeader.split(" ")[1];
 
-    // Verify and decode the token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  // Fall back to the cookie only when no token was sent explicitly
+  const usesCookie =
+    !token &&
+    config.cookies.enabled &&
+    Boolean(req.cookies?.[COOKIE_NAMES.ACCESS_TOKEN]);
+  if (usesCookie) {
+    token = req.cookies[COOKIE_NAMES.ACCESS_TOKEN];
+  }
 
-    // Attach user information to the request object
-    req.user = { id: decoded.id };
+  if (!token) {
+    return next(
+      new UnauthorizedError("ACCESS_TOKEN_MISSING", "Access token is missing")
+    );
+  }
 
-    // Proceed to the next middleware/controller
-    next();
-  } catch (err) {
-    let errorMessage = "Invalid token";
-    let statusCode = 403;
+  if (requiresCsrfToken(req, usesCookie) && !hasValidCsrfToken(req)) {
+    res.locals.failureMessage = "CSRF validation failed";
+    return next(csrfError());
+  }
 
+  let decoded;
+
+  try {
+    // Verify and decode the token
+    decoded = TokenService.verify(token);
+  } catch (err) {
     switch (err.name) {
       case "TokenExpiredError":
-        errorMessage = "Token has expired";
-        statusCode = 401;
-        break;
+        return next(
+          new UnauthorizedError("TOKEN_EXPIRED", "Token has expired")
+        );
       case "JsonWebTokenError":
-        errorMessage = "Invalid token signature";
-        break;
+        return next(
+          new ForbiddenError(
+            "INVALID_TOKEN_SIGNATURE",
+            "Invalid token signature"
+          )
+        );
+      default:
+        return next(new ForbiddenError("INVALID_TOKEN", "Invalid token"));
     }
+  }
+
+  // MFA tokens only prove the password step and grant no access
+  if (decoded.token_use === "mfa") {
+    return next(
+      new UnauthorizedError(
+        "MFA_NOT_COMPLETED",
+        "Multi-factor authentication has not been completed"
+      )
+    );
+  }
 
-    return res.status(statusCode).json({
-      message: "Authentication failed",
-      data: null,
-      error: errorMessage,
-    });
+  // Refresh tokens are signed with the same key but grant no access either
+  if (decoded.token_use !== "access") {
+    return next(
+      new UnauthorizedError(
+        "INVALID_TOKEN_TYPE",
+        "Token is not an access token"
+      )
+    );
   }
+
+  if (await TokenRevocationService.isRevoked(decoded)) {
+    return next(
+      new UnauthorizedError("TOKEN_REVOKED", "Token has been revoked")
+    );
+  }
+
+  // Rejects deleted, disabled and locked-out accounts with an UnauthorizedError
+  const profile = config.authentication.loadUser
+    ? await AccountStatusService.loadActiveUser(decoded.id)
+    : null;
+
+  // Attach user information to the request object
+  req.user = {
+    id: decoded.id,
+    session_id: decoded.sid,
+    roles: decoded.roles ?? [],
+    scopes: parseScope(decoded.scope),
+    ...profile,
+  };
+
+  // Proceed to the next middleware/controller
+  next();
 };
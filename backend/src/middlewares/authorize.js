@@ -0,0 +1,69 @@
+/**
+ * @file Middleware for role-based access control.
+ * @module middlewares/authorize
+ * @requires ../errors/AppError
+ */
+
+import { ForbiddenError, UnauthorizedError } from "../errors/AppError.js";
+
+/**
+ * Creates a middleware that only lets through users holding at least one of
+ * the given roles.
+ *
+ * Must be mounted after `authenticateToken`, which populates `req.user.roles`
+ * from the database when AUTH_LOAD_USER is on, or from the access token's
+ * `roles` claim otherwise.
+ *
+ * @function authorize
+ * @param {...string} roles - Roles allowed to access the route.
+ * @returns {function} Express middleware function.
+ *
+ * @example
+ * router.get('/admin-only', authenticateToken, authorize(ROLES.ADMIN), controller);
+ */
+export const authorize =
+  (...roles) =>
+  (req, res, next) => {
+    if (!req.user) {
+      res.locals.failureMessage = "Authentication failed";
+      return next(
+        new UnauthorizedError("ACCESS_TOKEN_MISSING", "Access token is missing")
+      );
+    }
+
+    const userRoles = req.user.roles ?? [];
+    if (!roles.some((role) => userRoles.includes(role))) {
+      res.locals.failureMessage = "Authorization failed";
+      return next(
+        new ForbiddenError(
+          "INSUFFICIENT_ROLE",
+          "You do not have permission to access this resource"
+        )
+      );
+    }
+
+    next();
+  };
+
+/**
+ * Creates a middleware that lets through the user the route's `:id` parameter
+ * refers to, or any user holding at least one of the given roles.
+ *
+ * Must be mounted after `authenticateToken`.
+ *
+ * @function authorizeSelfOrRole
+ * @param {...string} roles - Roles allowed to access other users' records.
+ * @returns {function} Express middleware function.
+ *
+ * @example
+ * router.get('/:id', authenticateToken, authorizeSelfOrRole(ROLES.ADMIN), controller);
+ */
+export const authorizeSelfOrRole =
+  (...roles) =>
+  (req, res, next) => {
+    if (req.user && String(req.user.id) === String(req.params.id)) {
+      return next();
+    }
+
+    return authorize(...roles)(req, res, next);
+  };
@@ -0,0 +1,90 @@
+/**
+ * @file Middleware enforcing double-submit CSRF protection for cookie-authenticated requests.
+ * @module middlewares/csrfProtection
+ * @requires crypto
+ * @requires ../util/authCookie.util
+ * @requires ../config/env.config
+ * @requires ../errors/AppError
+ */
+
+import crypto from "crypto";
+import { COOKIE_NAMES } from "../util/authCookie.util.js";
+import config from "../config/env.config.js";
+import { ForbiddenError } from "../errors/AppError.js";
+
+/**
+ * HTTP methods that do not change state and so need no CSRF token.
+ * @constant {Array<string>}
+ */
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+/**
+ * Checks the double-submit CSRF token: the X-CSRF-Token header must match
+ * the csrf_token cookie. A cross-site page can make the browser send the
+ * cookie but cannot read it to copy it into the header.
+ * @param {Object} req - Express request object.
+ * @returns {boolean} True if the request carries a matching CSRF token.
+ */
+export const hasValidCsrfToken = (req) => {
+  const cookieToken = req.cookies?.[COOKIE_NAMES.CSRF_TOKEN];
+  const headerToken = req.get("x-csrf-token");
+
+  if (!cookieToken || !headerToken) {
+    return false;
+  }
+
+  const expected = Buffer.from(cookieToken);
+  const actual = Buffer.from(headerToken);
+
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+};
+
+/**
+ * Checks whether a request must pass the CSRF check: it changes state and is
+ * authenticated by a cookie rather than by a token the client sent explicitly.
+ * @param {Object} req - Express request object.
+ * @param {boolean} usesCookie - Whether the request is authenticated by a cookie.
+ * @returns {boolean} True if a CSRF token is required.
+ */
+export const requiresCsrfToken = (req, usesCookie) =>
+  usesCookie && !SAFE_METHODS.includes(req.method);
+
+/**
+ * Creates the error for a request that failed the CSRF check.
+ * @returns {ForbiddenError} INVALID_CSRF_TOKEN error.
+ */
+export const csrfError = () =>
+  new ForbiddenError(
+    "INVALID_CSRF_TOKEN",
+    "Missing or invalid CSRF token (X-CSRF-Token header)"
+  );
+
+/**
+ * Middleware protecting refresh and logout when the refresh token is taken
+ * from its cookie, i.e. when cookies are enabled and the body does not carry one.
+ *
+ * @function csrfProtection
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ * @returns {void} Calls next(), with an INVALID_CSRF_TOKEN error if the check fails.
+ *
+ * @example
+ * router.post("/refresh", csrfProtection, refresh);
+ */
+export const csrfProtection = (req, res, next) => {
+  const usesCookie =
+    config.cookies.enabled &&
+    !req.body?.refresh_token &&
+    Boolean(req.cookies?.[COOKIE_NAMES.REFRESH_TOKEN]);
+
+  if (requiresCsrfToken(req, usesCookie) && !hasValidCsrfToken(req)) {
+    res.locals.failureMessage = "CSRF validation failed";
+    return next(csrfError());
+  }
+
+  next();
+};
@@ -0,0 +1,96 @@
+/**
+ * @file Central error handling for every route.
+ * @module middlewares/errorHandler
+ * @requires crypto
+ * @requires ../errors/AppError
+ */
+
+import crypto from "crypto";
+import { AppError, NotFoundError } from "../errors/AppError.js";
+
+/**
+ * Middleware answering requests that matched no route.
+ * Must be registered after every router.
+ *
+ * @function notFound
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ * @returns {void}
+ */
+export const notFound = (req, res, next) => {
+  next(
+    new NotFoundError("ROUTE_NOT_FOUND", `Cannot ${req.method} ${req.path}`)
+  );
+};
+
+/**
+ * Error-handling middleware formatting every failure in the standard
+ * `{ message, data, error }` envelope.
+ *
+ * - `message` is the summary set by the failing controller or middleware in
+ *   `res.locals.failureMessage`, e.g. "User login failed".
+ * - `data.code` is a stable machine-readable error code; any public data the
+ *   error carries (such as password policy violations) is added alongside it.
+ * - `error` is a human-readable explanation.
+ *
+ * Errors other than AppError are unexpected: they are logged with a random
+ * correlation ID, and the client only receives that ID (in the response and
+ * the X-Correlation-ID header) so the log entry can be found without leaking
+ * internals such as SQL errors.
+ *
+ * Must be registered last, after every router and `notFound`.
+ *
+ * @function errorHandler
+ * @param {Error} err - Error passed to next() or thrown by a handler.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ * @returns {void|Object} The error response.
+ *
+ * @example
+ * // In a controller:
+ * } catch (error) {
+ *   res.locals.failureMessage = "User login failed";
+ *   next(error);
+ * }
+ */
+export const errorHandler = (err, req, res, next) => {
+  // Let Express close the connection if the response has already started
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const message = res.locals.failureMessage ?? "Request failed";
+
+  if (err instanceof AppError) {
+    res.set(err.headers);
+    return res.status(err.status).json({
+      message: message,
+      data: { code: err.code, ...err.data },
+      error: err.details,
+    });
+  }
+
+  // Errors raised by Express itself, e.g. for a malformed JSON body
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return res.status(err.status).json({
+      message: message,
+      data: {
+        code:
+          err.type === "entity.parse.failed" ? "INVALID_JSON" : "BAD_REQUEST",
+      },
+      error: err.message,
+    });
+  }
+
+  const correlationId = crypto.randomUUID();
+  console.error(`Unhandled error [${correlationId}]:`, err);
+
+  res.set("X-Correlation-ID", correlationId);
+  return res.status(500).json({
+    message: res.locals.failureMessage ?? "Internal server error",
+    data: { code: "INTERNAL_ERROR", correlation_id: correlationId },
+    error: "An unexpected error occurred",
+  });
+};
@@ -0,0 +1,128 @@
+/**
+ * @file Middleware for rate limiting requests per client IP and per submitted email.
+ * @module middlewares/rateLimit
+ * @requires crypto
+ * @requires ../stores/memoryRateLimitStore
+ * @requires ../stores/mysqlRateLimitStore
+ * @requires ../config/env.config
+ * @requires ../errors/AppError
+ */
+
+import crypto from "crypto";
+import MemoryRateLimitStore from "../stores/memoryRateLimitStore.js";
+import MysqlRateLimitStore from "../stores/mysqlRateLimitStore.js";
+import config from "../config/env.config.js";
+import { TooManyRequestsError } from "../errors/AppError.js";
+
+/**
+ * Store shared by every limiter that does not get its own, created on first use.
+ * @type {MemoryRateLimitStore|MysqlRateLimitStore|null}
+ */
+let defaultStore = null;
+
+/**
+ * Returns the store selected by RATE_LIMIT_STORE ("memory" or "mysql").
+ * @returns {MemoryRateLimitStore|MysqlRateLimitStore} Rate limit store.
+ */
+const getDefaultStore = () => {
+  if (!defaultStore) {
+    defaultStore =
+      config.rateLimit.store === "mysql"
+        ? new MysqlRateLimitStore()
+        : new MemoryRateLimitStore();
+  }
+  return defaultStore;
+};
+
+/**
+ * Builds the counter keys a request is limited by.
+ * Emails are hashed so keys stay short and addresses are not stored.
+ * @param {string} name - Limiter name, keeping each route's counters separate.
+ * @param {Array<string>} keyBy - Which keys to use ("ip", "email").
+ * @param {Object} req - Express request object.
+ * @returns {Array<string>} Counter keys.
+ */
+const buildKeys = (name, keyBy, req) => {
+  const keys = [];
+
+  if (keyBy.includes("ip")) {
+    keys.push(`${name}:ip:${req.ip}`);
+  }
+
+  const email = req.body?.email;
+  if (keyBy.includes("email") && typeof email === "string" && email.trim()) {
+    const digest = crypto
+      .createHash("sha256")
+      .update(email.trim().toLowerCase())
+      .digest("hex");
+    keys.push(`${name}:email:${digest}`);
+  }
+
+  return keys;
+};
+
+/**
+ * Creates a fixed-window rate limiting middleware.
+ *
+ * Each request counts against one counter per key (client IP and/or the
+ * submitted `email`). Responses carry `RateLimit-Limit`, `RateLimit-Remaining`
+ * and `RateLimit-Reset` headers for the most exhausted counter; once any
+ * counter exceeds `max`, the request is rejected with a 429 and a
+ * `Retry-After` header. If the store fails, the request is let through so an
+ * outage of the counter backend does not take the auth routes down with it.
+ *
+ * @function rateLimit
+ * @param {Object} options - Limiter options.
+ * @param {string} options.name - Unique limiter name.
+ * @param {number} options.max - Requests allowed per key and window.
+ * @param {number} options.windowSeconds - Window length in seconds.
+ * @param {Array<string>} [options.keyBy=["ip"]] - Keys to limit by ("ip", "email").
+ * @param {Object} [options.store] - Store with an `increment(key, windowSeconds)`
+ * method; defaults to the store selected by RATE_LIMIT_STORE.
+ * @returns {function} Express middleware function.
+ *
+ * @example
+ * router.post('/login', rateLimit({ name: 'login', max: 10, windowSeconds: 900, keyBy: ['ip', 'email'] }), login);
+ */
+export const rateLimit =
+  ({ name, max, windowSeconds, keyBy = ["ip"], store }) =>
+  async (req, res, next) => {
+    let counters;
+    try {
+      const limiterStore = store ?? getDefaultStore();
+      counters = await Promise.all(
+        buildKeys(name, keyBy, req).map((key) =>
+          limiterStore.increment(key, windowSeconds)
+        )
+      );
+    } catch (error) {
+      console.error("Rate limit store failed:", error);
+      return next();
+    }
+
+    if (counters.length === 0) {
+      return next();
+    }
+
+    // Report the counter closest to (or furthest past) its limit
+    const tightest = counters.reduce((a, b) => (b.count > a.count ? b : a));
+
+    res.set({
+      "RateLimit-Limit": String(max),
+      "RateLimit-Remaining": String(Math.max(max - tightest.count, 0)),
+      "RateLimit-Reset": String(tightest.resetSeconds),
+    });
+
+    if (tightest.count > max) {
+      res.locals.failureMessage = "Too many requests";
+      return next(
+        new TooManyRequestsError(
+          "RATE_LIMIT_EXCEEDED",
+          `Rate limit exceeded; try again in ${tightest.resetSeconds} seconds`,
+          { headers: { "Retry-After": String(tightest.resetSeconds) } }
+        )
+      );
+    }
+
+    next();
+  };
@@ -0,0 +1,49 @@
+/**
+ * @file Middleware for enforcing access token permission scopes.
+ * @module middlewares/requireScopes
+ * @requires ../errors/AppError
+ */
+
+import { ForbiddenError } from "../errors/AppError.js";
+
+/**
+ * Creates a middleware that only lets through requests whose access token
+ * carries every one of the given scopes.
+ *
+ * Must be mounted after `authenticateToken`, which populates `req.user.scopes`
+ * from the access token's `scope` claim. Rejected requests receive a 403 with
+ * the INSUFFICIENT_SCOPE code and a `WWW-Authenticate` header naming the
+ * required scopes, as described in RFC 6750 section 3.1.
+ *
+ * @function requireScopes
+ * @param {...string} scopes - Scopes required to access the route.
+ * @returns {function} Express middleware function.
+ *
+ * @example
+ * router.get('/users', authenticateToken, requireScopes(SCOPES.USERS_READ), controller);
+ */
+export const requireScopes =
+  (...scopes) =>
+  (req, res, next) => {
+    const grantedScopes = req.user?.scopes ?? [];
+
+    if (scopes.every((scope) => grantedScopes.includes(scope))) {
+      return next();
+    }
+
+    const scope = scopes.join(" ");
+
+    res.locals.failureMessage = "Authorization failed";
+    return next(
+      new ForbiddenError(
+        "INSUFFICIENT_SCOPE",
+        `The access token lacks a required scope (${scope})`,
+        {
+          data: { required_scopes: scopes },
+          headers: {
+            "WWW-Authenticate": `Bearer error="insufficient_scope", scope="${scope}"`,
+          },
+        }
+      )
+    );
+  };
@@ -0,0 +1,270 @@
+/**
+ * @file Middleware validating request bodies, route parameters and query strings against schemas.
+ * @module middlewares/validate
+ * @requires ../errors/AppError
+ *
+ * A schema maps each request part ("body", "params", "query") to the fields
+ * it accepts, and each field to a rule:
+ *
+ * - `type`: "string", "integer" or "boolean" (required).
+ * - `required`: reject the request if the field is missing. Strings that are
+ *   empty (after trimming, with `trim`) count as missing.
+ * - `trim`: strip surrounding whitespace from strings.
+ * - `lowercase`: convert strings to lower case.
+ * - `format`: "email", "uuid" or "date" (YYYY-MM-DD) for strings.
+ * - `minLength` / `maxLength`: bounds on the length of strings.
+ * - `min` / `max`: bounds on integers.
+ * - `enum`: list of allowed values.
+ * - `default`: value used when the field is absent.
+ *
+ * Route parameters and query values always arrive as strings, so integers and
+ * booleans are converted from their string form ("42", "true"). JSON bodies
+ * must carry the right type already: `"password": 123` is rejected rather
+ * than stringified.
+ */
+
+import { ValidationError } from "../errors/AppError.js";
+
+/**
+ * Request parts a schema may describe.
+ * @constant {Array<string>}
+ */
+const LOCATIONS = ["params", "query", "body"];
+
+/**
+ * Checks for the supported string formats.
+ * @constant {Object<string, function(string): boolean>}
+ */
+const FORMATS = Object.freeze({
+  email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  uuid: (value) =>
+    /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(
+      value
+    ),
+  // Round-tripping rejects dates that do not exist, such as 2025-02-30
+  date: (value) =>
+    /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+    !Number.isNaN(Date.parse(value)) &&
+    new Date(value).toISOString().startsWith(value),
+});
+
+/**
+ * Human-readable names of the supported string formats, for error messages.
+ * @constant {Object<string, string>}
+ */
+const FORMAT_NAMES = Object.freeze({
+  email: "a valid email address",
+  uuid: "a valid UUID",
+  date: "a valid date (YYYY-MM-DD)",
+});
+
+/**
+ * Converts a value to the rule's type.
+ * @param {*} value - Raw value.
+ * @param {Object} rule - Field rule.
+ * @param {boolean} fromString - Whether the value comes from the URL, where
+ * every value is a string and may be converted.
+ * @returns {{value: *, error: string|null}} Converted value, or the reason it
+ * has the wrong type.
+ */
+const coerce = (value, rule, fromString) => {
+  switch (rule.type) {
+    case "string":
+      return typeof value === "string"
+        ? { value: value, error: null }
+        : { value: value, error: "must be a string" };
+
+    case "integer":
+      if (fromString && typeof value === "string" && /^-?\d+$/.test(value)) {
+        value = Number(value);
+      }
+      return Number.isSafeInteger(value)
+        ? { value: value, error: null }
+        : { value: value, error: "must be an integer" };
+
+    case "boolean":
+      if (fromString && (value === "true" || value === "false")) {
+        value = value === "true";
+      }
+      return typeof value === "boolean"
+        ? { value: value, error: null }
+        : { value: value, error: "must be a boolean" };
+
+    default:
+      throw new Error(`Unsupported schema type: ${rule.type}`);
+  }
+};
+
+/**
+ * Validates and normalizes a single field.
+ * @param {*} raw - Raw value from the request.
+ * @param {Object} rule - Field rule.
+ * @param {boolean} fromString - Whether the value comes from the URL.
+ * @returns {{value: *, error: string|null}} Normalized value (the rule's
+ * default, or undefined, if the field is absent), or the reason it is invalid.
+ */
+const checkField = (raw, rule, fromString) => {
+  if (raw === undefined || raw === null) {
+    return rule.required
+      ? { value: undefined, error: "is required" }
+      : { value: rule.default, error: null };
+  }
+
+  let { value, error } = coerce(raw, rule, fromString);
+  if (error) {
+    return { value: undefined, error: error };
+  }
+
+  if (rule.type === "string") {
+    if (rule.trim) value = value.trim();
+    if (rule.lowercase) value = value.toLowerCase();
+
+    if (value === "") {
+      return rule.required
+        ? { value: undefined, error: "is required" }
+        : { value: rule.default, error: null };
+    }
+
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      return {
+        value: undefined,
+        error: `must be at least ${rule.minLength} characters long`,
+      };
+    }
+
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      return {
+        value: undefined,
+        error: `must be at most ${rule.maxLength} characters long`,
+      };
+    }
+
+    if (rule.format && !FORMATS[rule.format](value)) {
+      return {
+        value: undefined,
+        error: `must be ${FORMAT_NAMES[rule.format]}`,
+      };
+    }
+  }
+
+  if (rule.type === "integer") {
+    if (rule.min !== undefined && value < rule.min) {
+      return { value: undefined, error: `must be at least ${rule.min}` };
+    }
+
+    if (rule.max !== undefined && value > rule.max) {
+      return { value: undefined, error: `must be at most ${rule.max}` };
+    }
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return {
+      value: undefined,
+      error: `must be one of: ${rule.enum.join(", ")}`,
+    };
+  }
+
+  return { value: value, error: null };
+};
+
+/**
+ * Validates one part of the request against its field rules.
+ * Fields without a rule are dropped from the result.
+ * @param {string} location - Request part ("body", "params" or "query").
+ * @param {*} input - The request part's raw content.
+ * @param {Object<string, Object>} fields - Field rules by name.
+ * @returns {{values: Object, errors: Array<Object>}} Normalized fields and field errors.
+ */
+const checkLocation = (location, input, fields) => {
+  const values = {};
+  const errors = [];
+
+  if (
+    input !== undefined &&
+    (typeof input !== "object" || Array.isArray(input))
+  ) {
+    errors.push({
+      location: location,
+      field: null,
+      message: `${location} must be a JSON object`,
+    });
+    return { values, errors };
+  }
+
+  for (const [field, rule] of Object.entries(fields)) {
+    const { value, error } = checkField(
+      input?.[field],
+      rule,
+      location !== "body"
+    );
+
+    if (error) {
+      errors.push({
+        location: location,
+        field: field,
+        message: `${field} ${error}`,
+      });
+    } else if (value !== undefined) {
+      values[field] = value;
+    }
+  }
+
+  return { values, errors };
+};
+
+/**
+ * Creates a middleware that validates the request against a schema.
+ *
+ * Every described part of the request is replaced by its normalized fields:
+ * values are converted to their declared types, strings are trimmed where
+ * the rule asks for it and fields the schema does not mention are removed.
+ * Parts the schema does not describe are left as they are. If any field is
+ * invalid, the request is rejected with a 422 listing every field error.
+ *
+ * Mount it after authentication and authorization, so unauthenticated
+ * callers learn nothing about the expected input.
+ *
+ * @function validate
+ * @param {Object} schema - Field rules by request part.
+ * @param {Object<string, Object>} [schema.body] - Rules for body fields.
+ * @param {Object<string, Object>} [schema.params] - Rules for route parameters.
+ * @param {Object<string, Object>} [schema.query] - Rules for query string values.
+ * @returns {function} Express middleware function.
+ *
+ * @example
+ * router.post(
+ *   '/login',
+ *   validate({
+ *     body: {
+ *       email: { type: 'string', required: true, trim: true, format: 'email' },
+ *       password: { type: 'string', required: true },
+ *     },
+ *   }),
+ *   login
+ * );
+ */
+export const validate = (schema) => (req, res, next) => {
+  const errors = [];
+
+  for (const location of LOCATIONS) {
+    if (!schema[location]) continue;
+
+    const result = checkLocation(location, req[location], schema[location]);
+    errors.push(...result.errors);
+
+    // Express 5 exposes req.query through a getter, so it cannot be assigned
+    Object.defineProperty(req, location, {
+      value: result.values,
+      writable: true,
+      configurable: true,
+      enumerable: true,
+    });
+  }
+
+  if (errors.length > 0) {
+    res.locals.failureMessage = "Request validation failed";
+    return next(new ValidationError(errors));
+  }
+
+  next();
+};
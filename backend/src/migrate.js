@@ -0,0 +1,207 @@
+/**
+ * @file Command-line runner for the versioned database migrations in ./migrations.
+ * @module migrate
+ * @requires fs/promises
+ * @requires path
+ * @requires url
+ * @requires ./config/db.config
+ * @requires ./util/datetime.util
+ *
+ * @example
+ * npm run migrate              // apply every pending migration
+ * npm run migrate:down         // roll back the most recently applied migration
+ * npm run migrate:down -- 3    // roll back the three most recent migrations
+ * npm run migrate:status       // list applied and pending migrations
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import pool from "./config/db.config.js";
+import DatetimeUtil from "./util/datetime.util.js";
+
+// ES Modules alternative for __dirname
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Directory containing migration modules.
+ * Each module is named `<NNN>_<description>.js` and exports async `up` and
+ * `down` functions that receive a mysql2/promise connection.
+ * @constant {string}
+ */
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+
+/**
+ * Creates the `schema_migrations` tracking table if it does not exist yet.
+ * @async
+ * @param {Object} connection - mysql2/promise connection.
+ * @returns {Promise<void>}
+ */
+const ensureMigrationsTable = async (connection) => {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(255) NOT NULL,
+      applied_at DATETIME NOT NULL,
+      PRIMARY KEY (version)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+};
+
+/**
+ * Lists the available migrations, ordered by version.
+ * @async
+ * @returns {Promise<Array<string>>} Migration versions (file names without extension).
+ */
+const listMigrations = async () => {
+  const files = await fs.readdir(MIGRATIONS_DIR);
+  return files
+    .filter((file) => /^\d+_.+\.js$/.test(file))
+    .sort()
+    .map((file) => path.basename(file, ".js"));
+};
+
+/**
+ * Fetches the versions already applied to the database, oldest first.
+ * @async
+ * @param {Object} connection - mysql2/promise connection.
+ * @returns {Promise<Array<string>>} Applied migration versions.
+ */
+const listAppliedMigrations = async (connection) => {
+  const [rows] = await connection.query(
+    "SELECT version FROM schema_migrations ORDER BY version"
+  );
+  return rows.map((row) => row.version);
+};
+
+/**
+ * Loads a migration module.
+ * @async
+ * @param {string} version - Migration version (file name without extension).
+ * @returns {Promise<Object>} Module exporting `up` and `down`.
+ */
+const loadMigration = (version) =>
+  import(pathToFileURL(path.join(MIGRATIONS_DIR, `${version}.js`)).href);
+
+/**
+ * Applies every pending migration in version order.
+ * Stops at the first failure; migrations applied before it stay recorded.
+ * @async
+ * @param {Object} connection - mysql2/promise connection.
+ * @returns {Promise<void>}
+ */
+const migrateUp = async (connection) => {
+  const applied = await listAppliedMigrations(connection);
+  const pending = (await listMigrations()).filter(
+    (version) => !applied.includes(version)
+  );
+
+  if (pending.length === 0) {
+    console.log("No pending migrations.");
+    return;
+  }
+
+  for (const version of pending) {
+    const migration = await loadMigration(version);
+    await migration.up(connection);
+    await connection.query(
+      "INSERT INTO schema_migrations (version, applied_at) VALUES (?, ?)",
+      [version, DatetimeUtil.now()]
+    );
+    console.log(`Applied ${version}`);
+  }
+};
+
+/**
+ * Rolls back the most recently applied migrations.
+ * @async
+ * @param {Object} connection - mysql2/promise connection.
+ * @param {number} steps - Number of migrations to roll back.
+ * @returns {Promise<void>}
+ */
+const migrateDown = async (connection, steps) => {
+  const applied = await listAppliedMigrations(connection);
+  const toRollBack = applied.slice(-steps).reverse();
+
+  if (toRollBack.length === 0) {
+    console.log("No migrations to roll back.");
+    return;
+  }
+
+  for (const version of toRollBack) {
+    const migration = await loadMigration(version);
+    await migration.down(connection);
+    await connection.query("DELETE FROM schema_migrations WHERE version = ?", [
+      version,
+    ]);
+    console.log(`Rolled back ${version}`);
+  }
+};
+
+/**
+ * Prints every known migration with its applied/pending status.
+ * @async
+ * @param {Object} connection - mysql2/promise connection.
+ * @returns {Promise<void>}
+ */
+const printStatus = async (connection) => {
+  const applied = await listAppliedMigrations(connection);
+  const available = await listMigrations();
+
+  for (const version of available) {
+    const status = applied.includes(version) ? "applied" : "pending";
+    console.log(`${status.padEnd(8)} ${version}`);
+  }
+
+  // Versions recorded in the database whose file no longer exists
+  for (const version of applied.filter((v) => !available.includes(v))) {
+    console.log(`${"missing".padEnd(8)} ${version}`);
+  }
+};
+
+/**
+ * Runs the command given on the command line.
+ * @async
+ * @param {string} [command="up"] - One of "up", "down" or "status".
+ * @param {string} [steps="1"] - Number of migrations to roll back for "down".
+ * @returns {Promise<void>}
+ */
+const run = async (command = "up", steps = "1") => {
+  const connection = await pool.getConnection();
+
+  try {
+    await ensureMigrationsTable(connection);
+
+    switch (command) {
+      case "up":
+        await migrateUp(connection);
+        break;
+
+      case "down": {
+        const count = Number.parseInt(steps, 10);
+        if (!Number.isInteger(count) || count < 1) {
+          throw new Error(`Invalid number of steps: ${steps}`);
+        }
+        await migrateDown(connection, count);
+        break;
+      }
+
+      case "status":
+        await printStatus(connection);
+        break;
+
+      default:
+        throw new Error(
+          `Unknown command "${command}" (expected up, down or status)`
+        );
+    }
+  } finally {
+    connection.release();
+    await pool.end();
+  }
+};
+
+run(process.argv[2], process.argv[3]).catch((error) => {
+  console.error("Migration failed:", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,57 @@
+/**
+ * @file Creates the `user` table queried by the User model.
+ * @module migrations/001_create_user_table
+ * @requires ../util/migration.util
+ *
+ * Databases set up before migrations existed already have this table. It is
+ * adopted instead of created: the columns and index names later migrations
+ * rely on are added to it where they are missing.
+ */
+
+import MigrationUtil from "../util/migration.util.js";
+
+/**
+ * Applies the migration.
+ * @async
+ * @param {Object} connection - mysql2/promise connection.
+ * @returns {Promise<void>}
+ */
+export const up = async (connection) => {
+  if (await MigrationUtil.tableExists(connection, "user")) {
+    if (!(await MigrationUtil.columnExists(connection, "user", "created_at"))) {
+      await connection.query(`
+        ALTER TABLE user
+          ADD COLUMN created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+      `);
+    }
+    await MigrationUtil.nameUniqueIndex(
+      connection,
+      "user",
+      "email",
+      "uq_user_email"
+    );
+    return;
+  }
+
+  await connection.query(`
+    CREATE TABLE user (
+      id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      email VARCHAR(255) NOT NULL,
+      full_name VARCHAR(255) NOT NULL,
+      password VARCHAR(255) NOT NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      UNIQUE KEY uq_user_email (email)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+};
+
+/**
+ * Reverts the migration.
+ * @async
+ * @param {Object} connection - mysql2/promise connection.
+ * @returns {Promise<void>}
+ */
+export const down = async (connection) => {
+  await connection.query("DROP TABLE user");
+};
@@ -0,0 +1,67 @@
+/**
+ * @file Creates the `jwt_whitelist` table holding issued refresh tokens.
+ * @module migrations/002_create_jwt_whitelist_table
+ * @requires ../util/migration.util
+ *
+ * Databases set up before migrations existed already have this table. It is
+ * adopted instead of created: the columns and index names later migrations
+ * rely on are added to it where they are missing.
+ */
+
+import MigrationUtil from "../util/migration.util.js";
+
+/**
+ * Applies the migration.
+ * @async
+ * @param {Object} connection - mysql2/promise connection.
+ * @returns {Promise<void>}
+ */
+export const up = async (connection) => {
+  if (await MigrationUtil.tableExists(connection, "jwt_whitelist")) {
+    if (
+      !(await MigrationUtil.columnExists(
+        connection,
+        "jwt_whitelist",
+        "last_used_at"
+      ))
+    ) {
+      await connection.query(`
+        ALTER TABLE jwt_whitelist
+          ADD COLUMN last_used_at DATETIME NULL AFTER created_at
+      `);
+    }
+    await MigrationUtil.nameUniqueIndex(
+      connection,
+      "jwt_whitelist",
+      "refresh_token",
+      "uq_jwt_whitelist_refresh_token"
+    );
+    return;
+  }
+
+  await connection.query(`
+    CREATE TABLE jwt_whitelist (
+      id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      user_id INT UNSIGNED NOT NULL,
+      refresh_token VARCHAR(512) NOT NULL,
+      expires_at DATETIME NOT NULL,
+      created_at DATETIME NOT NULL,
+      last_used_at DATETIME NULL,
+      PRIMARY KEY (id),
+      UNIQUE KEY uq_jwt_whitelist_refresh_token (refresh_token),
+      KEY idx_jwt_whitelist_expires_at (expires_at),
+      CONSTRAINT fk_jwt_whitelist_user FOREIGN KEY (user_id)
+        REFERENCES user (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+};
+
+/**
+ * Reverts the migration.
+ * @async
+ * @param {Object} connection - mysql2/promise connection.
+ * @returns {Promise<void>}
+ */
+export const down = async (connection) => {
+  await connection.query("DROP TABLE jwt_whitelist");
+};
@@ -0,0 +1,39 @@
+/**
+ * @file Creates the `user_role` table and grants the default role to existing users.
+ * @module migrations/003_create_user_role_table
+ */
+
+/**
+ * Applies the migration.
+ * @async
+ * @param {Object} connection - mysql2/promise connection.
+ * @returns {Promise<void>}
+ */
+export const up = async (connection) => {
+  await connection.query(`
+    CREATE TABLE user_role (
+      user_id INT UNSIGNED NOT NULL,
+      role VARCHAR(32) NOT NULL,
+      created_at DATETIME NOT NULL,
+      PRIMARY KEY (user_id, role),
+      CONSTRAINT fk_user_role_user FOREIGN KEY (user_id)
+        REFERENCES user (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  // Accounts registered before roles existed get the default role
+  await connection.query(`
+    INSERT INTO user_role (user_id, role, created_at)
+    SELECT id, 'user', NOW() FROM user
+  `);
+};
+
+/**
+ * Reverts the migration.
+ * @async
+ * @param {Object} connection - mysql2/promise connection.
+ * @returns {Promise<void>}
+ */
+export const down = async (connection) => {
+  await connection.query("DROP TABLE user_role");
+};
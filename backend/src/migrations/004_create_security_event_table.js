@@ -0,0 +1,36 @@
+/**
+ * @file Creates the `security_event` table used to record security incidents.
+ * @module migrations/004_create_security_event_table
+ */
+
+/**
+ * Applies the migration.
+ * No foreign key on `user_id`, so events outlive the accounts they concern.
+ * @async
+ * @param {Object} connection - mysql2/promise connection.
+ * @returns {Promise<void>}
+ */
+export const up = async (connection) => {
+  await connection.query(`
+    CREATE TABLE security_event (
+      id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      user_id INT UNSIGNED NULL,
+      event_type VARCHAR(64) NOT NULL,
+      details JSON NULL,
+      created_at DATETIME NOT NULL,
+      PRIMARY KEY (id),
+      KEY idx_security_event_user (user_id),
+      KEY idx_security_event_type (event_type)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+};
+
+/**
+ * Reverts the migration.
+ * @async
+ * @param {Object} connection - mysql2/promise connection.
+ * @returns {Promise<void>}
+ */
+export const down = async (connection) => {
+  await connection.query("DROP TABLE security_event");
+};
@@ -0,0 +1,32 @@
+/**
+ * @file Adds the user agent and IP address captured at login to `jwt_whitelist`.
+ * @module migrations/005_add_session_metadata_to_jwt_whitelist
+ */
+
+/**
+ * Applies the migration.
+ * @async
+ * @param {Object} connection - mysql2/promise connection.
+ * @returns {Promise<void>}
+ */
+export const up = async (connection) => {
+  await connection.query(`
+    ALTER TABLE jwt_whitelist
+      ADD COLUMN user_agent VARCHAR(512) NULL AFTER user_id,
+      ADD COLUMN ip_address VARCHAR(45) NULL AFTER user_agent
+  `);
+};
+
+/**
+ * Reverts the migration.
+ * @async
+ * @param {Object} connection - mysql2/promise connection.
+ * @returns {Promise<void>}
+ */
+export const down = async (connection) => {
+  await connection.query(`
+    ALTER TABLE jwt_whitelist
+      DROP COLUMN user_agent,
+      DROP COLUMN ip_address
+  `);
+};
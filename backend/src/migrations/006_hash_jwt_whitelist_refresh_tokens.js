@@ -0,0 +1,60 @@
+/**
+ * @file Replaces the plaintext `jwt_whitelist.refresh_token` column with a keyed hash.
+ * @module migrations/006_hash_jwt_whitelist_refresh_tokens
+ * @requires ../util/tokenHash.util
+ */
+
+import TokenHashUtil from "../util/tokenHash.util.js";
+
+/**
+ * Applies the migration.
+ * Existing rows are hashed with REFRESH_TOKEN_PEPPER so live sessions keep
+ * working; the pepper must therefore be set before running it.
+ * @async
+ * @param {Object} connection - mysql2/promise connection.
+ * @returns {Promise<void>}
+ */
+export const up = async (connection) => {
+  await connection.query(`
+    ALTER TABLE jwt_whitelist
+      ADD COLUMN token_hash CHAR(64) NULL AFTER user_id
+  `);
+
+  const [rows] = await connection.query(
+    "SELECT id, refresh_token FROM jwt_whitelist"
+  );
+
+  for (const row of rows) {
+    await connection.query(
+      "UPDATE jwt_whitelist SET token_hash = ? WHERE id = ?",
+      [TokenHashUtil.hash(row.refresh_token), row.id]
+    );
+  }
+
+  await connection.query(`
+    ALTER TABLE jwt_whitelist
+      MODIFY COLUMN token_hash CHAR(64) NOT NULL,
+      ADD UNIQUE KEY uq_jwt_whitelist_token_hash (token_hash),
+      DROP INDEX uq_jwt_whitelist_refresh_token,
+      DROP COLUMN refresh_token
+  `);
+};
+
+/**
+ * Reverts the migration.
+ * Hashes cannot be turned back into tokens, so every whitelisted refresh
+ * token is deleted and all users have to log in again.
+ * @async
+ * @param {Object} connection - mysql2/promise connection.
+ * @returns {Promise<void>}
+ */
+export const down = async (connection) => {
+  await connection.query("DELETE FROM jwt_whitelist");
+  await connection.query(`
+    ALTER TABLE jwt_whitelist
+      ADD COLUMN refresh_token VARCHAR(512) NOT NULL AFTER user_id,
+      ADD UNIQUE KEY uq_jwt_whitelist_refresh_token (refresh_token),
+      DROP INDEX uq_jwt_whitelist_token_hash,
+      DROP COLUMN token_hash
+  `);
+};
@@ -0,0 +1,34 @@
+/**
+ * @file Creates the `login_attempt` table tracking failed logins per account and per IP.
+ * @module migrations/007_create_login_attempt_table
+ */
+
+/**
+ * Applies the migration.
+ * @async
+ * @param {Object} connection - mysql2/promise connection.
+ * @returns {Promise<void>}
+ */
+export const up = async (connection) => {
+  await connection.query(`
+    CREATE TABLE login_attempt (
+      subject_type ENUM('account', 'ip') NOT NULL,
+      subject_key VARCHAR(255) NOT NULL,
+      failure_count INT UNSIGNED NOT NULL DEFAULT 0,
+      last_failure_at DATETIME NOT NULL,
+      blocked_until DATETIME NULL,
+      is_lockout BOOLEAN NOT NULL DEFAULT FALSE,
+      PRIMARY KEY (subject_type, subject_key)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+};
+
+/**
+ * Reverts the migration.
+ * @async
+ * @param {Object} connection - mysql2/promise connection.
+ * @returns {Promise<void>}
+ */
+export const down = async (connection) => {
+  await connection.query("DROP TABLE login_attempt");
+};
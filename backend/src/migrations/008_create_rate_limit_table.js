@@ -0,0 +1,32 @@
+/**
+ * @file Creates the `rate_limit` table used by the MySQL rate limit store.
+ * @module migrations/008_create_rate_limit_table
+ */
+
+/**
+ * Applies the migration.
+ * @async
+ * @param {Object} connection - mysql2/promise connection.
+ * @returns {Promise<void>}
+ */
+export const up = async (connection) => {
+  await connection.query(`
+    CREATE TABLE rate_limit (
+      bucket_key VARCHAR(255) NOT NULL,
+      hit_count INT UNSIGNED NOT NULL,
+      expires_at DATETIME NOT NULL,
+      PRIMARY KEY (bucket_key),
+      KEY idx_rate_limit_expires_at (expires_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+};
+
+/**
+ * Reverts the migration.
+ * @async
+ * @param {Object} connection - mysql2/promise connection.
+ * @returns {Promise<void>}
+ */
+export const down = async (connection) => {
+  await connection.query("DROP TABLE rate_limit");
+};
@@ -0,0 +1,46 @@
+/**
+ * @file Adds `email_verified_at` to `user` and creates the `email_verification_token` table.
+ * @module migrations/009_add_email_verification
+ */
+
+/**
+ * Applies the migration.
+ * @async
+ * @param {Object} connection - mysql2/promise connection.
+ * @returns {Promise<void>}
+ */
+export const up = async (connection) => {
+  await connection.query(`
+    ALTER TABLE user
+      ADD COLUMN email_verified_at DATETIME NULL AFTER password
+  `);
+
+  // Accounts registered before verification existed are trusted as verified
+  await connection.query("UPDATE user SET email_verified_at = NOW()");
+
+  await connection.query(`
+    CREATE TABLE email_verification_token (
+      id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      user_id INT UNSIGNED NOT NULL,
+      token_hash CHAR(64) NOT NULL,
+      expires_at DATETIME NOT NULL,
+      created_at DATETIME NOT NULL,
+      PRIMARY KEY (id),
+      UNIQUE KEY uq_email_verification_token_hash (token_hash),
+      KEY idx_email_verification_token_user (user_id),
+      CONSTRAINT fk_email_verification_token_user FOREIGN KEY (user_id)
+        REFERENCES user (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+};
+
+/**
+ * Reverts the migration.
+ * @async
+ * @param {Object} connection - mysql2/promise connection.
+ * @returns {Promise<void>}
+ */
+export const down = async (connection) => {
+  await connection.query("DROP TABLE email_verification_token");
+  await connection.query("ALTER TABLE user DROP COLUMN email_verified_at");
+};
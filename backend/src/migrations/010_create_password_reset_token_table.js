@@ -0,0 +1,37 @@
+/**
+ * @file Creates the `password_reset_token` table holding hashed, single-use password reset tokens.
+ * @module migrations/010_create_password_reset_token_table
+ */
+
+/**
+ * Applies the migration.
+ * @async
+ * @param {Object} connection - mysql2/promise connection.
+ * @returns {Promise<void>}
+ */
+export const up = async (connection) => {
+  await connection.query(`
+    CREATE TABLE password_reset_token (
+      id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      user_id INT UNSIGNED NOT NULL,
+      token_hash CHAR(64) NOT NULL,
+      expires_at DATETIME NOT NULL,
+      created_at DATETIME NOT NULL,
+      PRIMARY KEY (id),
+      UNIQUE KEY uq_password_reset_token_hash (token_hash),
+      KEY idx_password_reset_token_user (user_id),
+      CONSTRAINT fk_password_reset_token_user FOREIGN KEY (user_id)
+        REFERENCES user (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+};
+
+/**
+ * Reverts the migration.
+ * @async
+ * @param {Object} connection - mysql2/promise connection.
+ * @returns {Promise<void>}
+ */
+export const down = async (connection) => {
+  await connection.query("DROP TABLE password_reset_token");
+};
@@ -0,0 +1,49 @@
+/**
+ * @file Creates the `user_mfa` and `mfa_recovery_code` tables for TOTP two-factor authentication.
+ * @module migrations/011_create_mfa_tables
+ */
+
+/**
+ * Applies the migration.
+ * @async
+ * @param {Object} connection - mysql2/promise connection.
+ * @returns {Promise<void>}
+ */
+export const up = async (connection) => {
+  await connection.query(`
+    CREATE TABLE user_mfa (
+      user_id INT UNSIGNED NOT NULL,
+      secret_ciphertext VARCHAR(255) NOT NULL,
+      enabled_at DATETIME NULL,
+      last_used_step BIGINT UNSIGNED NULL,
+      created_at DATETIME NOT NULL,
+      PRIMARY KEY (user_id),
+      CONSTRAINT fk_user_mfa_user FOREIGN KEY (user_id)
+        REFERENCES user (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await connection.query(`
+    CREATE TABLE mfa_recovery_code (
+      id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      user_id INT UNSIGNED NOT NULL,
+      code_hash CHAR(64) NOT NULL,
+      created_at DATETIME NOT NULL,
+      PRIMARY KEY (id),
+      UNIQUE KEY uq_mfa_recovery_code_user_hash (user_id, code_hash),
+      CONSTRAINT fk_mfa_recovery_code_user FOREIGN KEY (user_id)
+        REFERENCES user (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+};
+
+/**
+ * Reverts the migration.
+ * @async
+ * @param {Object} connection - mysql2/promise connection.
+ * @returns {Promise<void>}
+ */
+export const down = async (connection) => {
+  await connection.query("DROP TABLE mfa_recovery_code");
+  await connection.query("DROP TABLE user_mfa");
+};
@@ -0,0 +1,45 @@
+/**
+ * @file Creates the `access_token_denylist` and `access_token_cutoff` tables used to revoke access tokens before they expire.
+ * @module migrations/012_create_access_token_revocation_tables
+ */
+
+/**
+ * Applies the migration.
+ * The cutoff table has no foreign key to `user` so that a deleted user's
+ * cutoff outlives the account and keeps its tokens rejected.
+ * @async
+ * @param {Object} connection - mysql2/promise connection.
+ * @returns {Promise<void>}
+ */
+export const up = async (connection) => {
+  await connection.query(`
+    CREATE TABLE access_token_denylist (
+      jti CHAR(36) NOT NULL,
+      user_id INT UNSIGNED NOT NULL,
+      expires_at DATETIME NOT NULL,
+      created_at DATETIME NOT NULL,
+      PRIMARY KEY (jti),
+      KEY idx_access_token_denylist_expires_at (expires_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await connection.query(`
+    CREATE TABLE access_token_cutoff (
+      user_id INT UNSIGNED NOT NULL,
+      issued_before BIGINT UNSIGNED NOT NULL,
+      updated_at DATETIME NOT NULL,
+      PRIMARY KEY (user_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+};
+
+/**
+ * Reverts the migration.
+ * @async
+ * @param {Object} connection - mysql2/promise connection.
+ * @returns {Promise<void>}
+ */
+export const down = async (connection) => {
+  await connection.query("DROP TABLE access_token_cutoff");
+  await connection.query("DROP TABLE access_token_denylist");
+};
@@ -0,0 +1,27 @@
+/**
+ * @file Adds `disabled_at` to `user` so administrators can disable accounts without deleting them.
+ * @module migrations/013_add_user_disabled_at
+ */
+
+/**
+ * Applies the migration.
+ * @async
+ * @param {Object} connection - mysql2/promise connection.
+ * @returns {Promise<void>}
+ */
+export const up = async (connection) => {
+  await connection.query(`
+    ALTER TABLE user
+      ADD COLUMN disabled_at DATETIME NULL AFTER email_verified_at
+  `);
+};
+
+/**
+ * Reverts the migration.
+ * @async
+ * @param {Object} connection - mysql2/promise connection.
+ * @returns {Promise<void>}
+ */
+export const down = async (connection) => {
+  await connection.query("ALTER TABLE user DROP COLUMN disabled_at");
+};
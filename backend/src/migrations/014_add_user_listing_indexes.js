@@ -0,0 +1,35 @@
+/**
+ * @file Adds indexes on `user` for the sort orders offered by the user listing.
+ * @module migrations/014_add_user_listing_indexes
+ *
+ * Each index ends in `id`, the listing's tie-breaker, so keyset pages can be
+ * read straight from the index. Sorting by email uses the existing unique key.
+ */
+
+/**
+ * Applies the migration.
+ * @async
+ * @param {Object} connection - mysql2/promise connection.
+ * @returns {Promise<void>}
+ */
+export const up = async (connection) => {
+  await connection.query(`
+    ALTER TABLE user
+      ADD KEY idx_user_created_at (created_at, id),
+      ADD KEY idx_user_full_name (full_name, id)
+  `);
+};
+
+/**
+ * Reverts the migration.
+ * @async
+ * @param {Object} connection - mysql2/promise connection.
+ * @returns {Promise<void>}
+ */
+export const down = async (connection) => {
+  await connection.query(`
+    ALTER TABLE user
+      DROP KEY idx_user_created_at,
+      DROP KEY idx_user_full_name
+  `);
+};
@@ -0,0 +1,53 @@
+/**
+ * @file Adds `deleted_at` to `user` so deleting a user keeps its row until it is purged.
+ * @module migrations/015_add_user_soft_delete
+ *
+ * Email addresses only need to be unique among users that are not deleted, so
+ * a deleted user's address can be registered again. The unique key moves to
+ * the generated `active_email` column, which is NULL for deleted users.
+ */
+
+/**
+ * Applies the migration.
+ * @async
+ * @param {Object} connection - mysql2/promise connection.
+ * @returns {Promise<void>}
+ */
+export const up = async (connection) => {
+  await connection.query(`
+    ALTER TABLE user
+      ADD COLUMN deleted_at DATETIME NULL AFTER disabled_at,
+      ADD KEY idx_user_deleted_at (deleted_at)
+  `);
+
+  await connection.query(`
+    ALTER TABLE user
+      ADD COLUMN active_email VARCHAR(255)
+        AS (IF(deleted_at IS NULL, email, NULL)) STORED AFTER deleted_at,
+      ADD UNIQUE KEY uq_user_active_email (active_email),
+      ADD KEY idx_user_email (email),
+      DROP KEY uq_user_email
+  `);
+};
+
+/**
+ * Reverts the migration.
+ * Deleted users are purged first, since they may share an email address with
+ * an active user and would break the restored unique key.
+ * @async
+ * @param {Object} connection - mysql2/promise connection.
+ * @returns {Promise<void>}
+ */
+export const down = async (connection) => {
+  await connection.query("DELETE FROM user WHERE deleted_at IS NOT NULL");
+
+  await connection.query(`
+    ALTER TABLE user
+      ADD UNIQUE KEY uq_user_email (email),
+      DROP KEY idx_user_email,
+      DROP KEY uq_user_active_email,
+      DROP COLUMN active_email,
+      DROP KEY idx_user_deleted_at,
+      DROP COLUMN deleted_at
+  `);
+};
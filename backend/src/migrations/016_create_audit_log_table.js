@@ -0,0 +1,42 @@
+/**
+ * @file Creates the append-only `audit_log` table recording authentication and account-management events.
+ * @module migrations/016_create_audit_log_table
+ */
+
+/**
+ * Applies the migration.
+ * No foreign keys on the user columns, so entries outlive purged accounts.
+ * @async
+ * @param {Object} connection - mysql2/promise connection.
+ * @returns {Promise<void>}
+ */
+export const up = async (connection) => {
+  await connection.query(`
+    CREATE TABLE audit_log (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+      action VARCHAR(64) NOT NULL,
+      outcome ENUM('success', 'failure') NOT NULL,
+      actor_user_id INT UNSIGNED NULL,
+      target_user_id INT UNSIGNED NULL,
+      ip_address VARCHAR(45) NULL,
+      user_agent VARCHAR(512) NULL,
+      details JSON NULL,
+      created_at DATETIME NOT NULL,
+      PRIMARY KEY (id),
+      KEY idx_audit_log_created_at (created_at),
+      KEY idx_audit_log_actor (actor_user_id, id),
+      KEY idx_audit_log_target (target_user_id, id),
+      KEY idx_audit_log_action (action, id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+};
+
+/**
+ * Reverts the migration.
+ * @async
+ * @param {Object} connection - mysql2/promise connection.
+ * @returns {Promise<void>}
+ */
+export const down = async (connection) => {
+  await connection.query("DROP TABLE audit_log");
+};
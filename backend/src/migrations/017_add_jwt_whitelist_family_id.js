@@ -0,0 +1,83 @@
+/**
+ * @file Adds `family_id` to `jwt_whitelist` so rotated refresh tokens can be traced back to the login that started them.
+ * @module migrations/017_add_jwt_whitelist_family_id
+ * @requires ../util/migration.util
+ *
+ * A table created by 002_create_jwt_whitelist_table has no `family_id`. A
+ * table set up before migrations existed and adopted by 002 may already have
+ * one; it is then completed instead of added: rows without a family get one,
+ * and the column and its index are brought to the same definition. Either way
+ * this migration owns the column and its index, and `down` removes both.
+ */
+
+import MigrationUtil from "../util/migration.util.js";
+
+/**
+ * Applies the migration.
+ * Every existing refresh token without a family starts a family of its own.
+ * @async
+ * @param {Object} connection - mysql2/promise connection.
+ * @returns {Promise<void>}
+ */
+export const up = async (connection) => {
+  if (
+    !(await MigrationUtil.columnExists(
+      connection,
+      "jwt_whitelist",
+      "family_id"
+    ))
+  ) {
+    await connection.query(`
+      ALTER TABLE jwt_whitelist
+        ADD COLUMN family_id CHAR(36) NULL AFTER user_id
+    `);
+  }
+
+  await connection.query(
+    "UPDATE jwt_whitelist SET family_id = UUID() WHERE family_id IS NULL"
+  );
+  await connection.query(`
+    ALTER TABLE jwt_whitelist
+      MODIFY COLUMN family_id CHAR(36) NOT NULL
+  `);
+
+  const indexes = await MigrationUtil.indexesStartingWith(
+    connection,
+    "jwt_whitelist",
+    "user_id"
+  );
+  if (!indexes.includes("idx_jwt_whitelist_user_family")) {
+    await connection.query(`
+      ALTER TABLE jwt_whitelist
+        ADD KEY idx_jwt_whitelist_user_family (user_id, family_id)
+    `);
+  }
+};
+
+/**
+ * Reverts the migration.
+ * The foreign key on `user_id` needs an index of its own once the family
+ * index is gone, unless the table already has another one.
+ * @async
+ * @param {Object} connection - mysql2/promise connection.
+ * @returns {Promise<void>}
+ */
+export const down = async (connection) => {
+  const indexes = await MigrationUtil.indexesStartingWith(
+    connection,
+    "jwt_whitelist",
+    "user_id"
+  );
+  if (indexes.every((name) => name === "idx_jwt_whitelist_user_family")) {
+    await connection.query(`
+      ALTER TABLE jwt_whitelist
+        ADD KEY idx_jwt_whitelist_user (user_id)
+    `);
+  }
+
+  await connection.query(`
+    ALTER TABLE jwt_whitelist
+      DROP INDEX idx_jwt_whitelist_user_family,
+      DROP COLUMN family_id
+  `);
+};
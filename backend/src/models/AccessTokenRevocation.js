@@ -0,0 +1,105 @@
+/**
+ * @file AccessTokenRevocation model for handling database operations on revoked access tokens.
+ * @module models/AccessTokenRevocation
+ * @requires ../config/db.config
+ */
+
+import pool from "../config/db.config.js";
+
+/**
+ * Class representing AccessTokenRevocation model and its static methods for database operations.
+ * An access token is revoked either individually, by its `jti` in the
+ * denylist, or together with every other token of its user through a cutoff:
+ * tokens whose `iat` is earlier than the user's cutoff are no longer valid.
+ */
+class AccessTokenRevocation {
+  /**
+   * Adds an access token to the denylist.
+   * @static
+   * @async
+   * @param {Object} tokenData - Revoked token data.
+   * @param {string} tokenData.jti - Token ID.
+   * @param {number} tokenData.user_id - ID of the user the token was issued to.
+   * @param {string} tokenData.expires_at - Token expiry datetime; the entry can be purged after it.
+   * @param {string} tokenData.created_at - Revocation datetime.
+   * @returns {Promise<void>}
+   */
+  static async denyToken({ jti, user_id, expires_at, created_at }) {
+    await pool.query(
+      `INSERT IGNORE INTO access_token_denylist (jti, user_id, expires_at, created_at) 
+       VALUES (?, ?, ?, ?)`,
+      [jti, user_id, expires_at, created_at]
+    );
+  }
+
+  /**
+   * Sets the cutoff before which a user's access tokens are invalid.
+   * An existing cutoff is only ever moved forward.
+   * @static
+   * @async
+   * @param {Object} cutoffData - Cutoff data.
+   * @param {number} cutoffData.user_id - User ID.
+   * @param {number} cutoffData.issued_before - Cutoff as a Unix timestamp in seconds.
+   * @param {string} cutoffData.updated_at - Revocation datetime.
+   * @returns {Promise<void>}
+   */
+  static async setCutoff({ user_id, issued_before, updated_at }) {
+    await pool.query(
+      `INSERT INTO access_token_cutoff (user_id, issued_before, updated_at) 
+       VALUES (?, ?, ?) 
+       ON DUPLICATE KEY UPDATE 
+         issued_before = GREATEST(issued_before, VALUES(issued_before)), 
+         updated_at = VALUES(updated_at)`,
+      [user_id, issued_before, updated_at]
+    );
+  }
+
+  /**
+   * Fetches the revocation state of an access token in a single query.
+   * @static
+   * @async
+   * @param {Object} tokenData - Token lookup data.
+   * @param {string|null} tokenData.jti - Token ID, or null for tokens issued without one.
+   * @param {number} tokenData.user_id - ID of the user the token was issued to.
+   * @returns {Promise<Object>} Revocation state.
+   * @property {boolean} denied - Whether the token is on the denylist.
+   * @property {number|null} issued_before - The user's cutoff as a Unix timestamp, null if none.
+   */
+  static async findState({ jti, user_id }) {
+    const [rows] = await pool.query(
+      `SELECT 
+         EXISTS (SELECT 1 FROM access_token_denylist WHERE jti = ?) AS denied, 
+         (SELECT issued_before FROM access_token_cutoff WHERE user_id = ?) AS issued_before`,
+      [jti, user_id]
+    );
+
+    return {
+      denied: Boolean(rows[0].denied),
+      issued_before:
+        rows[0].issued_before === null ? null : Number(rows[0].issued_before),
+    };
+  }
+
+  /**
+   * Deletes one batch of denylist entries whose token has expired, as the
+   * token would be rejected for its expiry anyway.
+   * @static
+   * @async
+   * @param {Object} purgeData - Purge criteria.
+   * @param {string} purgeData.now - Current datetime.
+   * @param {number} purgeData.limit - Maximum number of rows to delete.
+   * @returns {Promise<number>} Number of entries removed.
+   */
+  static async deleteExpired({ now, limit }) {
+    const [result] = await pool.query(
+      `DELETE FROM access_token_denylist 
+       WHERE expires_at < ? 
+       LIMIT ?`,
+      [now, limit]
+    );
+
+    return result.affectedRows;
+  }
+}
+
+export default AccessTokenRevocation;
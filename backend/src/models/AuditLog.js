@@ -0,0 +1,165 @@
+/**
+ * @file AuditLog model for recording and reading audit log entries.
+ * @module models/AuditLog
+ * @requires ../config/db.config
+ * @requires ../util/datetime.util
+ *
+ * The audit log is append-only: this model can add and read entries but
+ * deliberately offers no way to change or remove them.
+ */
+
+import pool from "../config/db.config.js";
+import DatetimeUtil from "../util/datetime.util.js";
+
+/**
+ * Builds the WHERE conditions for the audit log filters.
+ * @param {Object} filters - Listing filters.
+ * @param {string} [filters.action] - Recorded action.
+ * @param {string} [filters.outcome] - "success" or "failure".
+ * @param {number} [filters.actor_user_id] - ID of the user who acted.
+ * @param {number} [filters.target_user_id] - ID of the user acted upon.
+ * @param {string} [filters.created_from] - Earliest date (YYYY-MM-DD), inclusive.
+ * @param {string} [filters.created_to] - Latest date (YYYY-MM-DD), inclusive.
+ * @returns {{conditions: Array<string>, params: Array<*>}} SQL conditions and their parameters.
+ */
+const filterConditions = ({
+  action,
+  outcome,
+  actor_user_id,
+  target_user_id,
+  created_from,
+  created_to,
+}) => {
+  const conditions = [];
+  const params = [];
+
+  if (action) {
+    conditions.push("action = ?");
+    params.push(action);
+  }
+
+  if (outcome) {
+    conditions.push("outcome = ?");
+    params.push(outcome);
+  }
+
+  if (actor_user_id) {
+    conditions.push("actor_user_id = ?");
+    params.push(actor_user_id);
+  }
+
+  if (target_user_id) {
+    conditions.push("target_user_id = ?");
+    params.push(target_user_id);
+  }
+
+  if (created_from) {
+    conditions.push("created_at >= ?");
+    params.push(created_from);
+  }
+
+  if (created_to) {
+    conditions.push("created_at < DATE_ADD(?, INTERVAL 1 DAY)");
+    params.push(created_to);
+  }
+
+  return { conditions, params };
+};
+
+/**
+ * Class representing AuditLog model for persisting who did what, to whom,
+ * from where and with which outcome.
+ */
+class AuditLog {
+  /**
+   * Appends an entry to the audit log.
+   * @static
+   * @async
+   * @param {Object} entryData - Audit log entry data.
+   * @param {string} entryData.action - Recorded action (see config/audit.config).
+   * @param {string} entryData.outcome - "success" or "failure".
+   * @param {number|null} [entryData.actor_user_id] - ID of the user who acted, if known.
+   * @param {number|null} [entryData.target_user_id] - ID of the user acted upon, if any.
+   * @param {string|null} [entryData.ip_address] - Client's IP address.
+   * @param {string|null} [entryData.user_agent] - Client's user agent.
+   * @param {Object|null} [entryData.details] - Additional context, stored as JSON.
+   * @returns {Promise<Object>} Created entry.
+   * @property {number} id - Database ID of the entry.
+   * @property {string} action - The recorded action.
+   * @property {string} outcome - The recorded outcome.
+   * @property {string} created_at - Datetime the entry was recorded.
+   */
+  static async create({
+    action,
+    outcome,
+    actor_user_id,
+    target_user_id,
+    ip_address,
+    user_agent,
+    details,
+  }) {
+    const created_at = DatetimeUtil.now();
+    const [result] = await pool.query(
+      `INSERT INTO audit_log (action, outcome, actor_user_id, target_user_id, ip_address, user_agent, details, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        action,
+        outcome,
+        actor_user_id ?? null,
+        target_user_id ?? null,
+        ip_address ?? null,
+        user_agent ?? null,
+        details ? JSON.stringify(details) : null,
+        created_at,
+      ]
+    );
+
+    return { id: result.insertId, action, outcome, created_at };
+  }
+
+  /**
+   * Fetches one page of audit log entries, newest first.
+   * Pass `before` to continue after the last entry of the previous page.
+   * @static
+   * @async
+   * @param {Object} options - Listing options.
+   * @param {Object} options.filters - Filters (action, outcome, actor_user_id,
+   * target_user_id, created_from, created_to).
+   * @param {number} options.limit - Maximum number of entries to return.
+   * @param {number} [options.before] - ID of the last entry already returned.
+   * @returns {Promise<Array<Object>>} Array of audit log entries.
+   * @property {number} id - Entry ID.
+   * @property {string} action - Recorded action.
+   * @property {string} outcome - "success" or "failure".
+   * @property {number|null} actor_user_id - ID of the user who acted.
+   * @property {number|null} target_user_id - ID of the user acted upon.
+   * @property {string|null} ip_address - Client's IP address.
+   * @property {string|null} user_agent - Client's user agent.
+   * @property {Object|null} details - Additional context.
+   * @property {string} created_at - When the entry was recorded (YYYY-MM-DD HH:mm:ss).
+   */
+  static async findPage({ filters, limit, before }) {
+    const { conditions, params } = filterConditions(filters);
+
+    if (before) {
+      conditions.push("id < ?");
+      params.push(before);
+    }
+
+    const where =
+      conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+
+    const [rows] = await pool.query(
+      `SELECT id, action, outcome, actor_user_id, target_user_id, ip_address, user_agent, details,
+              DATE_FORMAT(created_at, '%Y-%m-%d %H:%i:%s') AS created_at
+       FROM audit_log
+       ${where}
+       ORDER BY id DESC
+       LIMIT ?`,
+      [...params, limit]
+    );
+    return rows;
+  }
+}
+
+export default AuditLog;
@@ -0,0 +1,92 @@
+/**
+ * @file EmailVerification model for handling database operations on email verification tokens.
+ * @module models/EmailVerification
+ * @requires ../config/db.config
+ * @requires ../util/tokenHash.util
+ */
+
+import pool from "../config/db.config.js";
+import TokenHashUtil from "../util/tokenHash.util.js";
+
+/**
+ * Class representing EmailVerification model and its static methods for database operations.
+ * Only a keyed hash of each token is stored, so a leaked table cannot be
+ * used to verify addresses.
+ */
+class EmailVerification {
+  /**
+   * Stores a new verification token for a user.
+   * @static
+   * @async
+   * @param {Object} tokenData - Verification token data.
+   * @param {number} tokenData.user_id - ID of the user the token verifies.
+   * @param {string} tokenData.token - Plain token sent to the user.
+   * @param {string} tokenData.expires_at - Expiry datetime.
+   * @param {string} tokenData.created_at - Creation datetime.
+   * @returns {Promise<void>}
+   */
+  static async create({ user_id, token, expires_at, created_at }) {
+    await pool.query(
+      `INSERT INTO email_verification_token (user_id, token_hash, expires_at, created_at) 
+       VALUES (?, ?, ?, ?)`,
+      [user_id, TokenHashUtil.hash(token), expires_at, created_at]
+    );
+  }
+
+  /**
+   * Finds an unexpired verification token.
+   * @static
+   * @async
+   * @param {Object} tokenData - Token lookup data.
+   * @param {string} tokenData.token - Plain token to look up.
+   * @param {string} tokenData.now - Current datetime.
+   * @returns {Promise<Object|null>} Token entry if found and unexpired, null otherwise.
+   * @property {number} id - Token entry ID.
+   * @property {number} user_id - ID of the user the token verifies.
+   */
+  static async findValidByToken({ token, now }) {
+    const [rows] = await pool.query(
+      `SELECT id, user_id FROM email_verification_token 
+       WHERE token_hash = ? AND expires_at > ? 
+       LIMIT 1`,
+      [TokenHashUtil.hash(token), now]
+    );
+    return rows.length > 0 ? rows[0] : null;
+  }
+
+  /**
+   * Checks whether a verification token was issued to a user since a given datetime.
+   * @static
+   * @async
+   * @param {Object} lookupData - Lookup data.
+   * @param {number} lookupData.user_id - User ID to check.
+   * @param {string} lookupData.since - Datetime to check from.
+   * @returns {Promise<boolean>} True if a token was issued since then, false otherwise.
+   */
+  static async existsCreatedSince({ user_id, since }) {
+    const [rows] = await pool.query(
+      `SELECT 1 FROM email_verification_token 
+       WHERE user_id = ? AND created_at > ? 
+       LIMIT 1`,
+      [user_id, since]
+    );
+    return rows.length > 0;
+  }
+
+  /**
+   * Deletes every verification token of a user.
+   * @static
+   * @async
+   * @param {number} user_id - User ID whose tokens to delete.
+   * @returns {Promise<number>} Number of deleted tokens.
+   */
+  static async deleteByUserId(user_id) {
+    const [result] = await pool.query(
+      "DELETE FROM email_verification_token WHERE user_id = ?",
+      [user_id]
+    );
+    return result.affectedRows;
+  }
+}
+
+export default EmailVerification;
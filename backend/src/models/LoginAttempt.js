@@ -0,0 +1,130 @@
+/**
+ * @file LoginAttempt model for tracking failed logins per account and per IP address.
+ * @module models/LoginAttempt
+ * @requires ../config/db.config
+ */
+
+import pool from "../config/db.config.js";
+
+/**
+ * Class representing LoginAttempt model and its static methods for database operations.
+ * A row exists per subject (an account's email or a client IP) that has
+ * recently failed to log in.
+ */
+class LoginAttempt {
+  /**
+   * Fetches the failure state of a subject.
+   * Datetimes are compared in SQL so they stay in the timezone they were stored in.
+   * @static
+   * @async
+   * @param {Object} subject - Subject to look up.
+   * @param {string} subject.subject_type - "account" or "ip".
+   * @param {string} subject.subject_key - Normalised email or IP address.
+   * @param {string} subject.now - Current datetime.
+   * @param {string} subject.window_start - Failures before this datetime are ignored.
+   * @returns {Promise<Object>} Failure state (zeroed if no recent failures).
+   * @property {number} failure_count - Failures within the window.
+   * @property {boolean} is_lockout - Whether the current block is a lockout rather than a delay.
+   * @property {number} retry_after - Seconds until the subject may try again (0 if not blocked).
+   */
+  static async findStatus({ subject_type, subject_key, now, window_start }) {
+    const [rows] = await pool.query(
+      `SELECT failure_count, is_lockout, 
+              GREATEST(COALESCE(TIMESTAMPDIFF(SECOND, ?, blocked_until), 0), 0) AS retry_after 
+       FROM login_attempt 
+       WHERE subject_type = ? AND subject_key = ? 
+         AND (last_failure_at >= ? OR blocked_until > ?) 
+       LIMIT 1`,
+      [now, subject_type, subject_key, window_start, now]
+    );
+
+    if (rows.length === 0) {
+      return { failure_count: 0, is_lockout: false, retry_after: 0 };
+    }
+
+    const row = rows[0];
+    return {
+      failure_count: row.failure_count,
+      is_lockout: Boolean(row.is_lockout) && row.retry_after > 0,
+      retry_after: row.retry_after,
+    };
+  }
+
+  /**
+   * Counts a failure for a subject and returns its failure count.
+   * The count is incremented in the database, so concurrent failures are all
+   * counted. It restarts at 1 (clearing any expired block) once the previous
+   * failure is outside the window and no block is active.
+   * @static
+   * @async
+   * @param {Object} attemptData - Failure to record.
+   * @param {string} attemptData.subject_type - "account" or "ip".
+   * @param {string} attemptData.subject_key - Normalised email or IP address.
+   * @param {string} attemptData.now - Current datetime.
+   * @param {string} attemptData.window_start - Failures before this datetime are ignored.
+   * @returns {Promise<number>} Failures within the window, including this one.
+   */
+  static async recordFailure({ subject_type, subject_key, now, window_start }) {
+    // Assignments apply in order: the later ones see the new failure_count,
+    // where 1 means the count has just restarted
+    await pool.query(
+      `INSERT INTO login_attempt (subject_type, subject_key, failure_count, last_failure_at) 
+       VALUES (?, ?, 1, ?) 
+       ON DUPLICATE KEY UPDATE 
+         failure_count = IF(last_failure_at >= ? OR blocked_until > ?, failure_count + 1, 1), 
+         blocked_until = IF(failure_count = 1, NULL, blocked_until), 
+         is_lockout = IF(failure_count = 1, FALSE, is_lockout), 
+         last_failure_at = VALUES(last_failure_at)`,
+      [subject_type, subject_key, now, window_start, now]
+    );
+
+    const [rows] = await pool.query(
+      "SELECT failure_count FROM login_attempt WHERE subject_type = ? AND subject_key = ? LIMIT 1",
+      [subject_type, subject_key]
+    );
+    return rows[0]?.failure_count ?? 1;
+  }
+
+  /**
+   * Blocks a subject until the given datetime.
+   * A block already in place is only ever extended, and a lockout stays a
+   * lockout, so concurrent failures cannot shorten each other's blocks.
+   * @static
+   * @async
+   * @param {Object} blockData - Block to apply.
+   * @param {string} blockData.subject_type - "account" or "ip".
+   * @param {string} blockData.subject_key - Normalised email or IP address.
+   * @param {string} blockData.blocked_until - Datetime until which attempts are refused.
+   * @param {boolean} blockData.is_lockout - Whether the block is a lockout rather than a delay.
+   * @returns {Promise<void>}
+   */
+  static async block({ subject_type, subject_key, blocked_until, is_lockout }) {
+    await pool.query(
+      `UPDATE login_attempt 
+       SET blocked_until = GREATEST(COALESCE(blocked_until, ?), ?), 
+           is_lockout = is_lockout OR ? 
+       WHERE subject_type = ? AND subject_key = ?`,
+      [blocked_until, blocked_until, is_lockout, subject_type, subject_key]
+    );
+  }
+
+  /**
+   * Clears the failure state of a subject.
+   * @static
+   * @async
+   * @param {Object} subject - Subject to clear.
+   * @param {string} subject.subject_type - "account" or "ip".
+   * @param {string} subject.subject_key - Normalised email or IP address.
+   * @returns {Promise<boolean>} True if a row was removed, false otherwise.
+   */
+  static async delete({ subject_type, subject_key }) {
+    const [result] = await pool.query(
+      "DELETE FROM login_attempt WHERE subject_type = ? AND subject_key = ?",
+      [subject_type, subject_key]
+    );
+
+    return result.affectedRows > 0;
+  }
+}
+
+export default LoginAttempt;
@@ -0,0 +1,81 @@
+/**
+ * @file MfaRecoveryCode model for handling database operations on MFA recovery codes.
+ * @module models/MfaRecoveryCode
+ * @requires ../config/db.config
+ * @requires ../util/tokenHash.util
+ */
+
+import pool from "../config/db.config.js";
+import TokenHashUtil from "../util/tokenHash.util.js";
+
+/**
+ * Class representing MfaRecoveryCode model and its static methods for database operations.
+ * Only a keyed hash of each code is stored; a code is deleted when used.
+ */
+class MfaRecoveryCode {
+  /**
+   * Replaces a user's recovery codes.
+   * @static
+   * @async
+   * @param {Object} codeData - Recovery code data.
+   * @param {number} codeData.user_id - User ID.
+   * @param {Array<string>} codeData.codes - Plain recovery codes.
+   * @param {string} codeData.created_at - Creation datetime.
+   * @returns {Promise<void>}
+   */
+  static async replaceAll({ user_id, codes, created_at }) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+      await connection.query(
+        "DELETE FROM mfa_recovery_code WHERE user_id = ?",
+        [user_id]
+      );
+      await connection.query(
+        "INSERT INTO mfa_recovery_code (user_id, code_hash, created_at) VALUES ?",
+        [codes.map((code) => [user_id, TokenHashUtil.hash(code), created_at])]
+      );
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Uses up a recovery code.
+   * @static
+   * @async
+   * @param {Object} codeData - Recovery code data.
+   * @param {number} codeData.user_id - User ID.
+   * @param {string} codeData.code - Plain recovery code.
+   * @returns {Promise<boolean>} True if the code was valid and is now used, false otherwise.
+   */
+  static async consume({ user_id, code }) {
+    const [result] = await pool.query(
+      "DELETE FROM mfa_recovery_code WHERE user_id = ? AND code_hash = ?",
+      [user_id, TokenHashUtil.hash(code)]
+    );
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Deletes every recovery code of a user.
+   * @static
+   * @async
+   * @param {number} user_id - User ID.
+   * @returns {Promise<number>} Number of deleted codes.
+   */
+  static async deleteByUserId(user_id) {
+    const [result] = await pool.query(
+      "DELETE FROM mfa_recovery_code WHERE user_id = ?",
+      [user_id]
+    );
+    return result.affectedRows;
+  }
+}
+
+export default MfaRecoveryCode;
@@ -0,0 +1,88 @@
+/**
+ * @file PasswordReset model for handling database operations on password reset tokens.
+ * @module models/PasswordReset
+ * @requires ../config/db.config
+ * @requires ../util/tokenHash.util
+ */
+
+import pool from "../config/db.config.js";
+import TokenHashUtil from "../util/tokenHash.util.js";
+
+/**
+ * Class representing PasswordReset model and its static methods for database operations.
+ * Only a keyed hash of each token is stored, so a leaked table cannot be
+ * used to reset passwords.
+ */
+class PasswordReset {
+  /**
+   * Stores a new password reset token for a user.
+   * @static
+   * @async
+   * @param {Object} tokenData - Reset token data.
+   * @param {number} tokenData.user_id - ID of the user whose password the token resets.
+   * @param {string} tokenData.token - Plain token sent to the user.
+   * @param {string} tokenData.expires_at - Expiry datetime.
+   * @param {string} tokenData.created_at - Creation datetime.
+   * @returns {Promise<void>}
+   */
+  static async create({ user_id, token, expires_at, created_at }) {
+    await pool.query(
+      `INSERT INTO password_reset_token (user_id, token_hash, expires_at, created_at) 
+       VALUES (?, ?, ?, ?)`,
+      [user_id, TokenHashUtil.hash(token), expires_at, created_at]
+    );
+  }
+
+  /**
+   * Finds an unexpired password reset token.
+   * @static
+   * @async
+   * @param {Object} tokenData - Token lookup data.
+   * @param {string} tokenData.token - Plain token to look up.
+   * @param {string} tokenData.now - Current datetime.
+   * @returns {Promise<Object|null>} Token entry if found and unexpired, null otherwise.
+   * @property {number} id - Token entry ID.
+   * @property {number} user_id - ID of the user whose password the token resets.
+   */
+  static async findValidByToken({ token, now }) {
+    const [rows] = await pool.query(
+      `SELECT id, user_id FROM password_reset_token 
+       WHERE token_hash = ? AND expires_at > ? 
+       LIMIT 1`,
+      [TokenHashUtil.hash(token), now]
+    );
+    return rows.length > 0 ? rows[0] : null;
+  }
+
+  /**
+   * Deletes a password reset token.
+   * @static
+   * @async
+   * @param {number} id - Token entry ID.
+   * @returns {Promise<boolean>} True if the token was deleted, false if it no longer existed.
+   */
+  static async delete(id) {
+    const [result] = await pool.query(
+      "DELETE FROM password_reset_token WHERE id = ?",
+      [id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Deletes every password reset token of a user.
+   * @static
+   * @async
+   * @param {number} user_id - User ID whose tokens to delete.
+   * @returns {Promise<number>} Number of deleted tokens.
+   */
+  static async deleteByUserId(user_id) {
+    const [result] = await pool.query(
+      "DELETE FROM password_reset_token WHERE user_id = ?",
+      [user_id]
+    );
+    return result.affectedRows;
+  }
+}
+
+export default PasswordReset;
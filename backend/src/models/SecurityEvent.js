@@ -0,0 +1,42 @@
+/**
+ * @file SecurityEvent model for recording security-relevant incidents in the database.
+ * @module models/SecurityEvent
+ * @requires ../config/db.config
+ * @requires ../util/datetime.util
+ */
+
+import pool from "../config/db.config.js";
+import DatetimeUtil from "../util/datetime.util.js";
+
+/**
+ * Class representing SecurityEvent model for persisting security incidents,
+ * such as detected refresh token reuse.
+ */
+class SecurityEvent {
+  /**
+   * Records a new security event.
+   * @static
+   * @async
+   * @param {Object} eventData - Security event data.
+   * @param {number|null} eventData.user_id - User ID the event relates to, if known.
+   * @param {string} eventData.event_type - Machine-readable event type (e.g. REFRESH_TOKEN_REUSE).
+   * @param {Object} [eventData.details] - Additional context, stored as JSON.
+   * @returns {Promise<Object>} Created security event entry.
+   * @property {number} id - Database ID of the entry.
+   * @property {number|null} user_id - Associated user ID.
+   * @property {string} event_type - The recorded event type.
+   * @property {string} created_at - Datetime the event was recorded.
+   */
+  static async create({ user_id, event_type, details = {} }) {
+    const created_at = DatetimeUtil.now();
+    const [result] = await pool.query(
+      `INSERT INTO security_event (user_id, event_type, details, created_at) 
+       VALUES (?, ?, ?, ?)`,
+      [user_id ?? null, event_type, JSON.stringify(details), created_at]
+    );
+
+    return { id: result.insertId, user_id, event_type, created_at };
+  }
+}
+
+export default SecurityEvent;
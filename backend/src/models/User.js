@@ -2,10 +2,70 @@
  * @file User model for handling all database operations related to users.
  * @module models/User
  * @requires ../config/db.config
+ *
+ * Deleting a user only sets `deleted_at`. Every lookup and update here
+ * ignores deleted users, except the methods used to restore or purge them.
  */
 
 import pool from "../config/db.config.js";
 
+/**
+ * Columns the user listing may be sorted by. Sort fields are interpolated
+ * into SQL, so only names from this map are ever used.
+ * @constant {Object<string, string>}
+ */
+const SORT_COLUMNS = Object.freeze({
+  id: "id",
+  email: "email",
+  full_name: "full_name",
+  created_at: "created_at",
+});
+
+/**
+ * Escapes LIKE wildcards so a value only matches as a literal substring.
+ * @param {string} value - Substring to search for.
+ * @returns {string} LIKE pattern matching any value containing it.
+ */
+const containsPattern = (value) =>
+  `%${value.replace(/[\\%_]/g, (char) => `\\${char}`)}%`;
+
+/**
+ * Builds the WHERE conditions for the user listing filters.
+ * Deleted users are always excluded.
+ * @param {Object} filters - Listing filters.
+ * @param {string} [filters.email] - Substring of the email address.
+ * @param {string} [filters.name] - Substring of the full name.
+ * @param {string} [filters.created_from] - Earliest creation date (YYYY-MM-DD), inclusive.
+ * @param {string} [filters.created_to] - Latest creation date (YYYY-MM-DD), inclusive.
+ * @returns {{conditions: Array<string>, params: Array<*>}} SQL conditions and their parameters.
+ */
+const filterConditions = ({ email, name, created_from, created_to }) => {
+  const conditions = ["deleted_at IS NULL"];
+  const params = [];
+
+  if (email) {
+    conditions.push("email LIKE ?");
+    params.push(containsPattern(email));
+  }
+
+  if (name) {
+    conditions.push("full_name LIKE ?");
+    params.push(containsPattern(name));
+  }
+
+  if (created_from) {
+    conditions.push("created_at >= ?");
+    params.push(created_from);
+  }
+
+  if (created_to) {
+    conditions.push("created_at < DATE_ADD(?, INTERVAL 1 DAY)");
+    params.push(created_to);
+  }
+
+  return { conditions, params };
+};
+
 /**
  * Class representing User model and its static methods for database operations.
  */
@@ -36,12 +96,13 @@ class User {
    * @static
    * @async
    * @param {string} email - Email address to check.
+   * @param {number} [exclude_user_id] - ID of a user whose own email is not counted.
    * @returns {Promise<boolean>} True if email exists, false otherwise.
    */
-  static async emailExists(email) {
+  static async emailExists(email, exclude_user_id = null) {
     const [rows] = await pool.query(
-      "SELECT 1 FROM user WHERE email = ? LIMIT 1",
-      [email]
+      "SELECT 1 FROM user WHERE email = ? AND deleted_at IS NULL AND (? IS NULL OR id <> ?) LIMIT 1",
+      [email, exclude_user_id, exclude_user_id]
     );
     return rows.length > 0;
   }
@@ -54,9 +115,10 @@ class User {
    * @returns {Promise<boolean>} True if user exists, false otherwise.
    */
   static async userExistByUserId(user_id) {
-    const [rows] = await pool.query("SELECT 1 FROM user WHERE id = ? LIMIT 1", [
-      user_id,
-    ]);
+    const [rows] = await pool.query(
+      "SELECT 1 FROM user WHERE id = ? AND deleted_at IS NULL LIMIT 1",
+      [user_id]
+    );
     return rows.length > 0;
   }
 
@@ -70,15 +132,56 @@ class User {
    * @property {string} email - User's email.
    * @property {string} full_name - User's full name.
    * @property {string} password - User's hashed password.
+   * @property {Date|null} email_verified_at - When the email address was verified, null if unverified.
+   * @property {Date|null} disabled_at - When the account was disabled, null if it is active.
    */
   static async userExistByEmail(email) {
     const [rows] = await pool.query(
-      "SELECT id, email, full_name, password FROM user WHERE email = ? LIMIT 1",
+      "SELECT id, email, full_name, password, email_verified_at, disabled_at FROM user WHERE email = ? AND deleted_at IS NULL LIMIT 1",
       [email]
     );
     return rows.length > 0 ? rows[0] : null;
   }
 
+  /**
+   * Fetches a user's credentials by user ID, for verifying their current password.
+   * @static
+   * @async
+   * @param {number} user_id - User ID to fetch.
+   * @returns {Promise<Object|null>} User object if found, null otherwise.
+   * @property {number} id - User ID.
+   * @property {string} email - User's email.
+   * @property {string} full_name - User's full name.
+   * @property {string} password - User's hashed password.
+   */
+  static async fetchCredentialsByUserId(user_id) {
+    const [rows] = await pool.query(
+      "SELECT id, email, full_name, password FROM user WHERE id = ? AND deleted_at IS NULL LIMIT 1",
+      [user_id]
+    );
+    return rows.length > 0 ? rows[0] : null;
+  }
+
+  /**
+   * Fetches a user's profile and account status by user ID, for checking
+   * that an authenticated user may still use the API.
+   * @static
+   * @async
+   * @param {number} user_id - User ID to fetch.
+   * @returns {Promise<Object|null>} User object if found (without password), null otherwise.
+   * @property {number} id - User ID.
+   * @property {string} email - User's email.
+   * @property {string} full_name - User's full name.
+   * @property {Date|null} disabled_at - When the account was disabled, null if it is active.
+   */
+  static async fetchAccountByUserId(user_id) {
+    const [rows] = await pool.query(
+      "SELECT id, email, full_name, disabled_at FROM user WHERE id = ? AND deleted_at IS NULL LIMIT 1",
+      [user_id]
+    );
+    return rows.length > 0 ? rows[0] : null;
+  }
+
   /**
    * Fetches user information by user ID (excluding sensitive data like password).
    * @static
@@ -91,7 +194,7 @@ class User {
    */
   static async fetchUserInformationByUserId(user_id) {
     const [rows] = await pool.query(
-      "SELECT id, email, full_name FROM user WHERE id = ? LIMIT 1",
+      "SELECT id, email, full_name FROM user WHERE id = ? AND deleted_at IS NULL LIMIT 1",
       [user_id]
     );
 
@@ -108,21 +211,90 @@ class User {
   }
 
   /**
-   * Fetches all users from the database (excluding sensitive data like passwords).
+   * Fetches one page of users (excluding sensitive data like passwords),
+   * ordered by the sort field with the user ID as tie-breaker.
+   *
+   * Pass `after` to continue after the last user of the previous page
+   * (keyset pagination), or `offset` to skip a number of users.
    * @static
    * @async
+   * @param {Object} options - Listing options.
+   * @param {Object} options.filters - Filters, as for countUsers.
+   * @param {string} options.sort - Sort field: id, email, full_name or created_at.
+   * @param {string} options.order - Sort direction: "asc" or "desc".
+   * @param {number} options.limit - Maximum number of users to return.
+   * @param {number} [options.offset=0] - Number of users to skip.
+   * @param {Object} [options.after] - Sort value and ID of the last user already returned.
+   * @param {*} options.after.value - That user's value of the sort field.
+   * @param {number} options.after.id - That user's ID.
    * @returns {Promise<Array<Object>>} Array of user objects.
    * @property {number} id - User ID.
    * @property {string} email - User's email.
    * @property {string} full_name - User's full name.
+   * @property {string} created_at - When the user was created (YYYY-MM-DD HH:mm:ss).
+   * @throws {Error} If the sort field is not supported.
    */
-  static async fetchAllUser() {
-    const [rows] = await pool.query("SELECT id, email, full_name FROM user");
+  static async findPage({ filters, sort, order, limit, offset = 0, after }) {
+    const column = SORT_COLUMNS[sort];
+    if (!column) {
+      throw new Error(`Unsupported sort field: ${sort}`);
+    }
+
+    const direction = order === "desc" ? "DESC" : "ASC";
+    const comparison = order === "desc" ? "<" : ">";
+    const { conditions, params } = filterConditions(filters);
+
+    if (after && column === "id") {
+      conditions.push(`id ${comparison} ?`);
+      params.push(after.id);
+    } else if (after) {
+      conditions.push(
+        `(${column} ${comparison} ? OR (${column} = ? AND id ${comparison} ?))`
+      );
+      params.push(after.value, after.value, after.id);
+    }
+
+    const where = `WHERE ${conditions.join(" AND ")}`;
+    const tieBreaker = column === "id" ? "" : `, user.id ${direction}`;
+
+    // ORDER BY names the table so created_at means the column, not the alias
+    const [rows] = await pool.query(
+      `SELECT id, email, full_name,
+              DATE_FORMAT(created_at, '%Y-%m-%d %H:%i:%s') AS created_at
+       FROM user
+       ${where}
+       ORDER BY user.${column} ${direction}${tieBreaker}
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
     return rows;
   }
 
+  /**
+   * Counts the users matching the listing filters.
+   * @static
+   * @async
+   * @param {Object} filters - Listing filters.
+   * @param {string} [filters.email] - Substring of the email address.
+   * @param {string} [filters.name] - Substring of the full name.
+   * @param {string} [filters.created_from] - Earliest creation date (YYYY-MM-DD), inclusive.
+   * @param {string} [filters.created_to] - Latest creation date (YYYY-MM-DD), inclusive.
+   * @returns {Promise<number>} Number of matching users.
+   */
+  static async countUsers(filters) {
+    const { conditions, params } = filterConditions(filters);
+
+    const [rows] = await pool.query(
+      `SELECT COUNT(*) AS total FROM user WHERE ${conditions.join(" AND ")}`,
+      params
+    );
+    return rows[0].total;
+  }
+
   /**
    * Updates a user's information in the database.
+   * Changing the email address clears email_verified_at, so the new address
+   * has to be verified before it counts as verified.
    * @static
    * @async
    * @param {Object} userData - User data to update.
@@ -137,8 +309,9 @@ class User {
    */
   static async updateUser({ user_id, email, full_name }) {
     const [result] = await pool.query(
-      "UPDATE user SET email = ?, full_name = ? WHERE id = ?",
-      [email, full_name, user_id]
+      // email_verified_at is assigned first so it is compared with the old email
+      "UPDATE user SET email_verified_at = IF(email = ?, email_verified_at, NULL), email = ?, full_name = ? WHERE id = ? AND deleted_at IS NULL",
+      [email, email, full_name, user_id]
     );
 
     if (result.affectedRows === 0) {
@@ -153,26 +326,138 @@ class User {
   }
 
   /**
-   * Deletes a user from the database.
+   * Replaces a user's password hash.
    * @static
    * @async
-   * @param {number} user_id - ID of the user to delete.
-   * @returns {Promise<Object|null>} Success object if deletion was successful, null if user not found.
-   * @property {boolean} success - Always true when returned (indicates successful deletion).
+   * @param {Object} passwordData - Password data.
+   * @param {number} passwordData.user_id - ID of the user to update.
+   * @param {string} passwordData.password - New hashed password.
+   * @returns {Promise<boolean>} True if the user was updated, false if not found.
    * @throws {Error} If database operation fails.
    */
-  static async deleteUser(user_id) {
-    const [result] = await pool.query("DELETE FROM user WHERE id = ?", [
-      user_id,
-    ]);
+  static async updatePassword({ user_id, password }) {
+    const [result] = await pool.query(
+      "UPDATE user SET password = ? WHERE id = ? AND deleted_at IS NULL",
+      [password, user_id]
+    );
 
-    if (result.affectedRows === 0) {
-      return null;
-    }
+    return result.affectedRows > 0;
+  }
 
-    return {
-      success: true,
-    };
+  /**
+   * Marks a user's email address as verified.
+   * @static
+   * @async
+   * @param {Object} verificationData - Verification data.
+   * @param {number} verificationData.user_id - ID of the user to update.
+   * @param {string} verificationData.verified_at - Verification datetime.
+   * @returns {Promise<boolean>} True if the user was updated, false if not found.
+   * @throws {Error} If database operation fails.
+   */
+  static async markEmailVerified({ user_id, verified_at }) {
+    const [result] = await pool.query(
+      "UPDATE user SET email_verified_at = ? WHERE id = ? AND deleted_at IS NULL",
+      [verified_at, user_id]
+    );
+
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Disables or re-enables a user's account.
+   * @static
+   * @async
+   * @param {Object} statusData - Account status data.
+   * @param {number} statusData.user_id - ID of the user to update.
+   * @param {string|null} statusData.disabled_at - Datetime the account is disabled from, or null to enable it.
+   * @returns {Promise<boolean>} True if the user was updated, false if not found.
+   * @throws {Error} If database operation fails.
+   */
+  static async setDisabledAt({ user_id, disabled_at }) {
+    const [result] = await pool.query(
+      "UPDATE user SET disabled_at = ? WHERE id = ? AND deleted_at IS NULL",
+      [disabled_at, user_id]
+    );
+
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Soft-deletes a user by setting `deleted_at`. The row is kept, hidden from
+   * every other lookup, until it is restored or purged.
+   * @static
+   * @async
+   * @param {Object} deletionData - Deletion data.
+   * @param {number} deletionData.user_id - ID of the user to delete.
+   * @param {string} deletionData.deleted_at - Deletion datetime.
+   * @returns {Promise<boolean>} True if the user was deleted, false if not found or already deleted.
+   * @throws {Error} If database operation fails.
+   */
+  static async softDelete({ user_id, deleted_at }) {
+    const [result] = await pool.query(
+      "UPDATE user SET deleted_at = ? WHERE id = ? AND deleted_at IS NULL",
+      [deleted_at, user_id]
+    );
+
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Fetches a soft-deleted user.
+   * @static
+   * @async
+   * @param {number} user_id - User ID.
+   * @returns {Promise<Object|null>} User object if a deleted user has the ID, null otherwise.
+   * @property {number} id - User ID.
+   * @property {string} email - User's email.
+   * @property {string} full_name - User's full name.
+   * @property {Date} deleted_at - When the user was deleted.
+   */
+  static async fetchDeletedByUserId(user_id) {
+    const [rows] = await pool.query(
+      "SELECT id, email, full_name, deleted_at FROM user WHERE id = ? AND deleted_at IS NOT NULL LIMIT 1",
+      [user_id]
+    );
+    return rows.length > 0 ? rows[0] : null;
+  }
+
+  /**
+   * Restores a soft-deleted user.
+   * @static
+   * @async
+   * @param {number} user_id - ID of the user to restore.
+   * @returns {Promise<boolean>} True if the user was restored, false if no deleted user has the ID.
+   * @throws {Error} If database operation fails, including a duplicate entry
+   * error if an active user has taken the email address in the meantime.
+   */
+  static async restore(user_id) {
+    const [result] = await pool.query(
+      "UPDATE user SET deleted_at = NULL WHERE id = ? AND deleted_at IS NOT NULL",
+      [user_id]
+    );
+
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Permanently deletes a soft-deleted user. Rows referencing the user
+   * (sessions, roles, MFA and verification data) are removed by their
+   * foreign keys' ON DELETE CASCADE.
+   * @static
+   * @async
+   * @param {Object} purgeData - Purge data.
+   * @param {number} purgeData.user_id - ID of the user to purge.
+   * @param {string} purgeData.deleted_before - Only purge the user if it was deleted at or before this datetime.
+   * @returns {Promise<boolean>} True if the user was purged, false otherwise.
+   * @throws {Error} If database operation fails.
+   */
+  static async purge({ user_id, deleted_before }) {
+    const [result] = await pool.query(
+      "DELETE FROM user WHERE id = ? AND deleted_at IS NOT NULL AND deleted_at <= ?",
+      [user_id, deleted_before]
+    );
+
+    return result.affectedRows > 0;
   }
 }
 
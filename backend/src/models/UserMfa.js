@@ -0,0 +1,107 @@
+/**
+ * @file UserMfa model for handling database operations on users' TOTP settings.
+ * @module models/UserMfa
+ * @requires ../config/db.config
+ */
+
+import pool from "../config/db.config.js";
+
+/**
+ * Class representing UserMfa model and its static methods for database operations.
+ * A row exists once a user starts enrolling; MFA is only in force once
+ * `enabled_at` is set.
+ */
+class UserMfa {
+  /**
+   * Fetches a user's TOTP settings.
+   * @static
+   * @async
+   * @param {number} user_id - User ID to look up.
+   * @returns {Promise<Object|null>} Settings if the user has started enrolling, null otherwise.
+   * @property {string} secret_ciphertext - Encrypted TOTP secret.
+   * @property {Date|null} enabled_at - When MFA was enabled, null while enrolment is pending.
+   */
+  static async findByUserId(user_id) {
+    const [rows] = await pool.query(
+      "SELECT secret_ciphertext, enabled_at FROM user_mfa WHERE user_id = ? LIMIT 1",
+      [user_id]
+    );
+    return rows.length > 0 ? rows[0] : null;
+  }
+
+  /**
+   * Starts (or restarts) enrolment with a new secret, leaving MFA disabled.
+   * @static
+   * @async
+   * @param {Object} mfaData - Enrolment data.
+   * @param {number} mfaData.user_id - User ID.
+   * @param {string} mfaData.secret_ciphertext - Encrypted TOTP secret.
+   * @param {string} mfaData.created_at - Creation datetime.
+   * @returns {Promise<void>}
+   */
+  static async upsertPending({ user_id, secret_ciphertext, created_at }) {
+    await pool.query(
+      `INSERT INTO user_mfa (user_id, secret_ciphertext, enabled_at, last_used_step, created_at) 
+       VALUES (?, ?, NULL, NULL, ?) 
+       ON DUPLICATE KEY UPDATE 
+         secret_ciphertext = VALUES(secret_ciphertext), 
+         enabled_at = NULL, 
+         last_used_step = NULL, 
+         created_at = VALUES(created_at)`,
+      [user_id, secret_ciphertext, created_at]
+    );
+  }
+
+  /**
+   * Turns MFA on for a user whose enrolment is pending.
+   * @static
+   * @async
+   * @param {Object} mfaData - Activation data.
+   * @param {number} mfaData.user_id - User ID.
+   * @param {string} mfaData.enabled_at - Activation datetime.
+   * @returns {Promise<boolean>} True if MFA was enabled, false if there was no pending enrolment.
+   */
+  static async enable({ user_id, enabled_at }) {
+    const [result] = await pool.query(
+      "UPDATE user_mfa SET enabled_at = ? WHERE user_id = ? AND enabled_at IS NULL",
+      [enabled_at, user_id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Records the time step of an accepted code, unless a code from the same
+   * or a later step was already accepted. This makes every code single-use.
+   * @static
+   * @async
+   * @param {Object} stepData - Step data.
+   * @param {number} stepData.user_id - User ID.
+   * @param {number} stepData.step - Time step of the accepted code.
+   * @returns {Promise<boolean>} True if the step was recorded, false if the code was already used.
+   */
+  static async claimStep({ user_id, step }) {
+    const [result] = await pool.query(
+      `UPDATE user_mfa SET last_used_step = ? 
+       WHERE user_id = ? AND (last_used_step IS NULL OR last_used_step < ?)`,
+      [step, user_id, step]
+    );
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Removes a user's TOTP settings, disabling MFA.
+   * @static
+   * @async
+   * @param {number} user_id - User ID.
+   * @returns {Promise<boolean>} True if settings were removed, false if there were none.
+   */
+  static async delete(user_id) {
+    const [result] = await pool.query(
+      "DELETE FROM user_mfa WHERE user_id = ?",
+      [user_id]
+    );
+    return result.affectedRows > 0;
+  }
+}
+
+export default UserMfa;
@@ -0,0 +1,68 @@
+/**
+ * @file UserRole model for managing the roles granted to users.
+ * @module models/UserRole
+ * @requires ../config/db.config
+ * @requires ../util/datetime.util
+ */
+
+import pool from "../config/db.config.js";
+import DatetimeUtil from "../util/datetime.util.js";
+
+/**
+ * Class representing UserRole model and its static methods for database operations.
+ */
+class UserRole {
+  /**
+   * Fetches the names of all roles granted to a user.
+   * @static
+   * @async
+   * @param {number} user_id - User ID to fetch roles for.
+   * @returns {Promise<Array<string>>} Array of role names (empty if none).
+   */
+  static async findRolesByUserId(user_id) {
+    const [rows] = await pool.query(
+      "SELECT role FROM user_role WHERE user_id = ? ORDER BY role",
+      [user_id]
+    );
+    return rows.map((row) => row.role);
+  }
+
+  /**
+   * Grants a role to a user. Granting a role the user already has is a no-op.
+   * @static
+   * @async
+   * @param {Object} roleData - Role data.
+   * @param {number} roleData.user_id - ID of the user to grant the role to.
+   * @param {string} roleData.role - Role name to grant.
+   * @returns {Promise<boolean>} True if the role was newly granted, false if it already existed.
+   */
+  static async grant({ user_id, role }) {
+    const [result] = await pool.query(
+      `INSERT IGNORE INTO user_role (user_id, role, created_at) 
+       VALUES (?, ?, ?)`,
+      [user_id, role, DatetimeUtil.now()]
+    );
+
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Revokes a role from a user.
+   * @static
+   * @async
+   * @param {Object} roleData - Role data.
+   * @param {number} roleData.user_id - ID of the user to revoke the role from.
+   * @param {string} roleData.role - Role name to revoke.
+   * @returns {Promise<boolean>} True if the role was revoked, false if the user did not have it.
+   */
+  static async revoke({ user_id, role }) {
+    const [result] = await pool.query(
+      "DELETE FROM user_role WHERE user_id = ? AND role = ?",
+      [user_id, role]
+    );
+
+    return result.affectedRows > 0;
+  }
+}
+
+export default UserRole;
@@ -3,14 +3,18 @@
  * @module models/Whitelist
  * @requires ../config/db.config
  * @requires ../util/datetime.util
+ * @requires ../util/tokenHash.util
  */
 
 import pool from "../config/db.config.js";
 import DatetimeUtil from "../util/datetime.util.js";
+import TokenHashUtil from "../util/tokenHash.util.js";
 
 /**
  * Class representing Whitelist model for JWT refresh token operations.
  * Handles CRUD operations for refresh tokens in the database whitelist.
+ * Refresh tokens are never stored in plaintext: every method accepts the raw
+ * token and stores or looks it up by its keyed hash (`token_hash`).
  */
 class Whitelist {
   /**
@@ -20,21 +24,48 @@ class Whitelist {
    * @param {Object} tokenData - Refresh token data.
    * @param {number} tokenData.user_id - Associated user ID.
    * @param {string} tokenData.refresh_token - The refresh token string.
+   * @param {string} tokenData.family_id - Token family the refresh token belongs to.
    * @param {string|Date} tokenData.expires_at - Expiration datetime of the token.
+   * @param {string} [tokenData.user_agent] - User agent of the client that logged in.
+   * @param {string} [tokenData.ip_address] - IP address of the client that logged in.
+   * @param {string} [tokenData.created_at] - Creation datetime (defaults to now).
    * @returns {Promise<Object>} Created whitelist entry.
    * @property {number} id - Database ID of the entry.
-   * @property {string} refresh_token - The stored refresh token.
+   * @property {string} refresh_token - The refresh token (only its hash is stored).
    * @property {number} user_id - Associated user ID.
+   * @property {string} family_id - Token family ID.
    * @property {string} expires_at - Token expiration datetime.
    */
-  static async create({ user_id, refresh_token, expires_at }) {
+  static async create({
+    user_id,
+    refresh_token,
+    family_id,
+    expires_at,
+    user_agent = null,
+    ip_address = null,
+    created_at = DatetimeUtil.now(),
+  }) {
     const [result] = await pool.query(
-      `INSERT INTO jwt_whitelist (user_id, refresh_token, expires_at, created_at) 
-         VALUES (?, ?, ?, ?)`,
-      [user_id, refresh_token, expires_at, DatetimeUtil.now()]
+      `INSERT INTO jwt_whitelist (user_id, token_hash, family_id, user_agent, ip_address, expires_at, created_at) 
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        user_id,
+        TokenHashUtil.hash(refresh_token),
+        family_id,
+        user_agent,
+        ip_address,
+        expires_at,
+        created_at,
+      ]
     );
 
-    return { id: result.insertId, refresh_token, user_id, expires_at };
+    return {
+      id: result.insertId,
+      refresh_token,
+      user_id,
+      family_id,
+      expires_at,
+    };
   }
 
   /**
@@ -49,13 +80,151 @@ class Whitelist {
   static async delete({ user_id, refresh_token }) {
     const [result] = await pool.query(
       `DELETE FROM jwt_whitelist 
-       WHERE user_id = ? AND refresh_token = ?`,
-      [user_id, refresh_token]
+       WHERE user_id = ? AND token_hash = ?`,
+      [user_id, TokenHashUtil.hash(refresh_token)]
     );
 
     return result.affectedRows > 0;
   }
 
+  /**
+   * Finds the whitelist entry for a refresh token.
+   * @static
+   * @async
+   * @param {Object} tokenData - Refresh token data to look up.
+   * @param {number} tokenData.user_id - Associated user ID.
+   * @param {string} tokenData.refresh_token - The refresh token string.
+   * @returns {Promise<Object|null>} Whitelist entry if found, null otherwise.
+   */
+  static async findByToken({ user_id, refresh_token }) {
+    const [rows] = await pool.query(
+      `SELECT id, user_id, family_id, user_agent, ip_address, expires_at, created_at, last_used_at 
+       FROM jwt_whitelist 
+       WHERE user_id = ? AND token_hash = ? LIMIT 1`,
+      [user_id, TokenHashUtil.hash(refresh_token)]
+    );
+    return rows.length > 0 ? rows[0] : null;
+  }
+
+  /**
+   * Fetches every unexpired whitelist entry of a user, most recently used first.
+   * The refresh tokens themselves are not selected.
+   * @static
+   * @async
+   * @param {number} user_id - User ID to fetch entries for.
+   * @returns {Promise<Array<Object>>} Array of whitelist entries.
+   * @property {string} family_id - Token family ID.
+   * @property {string|null} user_agent - User agent captured at login.
+   * @property {string|null} ip_address - IP address captured at login.
+   * @property {string} created_at - Datetime the session started.
+   * @property {string|null} last_used_at - Datetime the token was last refreshed.
+   * @property {string} expires_at - Token expiration datetime.
+   */
+  static async findActiveByUserId(user_id) {
+    const [rows] = await pool.query(
+      `SELECT family_id, user_agent, ip_address, created_at, last_used_at, expires_at 
+       FROM jwt_whitelist 
+       WHERE user_id = ? AND expires_at > ? 
+       ORDER BY COALESCE(last_used_at, created_at) DESC`,
+      [user_id, DatetimeUtil.now()]
+    );
+    return rows;
+  }
+
+  /**
+   * Deletes every refresh token of a user.
+   * @static
+   * @async
+   * @param {number} user_id - Associated user ID.
+   * @returns {Promise<number>} Number of refresh tokens removed.
+   */
+  static async deleteByUserId(user_id) {
+    const [result] = await pool.query(
+      "DELETE FROM jwt_whitelist WHERE user_id = ?",
+      [user_id]
+    );
+
+    return result.affectedRows;
+  }
+
+  /**
+   * Deletes every refresh token of a user except those in one token family.
+   * @static
+   * @async
+   * @param {Object} familyData - Token family data.
+   * @param {number} familyData.user_id - Associated user ID.
+   * @param {string} familyData.family_id - Token family ID to keep.
+   * @returns {Promise<number>} Number of refresh tokens removed.
+   */
+  static async deleteByUserExceptFamily({ user_id, family_id }) {
+    const [result] = await pool.query(
+      `DELETE FROM jwt_whitelist 
+       WHERE user_id = ? AND family_id <> ?`,
+      [user_id, family_id]
+    );
+
+    return result.affectedRows;
+  }
+
+  /**
+   * Deletes every refresh token belonging to a token family.
+   * @static
+   * @async
+   * @param {Object} familyData - Token family data.
+   * @param {number} familyData.user_id - Associated user ID.
+   * @param {string} familyData.family_id - Token family ID to revoke.
+   * @returns {Promise<number>} Number of refresh tokens removed.
+   */
+  static async deleteByFamily({ user_id, family_id }) {
+    const [result] = await pool.query(
+      `DELETE FROM jwt_whitelist 
+       WHERE user_id = ? AND family_id = ?`,
+      [user_id, family_id]
+    );
+
+    return result.affectedRows;
+  }
+
+  /**
+   * Checks if any refresh token of a token family is still whitelisted.
+   * @static
+   * @async
+   * @param {Object} familyData - Token family data.
+   * @param {number} familyData.user_id - Associated user ID.
+   * @param {string} familyData.family_id - Token family ID to check.
+   * @returns {Promise<boolean>} True if the family has a whitelisted token, false otherwise.
+   */
+  static async doesFamilyExist({ user_id, family_id }) {
+    const [rows] = await pool.query(
+      "SELECT 1 FROM jwt_whitelist WHERE user_id = ? AND family_id = ? LIMIT 1",
+      [user_id, family_id]
+    );
+    return rows.length > 0;
+  }
+
+  /**
+   * Deletes one batch of refresh tokens that have expired or have been idle
+   * since before the given cutoff. Tokens that were never used are considered
+   * idle since their creation.
+   * @static
+   * @async
+   * @param {Object} purgeData - Purge criteria.
+   * @param {string} purgeData.now - Current datetime; tokens expiring before it are removed.
+   * @param {string} purgeData.idle_before - Tokens last used before this datetime are removed.
+   * @param {number} purgeData.limit - Maximum number of rows to delete.
+   * @returns {Promise<number>} Number of refresh tokens removed.
+   */
+  static async deleteStale({ now, idle_before, limit }) {
+    const [result] = await pool.query(
+      `DELETE FROM jwt_whitelist 
+       WHERE expires_at < ? OR COALESCE(last_used_at, created_at) < ? 
+       LIMIT ?`,
+      [now, idle_before, limit]
+    );
+
+    return result.affectedRows;
+  }
+
   /**
    * Updates the last used timestamp for a refresh token.
    * @static
@@ -67,8 +236,8 @@ class Whitelist {
     const [result] = await pool.query(
       `UPDATE jwt_whitelist 
        SET last_used_at = ? 
-       WHERE refresh_token = ?`,
-      [DatetimeUtil.now(), refresh_token]
+       WHERE token_hash = ?`,
+      [DatetimeUtil.now(), TokenHashUtil.hash(refresh_token)]
     );
 
     return result.affectedRows > 0;
@@ -85,8 +254,8 @@ class Whitelist {
    */
   static async doesRefreshTokenExist({ user_id, refresh_token }) {
     const [rows] = await pool.query(
-      "SELECT 1 FROM jwt_whitelist WHERE user_id = ? AND refresh_token = ? LIMIT 1",
-      [user_id, refresh_token]
+      "SELECT 1 FROM jwt_whitelist WHERE user_id = ? AND token_hash = ? LIMIT 1",
+      [user_id, TokenHashUtil.hash(refresh_token)]
     );
     return rows.length > 0;
   }
@@ -0,0 +1,122 @@
+/**
+ * @file Admin routes for handling administrative endpoints.
+ * @module routes/adminRoutes
+ * @requires express
+ * @requires ../controllers/adminController
+ * @requires ../middlewares/authenticateToken
+ * @requires ../middlewares/authorize
+ * @requires ../middlewares/requireScopes
+ * @requires ../middlewares/validate
+ * @requires ../schemas/adminSchemas
+ * @requires ../config/scopes.config
+ * @requires ../config/roles.config
+ */
+
+import express from "express";
+import { fetchAuditLog } from "../controllers/adminController.js";
+import { authenticateToken } from "../middlewares/authenticateToken.js";
+import { authorize } from "../middlewares/authorize.js";
+import { requireScopes } from "../middlewares/requireScopes.js";
+import { validate } from "../middlewares/validate.js";
+import { listAuditSchema } from "../schemas/adminSchemas.js";
+import { ROLES } from "../config/roles.config.js";
+import { SCOPES } from "../config/scopes.config.js";
+
+/**
+ * Express router for admin endpoints.
+ * @type {express.Router}
+ */
+const router = express.Router();
+
+/**
+ * Route for reading the audit log one page at a time, newest entries first.
+ * Restricted to admins.
+ *
+ * Query parameters (all optional):
+ * - `limit`: entries per page, 1-100 (default 20).
+ * - `cursor`: `next_cursor` from the previous page, to continue after it.
+ * - `action`: audited action, e.g. auth.login or user.delete (see config/audit.config).
+ * - `outcome`: success or failure.
+ * - `actor_user_id`: ID of the user who acted.
+ * - `target_user_id`: ID of the user acted upon.
+ * - `created_from` / `created_to`: date range (YYYY-MM-DD, inclusive).
+ * @name get/audit
+ * @function
+ * @memberof module:routes/adminRoutes
+ * @param {string} path - Express route path ("/audit")
+ * @param {Function} middleware - Authentication middleware to verify JWT token
+ * @param {Function} middleware - Scope middleware requiring the audit:read scope
+ * @param {Function} middleware - Authorization middleware requiring the admin role
+ * @param {Function} middleware - Request validation (see schemas/adminSchemas)
+ * @param {Function} controller - Controller to handle fetch audit log request
+ * @see {@link module:middlewares/authorize.authorize} for authorization details
+ * @see {@link module:controllers/adminController.fetchAuditLog} for implementation details
+ * @example
+ * // Example request:
+ * GET /api/admin/audit?limit=2&target_user_id=42
+ *
+ * @example
+ * // Example successful response:
+ * {
+ *   "message": "Successfully fetched audit log",
+ *   "data": {
+ *     "entries": [
+ *       {
+ *         "id": 1052,
+ *         "action": "user.delete",
+ *         "outcome": "success",
+ *         "actor_user_id": 1,
+ *         "target_user_id": 42,
+ *         "ip_address": "203.0.113.7",
+ *         "user_agent": "Mozilla/5.0 (X11; Linux x86_64)",
+ *         "details": null,
+ *         "created_at": "2025-01-02 09:30:00"
+ *       },
+ *       {
+ *         "id": 1017,
+ *         "action": "auth.login",
+ *         "outcome": "failure",
+ *         "actor_user_id": null,
+ *         "target_user_id": 42,
+ *         "ip_address": "198.51.100.23",
+ *         "user_agent": "curl/8.5.0",
+ *         "details": { "email": "john@example.com", "reason": "INVALID_CREDENTIALS" },
+ *         "created_at": "2025-01-01 08:00:00"
+ *       }
+ *     ],
+ *     "pagination": {
+ *       "limit": 2,
+ *       "next_cursor": "eyJpIjoxMDE3fQ",
+ *       "links": {
+ *         "self": "/api/admin/audit?limit=2&target_user_id=42",
+ *         "next": "/api/admin/audit?limit=2&target_user_id=42&cursor=eyJpIjoxMDE3fQ"
+ *       }
+ *     }
+ *   },
+ *   "error": null
+ * }
+ *
+ * @example
+ * // Example error response:
+ * {
+ *   "message": "Authorization failed",
+ *   "data": {
+ *     "code": "INSUFFICIENT_ROLE"
+ *   },
+ *   "error": "You do not have permission to access this resource"
+ * }
+ */
+router.get(
+  "/audit",
+  authenticateToken,
+  requireScopes(SCOPES.AUDIT_READ),
+  authorize(ROLES.ADMIN),
+  validate(listAuditSchema),
+  fetchAuditLog
+);
+
+/**
+ * @exports adminRoutes
+ * @type {express.Router}
+ */
+export default router;
@@ -1,12 +1,55 @@
 /**
- * @file Authentication routes for handling user registration, login, and logout.
+ * @file Authentication routes for handling user registration, email verification,
+ * login (including two-factor authentication), token refresh, logout, password reset,
+ * and session management.
  * @module routes/authRoutes
  * @requires express
  * @requires ../controllers/authController
+ * @requires ../middlewares/authenticateToken
+ * @requires ../middlewares/rateLimit
+ * @requires ../middlewares/csrfProtection
+ * @requires ../middlewares/validate
+ * @requires ../schemas/authSchemas
+ * @requires ../schemas/common
  */
 
 import express from "express";
-import { register, login, logout } from "../controllers/authController.js";
+import {
+  register,
+  verifyEmail,
+  resendVerificationEmail,
+  login,
+  verifyMfa,
+  setupMfa,
+  enableMfa,
+  disableMfa,
+  refresh,
+  logout,
+  forgotPassword,
+  resetPassword,
+  listSessions,
+  revokeSession,
+  revokeOtherSessions,
+} from "../controllers/authController.js";
+import { authenticateToken } from "../middlewares/authenticateToken.js";
+import { rateLimit } from "../middlewares/rateLimit.js";
+import { csrfProtection } from "../middlewares/csrfProtection.js";
+import { validate } from "../middlewares/validate.js";
+import {
+  registerSchema,
+  verifyEmailLinkSchema,
+  verifyEmailSchema,
+  emailOnlySchema,
+  loginSchema,
+  verifyMfaSchema,
+  enableMfaSchema,
+  disableMfaSchema,
+  refreshSchema,
+  logoutSchema,
+  resetPasswordSchema,
+  revokeSessionSchema,
+} from "../schemas/authSchemas.js";
+import { noInputSchema } from "../schemas/common.js";
 
 /**
  * Express router for authentication endpoints.
@@ -14,12 +57,95 @@ import { register, login, logout } from "../controllers/authController.js";
  */
 const router = express.Router();
 
+/**
+ * Rate limiter for registration, kept tight because every request costs a bcrypt hash.
+ * @type {Function}
+ */
+const registerLimiter = rateLimit({
+  name: "register",
+  max: 5,
+  windowSeconds: 60 * 60,
+  keyBy: ["ip", "email"],
+});
+
+/**
+ * Rate limiter for verification email resends, on top of the per-account
+ * cooldown in EmailVerificationService.
+ * @type {Function}
+ */
+const resendVerificationLimiter = rateLimit({
+  name: "resend-verification",
+  max: 5,
+  windowSeconds: 60 * 60,
+  keyBy: ["ip", "email"],
+});
+
+/**
+ * Rate limiter for login, complementing the per-account lockout in
+ * LoginProtectionService.
+ * @type {Function}
+ */
+const loginLimiter = rateLimit({
+  name: "login",
+  max: 10,
+  windowSeconds: 15 * 60,
+  keyBy: ["ip", "email"],
+});
+
+/**
+ * Rate limiter for password reset requests, limiting how many emails can be
+ * sent to one address.
+ * @type {Function}
+ */
+const forgotPasswordLimiter = rateLimit({
+  name: "forgot-password",
+  max: 5,
+  windowSeconds: 60 * 60,
+  keyBy: ["ip", "email"],
+});
+
+/**
+ * Rate limiter for password resets, limiting reset token guessing.
+ * @type {Function}
+ */
+const resetPasswordLimiter = rateLimit({
+  name: "reset-password",
+  max: 10,
+  windowSeconds: 15 * 60,
+  keyBy: ["ip"],
+});
+
+/**
+ * Rate limiter for the MFA login step, complementing the per-account lockout
+ * in LoginProtectionService.
+ * @type {Function}
+ */
+const mfaVerifyLimiter = rateLimit({
+  name: "mfa-verify",
+  max: 10,
+  windowSeconds: 15 * 60,
+  keyBy: ["ip"],
+});
+
+/**
+ * Rate limiter for logout.
+ * @type {Function}
+ */
+const logoutLimiter = rateLimit({
+  name: "logout",
+  max: 30,
+  windowSeconds: 15 * 60,
+  keyBy: ["ip"],
+});
+
 /**
  * Route for user registration.
  * @name post/register
  * @function
  * @memberof module:routes/authRoutes
  * @param {string} path - Express route path ("/register")
+ * @param {Function} middleware - Rate limiter (5 per hour per IP and per email)
+ * @param {Function} middleware - Request validation (see schemas/authSchemas)
  * @param {Function} middleware - Express middleware function (register controller)
  * @see {@link module:controllers/authController.register} for implementation details
  * @example
@@ -31,7 +157,54 @@ const router = express.Router();
  *   "password": "securePassword123"
  * }
  */
-router.post("/register", register);
+router.post("/register", registerLimiter, validate(registerSchema), register);
+
+/**
+ * Routes for verifying an email address.
+ * GET serves the link emailed at registration; POST lets clients submit the
+ * token themselves, e.g. from a frontend page the link points to.
+ * @name get/verify-email
+ * @function
+ * @memberof module:routes/authRoutes
+ * @param {string} path - Express route path ("/verify-email")
+ * @param {Function} middleware - Request validation (see schemas/authSchemas)
+ * @param {Function} middleware - Express middleware function (verifyEmail controller)
+ * @see {@link module:controllers/authController.verifyEmail} for implementation details
+ * @example
+ * GET /api/auth/verify-email?token=q8Jc1k...
+ *
+ * POST /api/auth/verify-email
+ * Request Body:
+ * {
+ *   "token": "q8Jc1k..."
+ * }
+ */
+router.get("/verify-email", validate(verifyEmailLinkSchema), verifyEmail);
+router.post("/verify-email", validate(verifyEmailSchema), verifyEmail);
+
+/**
+ * Route for requesting a new verification email.
+ * @name post/verify-email/resend
+ * @function
+ * @memberof module:routes/authRoutes
+ * @param {string} path - Express route path ("/verify-email/resend")
+ * @param {Function} middleware - Rate limiter (5 per hour per IP and per email)
+ * @param {Function} middleware - Request validation (see schemas/authSchemas)
+ * @param {Function} middleware - Express middleware function (resendVerificationEmail controller)
+ * @see {@link module:controllers/authController.resendVerificationEmail} for implementation details
+ * @example
+ * POST /api/auth/verify-email/resend
+ * Request Body:
+ * {
+ *   "email": "john@example.com"
+ * }
+ */
+router.post(
+  "/verify-email/resend",
+  resendVerificationLimiter,
+  validate(emailOnlySchema),
+  resendVerificationEmail
+);
 
 /**
  * Route for user login.
@@ -39,6 +212,8 @@ router.post("/register", register);
  * @function
  * @memberof module:routes/authRoutes
  * @param {string} path - Express route path ("/login")
+ * @param {Function} middleware - Rate limiter (10 per 15 minutes per IP and per email)
+ * @param {Function} middleware - Request validation (see schemas/authSchemas)
  * @param {Function} middleware - Express middleware function (login controller)
  * @see {@link module:controllers/authController.login} for implementation details
  * @example
@@ -46,17 +221,147 @@ router.post("/register", register);
  * Request Body:
  * {
  *   "email": "john@example.com",
+ *   "password": "securePassword123",
+ *   "scope": "users:read" // optional, defaults to every scope allowed for the user
+ * }
+ */
+router.post("/login", loginLimiter, validate(loginSchema), login);
+
+/**
+ * Route for completing a login with a second factor.
+ * Used when login responds with an MFA token instead of access/refresh tokens.
+ * @name post/mfa/verify
+ * @function
+ * @memberof module:routes/authRoutes
+ * @param {string} path - Express route path ("/mfa/verify")
+ * @param {Function} middleware - Rate limiter (10 per 15 minutes per IP)
+ * @param {Function} middleware - Request validation (see schemas/authSchemas)
+ * @param {Function} middleware - Express middleware function (verifyMfa controller)
+ * @see {@link module:controllers/authController.verifyMfa} for implementation details
+ * @example
+ * POST /api/auth/mfa/verify
+ * Request Body:
+ * {
+ *   "mfa_token": "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...",
+ *   "code": "123456" // or a recovery code such as "k3j9d-q2m7x"
+ * }
+ */
+router.post(
+  "/mfa/verify",
+  mfaVerifyLimiter,
+  validate(verifyMfaSchema),
+  verifyMfa
+);
+
+/**
+ * Route for starting MFA enrolment.
+ * @name post/mfa/setup
+ * @function
+ * @memberof module:routes/authRoutes
+ * @param {string} path - Express route path ("/mfa/setup")
+ * @param {Function} middleware - Authentication middleware to verify JWT token
+ * @param {Function} middleware - Request validation (see schemas/authSchemas)
+ * @param {Function} controller - Controller to handle MFA setup request
+ * @see {@link module:controllers/authController.setupMfa} for implementation details
+ * @example
+ * // Example successful response:
+ * {
+ *   "message": "Scan the otpauth URI with an authenticator app, then confirm with a code.",
+ *   "data": {
+ *     "secret": "JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP",
+ *     "otpauth_uri": "otpauth://totp/Auth%20API%3Ajohn%40example.com?secret=JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP&issuer=Auth%20API&algorithm=SHA1&digits=6&period=30"
+ *   },
+ *   "error": null
+ * }
+ */
+router.post("/mfa/setup", authenticateToken, validate(noInputSchema), setupMfa);
+
+/**
+ * Route for confirming MFA enrolment with a code, which turns MFA on.
+ * @name post/mfa/enable
+ * @function
+ * @memberof module:routes/authRoutes
+ * @param {string} path - Express route path ("/mfa/enable")
+ * @param {Function} middleware - Authentication middleware to verify JWT token
+ * @param {Function} middleware - Request validation (see schemas/authSchemas)
+ * @param {Function} controller - Controller to handle enable MFA request
+ * @see {@link module:controllers/authController.enableMfa} for implementation details
+ * @example
+ * POST /api/auth/mfa/enable
+ * Request Body:
+ * {
+ *   "code": "123456"
+ * }
+ */
+router.post(
+  "/mfa/enable",
+  authenticateToken,
+  validate(enableMfaSchema),
+  enableMfa
+);
+
+/**
+ * Route for turning MFA off. Requires the current password or a code.
+ * @name post/mfa/disable
+ * @function
+ * @memberof module:routes/authRoutes
+ * @param {string} path - Express route path ("/mfa/disable")
+ * @param {Function} middleware - Authentication middleware to verify JWT token
+ * @param {Function} middleware - Request validation (see schemas/authSchemas)
+ * @param {Function} controller - Controller to handle disable MFA request
+ * @see {@link module:controllers/authController.disableMfa} for implementation details
+ * @example
+ * POST /api/auth/mfa/disable
+ * Request Body:
+ * {
  *   "password": "securePassword123"
  * }
  */
-router.post("/login", login);
+router.post(
+  "/mfa/disable",
+  authenticateToken,
+  validate(disableMfaSchema),
+  disableMfa
+);
+
+/**
+ * Route for exchanging a refresh token for a new token pair.
+ * The presented refresh token is rotated out and can no longer be used.
+ * @name post/refresh
+ * @function
+ * @memberof module:routes/authRoutes
+ * @param {string} path - Express route path ("/refresh")
+ * @param {Function} middleware - CSRF check, when the refresh token comes from its cookie
+ * @param {Function} middleware - Request validation (see schemas/authSchemas)
+ * @param {Function} middleware - Express middleware function (refresh controller)
+ * @see {@link module:controllers/authController.refresh} for implementation details
+ * @example
+ * POST /api/auth/refresh
+ * Request Body:
+ * {
+ *   "refresh_token": "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ * }
+ *
+ * // With AUTH_COOKIES_ENABLED=true, browsers send no body; the refresh_token
+ * // cookie is used and the csrf_token cookie's value must be echoed:
+ * POST /api/auth/refresh
+ * Headers:
+ * {
+ *   "X-CSRF-Token": "5nV0u2..."
+ * }
+ */
+router.post("/refresh", csrfProtection, validate(refreshSchema), refresh);
 
 /**
  * Route for user logout.
+ * An access token sent in the Authorization header is revoked as well.
  * @name post/logout
  * @function
  * @memberof module:routes/authRoutes
  * @param {string} path - Express route path ("/logout")
+ * @param {Function} middleware - Rate limiter (30 per 15 minutes per IP)
+ * @param {Function} middleware - CSRF check, when the refresh token comes from its cookie
+ * @param {Function} middleware - Request validation (see schemas/authSchemas)
  * @param {Function} middleware - Express middleware function (logout controller)
  * @see {@link module:controllers/authController.logout} for implementation details
  * @example
@@ -68,7 +373,142 @@ router.post("/login", login);
  * }
  */
 
-router.post("/logout", logout);
+router.post(
+  "/logout",
+  logoutLimiter,
+  csrfProtection,
+  validate(logoutSchema),
+  logout
+);
+
+/**
+ * Route for requesting a password reset email.
+ * @name post/forgot-password
+ * @function
+ * @memberof module:routes/authRoutes
+ * @param {string} path - Express route path ("/forgot-password")
+ * @param {Function} middleware - Rate limiter (5 per hour per IP and per email)
+ * @param {Function} middleware - Request validation (see schemas/authSchemas)
+ * @param {Function} middleware - Express middleware function (forgotPassword controller)
+ * @see {@link module:controllers/authController.forgotPassword} for implementation details
+ * @example
+ * POST /api/auth/forgot-password
+ * Request Body:
+ * {
+ *   "email": "john@example.com"
+ * }
+ */
+router.post(
+  "/forgot-password",
+  forgotPasswordLimiter,
+  validate(emailOnlySchema),
+  forgotPassword
+);
+
+/**
+ * Route for setting a new password with a reset token.
+ * Signs out every session of the account.
+ * @name post/reset-password
+ * @function
+ * @memberof module:routes/authRoutes
+ * @param {string} path - Express route path ("/reset-password")
+ * @param {Function} middleware - Rate limiter (10 per 15 minutes per IP)
+ * @param {Function} middleware - Request validation (see schemas/authSchemas)
+ * @param {Function} middleware - Express middleware function (resetPassword controller)
+ * @see {@link module:controllers/authController.resetPassword} for implementation details
+ * @example
+ * POST /api/auth/reset-password
+ * Request Body:
+ * {
+ *   "token": "Zt0p9w...",
+ *   "password": "newSecurePassword456"
+ * }
+ */
+router.post(
+  "/reset-password",
+  resetPasswordLimiter,
+  validate(resetPasswordSchema),
+  resetPassword
+);
+
+/**
+ * Route for listing the authenticated user's active sessions.
+ * Sessions are identified by an opaque ID; refresh tokens are never exposed.
+ * @name get/sessions
+ * @function
+ * @memberof module:routes/authRoutes
+ * @param {string} path - Express route path ("/sessions")
+ * @param {Function} middleware - Authentication middleware to verify JWT token
+ * @param {Function} middleware - Request validation (see schemas/authSchemas)
+ * @param {Function} controller - Controller to handle list sessions request
+ * @see {@link module:controllers/authController.listSessions} for implementation details
+ * @example
+ * // Example successful response:
+ * {
+ *   "message": "Successfully fetched sessions.",
+ *   "data": [
+ *     {
+ *       "id": "9b1deb4d-3b7d-4bad-9bdd-2b0d7b3dcb6d",
+ *       "current": true,
+ *       "user_agent": "Mozilla/5.0 ...",
+ *       "ip_address": "203.0.113.7",
+ *       "created_at": "2025-01-01T08:00:00.000Z",
+ *       "last_used_at": "2025-01-02T09:30:00.000Z",
+ *       "expires_at": "2025-01-09T09:30:00.000Z"
+ *     }
+ *   ],
+ *   "error": null
+ * }
+ */
+router.get(
+  "/sessions",
+  authenticateToken,
+  validate(noInputSchema),
+  listSessions
+);
+
+/**
+ * Route for signing out every session except the one making the request.
+ * Registered before "/sessions/:id" so "others" is not treated as a session ID.
+ * Only refresh tokens are revoked; access tokens remain valid until they expire.
+ * @name delete/sessions/others
+ * @function
+ * @memberof module:routes/authRoutes
+ * @param {string} path - Express route path ("/sessions/others")
+ * @param {Function} middleware - Authentication middleware to verify JWT token
+ * @param {Function} middleware - Request validation (see schemas/authSchemas)
+ * @param {Function} controller - Controller to handle sign out other sessions request
+ * @see {@link module:controllers/authController.revokeOtherSessions} for implementation details
+ * @example
+ * DELETE /api/auth/sessions/others
+ */
+router.delete(
+  "/sessions/others",
+  authenticateToken,
+  validate(noInputSchema),
+  revokeOtherSessions
+);
+
+/**
+ * Route for signing out a single session.
+ * Only refresh tokens are revoked; access tokens remain valid until they expire.
+ * @name delete/sessions/:id
+ * @function
+ * @memberof module:routes/authRoutes
+ * @param {string} path - Express route path ("/sessions/:id")
+ * @param {Function} middleware - Authentication middleware to verify JWT token
+ * @param {Function} middleware - Request validation (see schemas/authSchemas)
+ * @param {Function} controller - Controller to handle sign out session request
+ * @see {@link module:controllers/authController.revokeSession} for implementation details
+ * @example
+ * DELETE /api/auth/sessions/9b1deb4d-3b7d-4bad-9bdd-2b0d7b3dcb6d
+ */
+router.delete(
+  "/sessions/:id",
+  authenticateToken,
+  validate(revokeSessionSchema),
+  revokeSession
+);
 
 /**
  * @exports authRoutes
@@ -4,6 +4,15 @@
  * @requires express
  * @requires ../controllers/userController
  * @requires ../middlewares/authenticateToken
+ * @requires ../middlewares/authorize
+ * @requires ../middlewares/requireScopes
+ * @requires ../middlewares/validate
+ * @requires ../middlewares/auditFailure
+ * @requires ../schemas/userSchemas
+ * @requires ../schemas/common
+ * @requires ../config/scopes.config
+ * @requires ../config/roles.config
+ * @requires ../config/audit.config
  */
 
 import express from "express";
@@ -13,8 +22,32 @@ import {
   fetchUserById,
   updateUserById,
   deleteUserById,
+  grantUserRole,
+  revokeUserRole,
+  unlockUser,
+  disableUser,
+  enableUser,
+  restoreUser,
+  purgeUser,
+  changePassword,
 } from "../controllers/userController.js";
 import { authenticateToken } from "../middlewares/authenticateToken.js";
+import { authorize, authorizeSelfOrRole } from "../middlewares/authorize.js";
+import { requireScopes } from "../middlewares/requireScopes.js";
+import { validate } from "../middlewares/validate.js";
+import { auditFailure } from "../middlewares/auditFailure.js";
+import {
+  userIdSchema,
+  listUsersSchema,
+  changePasswordSchema,
+  updateUserSchema,
+  grantRoleSchema,
+  revokeRoleSchema,
+} from "../schemas/userSchemas.js";
+import { noInputSchema } from "../schemas/common.js";
+import { ROLES } from "../config/roles.config.js";
+import { SCOPES } from "../config/scopes.config.js";
+import { AUDIT_ACTIONS } from "../config/audit.config.js";
 
 /**
  * Express router for user endpoints.
@@ -29,8 +62,11 @@ const router = express.Router();
  * @memberof module:routes/userRoutes
  * @param {string} path - Express route path ("/details")
  * @param {Function} middleware - Authentication middleware to verify JWT token
+ * @param {Function} middleware - Scope middleware requiring the users:read scope
+ * @param {Function} middleware - Request validation (see schemas/userSchemas)
  * @param {Function} controller - Controller to handle user details request
  * @see {@link module:middlewares/authenticateToken} for authentication details
+ * @see {@link module:middlewares/requireScopes} for scope enforcement details
  * @see {@link module:controllers/userController.usersDetails} for implementation details
  * @example
  * // Example request:
@@ -56,52 +92,144 @@ const router = express.Router();
  * // Example error response:
  * {
  *   "message": "Authentication failed",
- *   "data": null,
- *   "error": "Invalid token"
+ *   "data": {
+ *     "code": "TOKEN_EXPIRED"
+ *   },
+ *   "error": "Token has expired"
+ * }
+ */
+router.get(
+  "/details",
+  authenticateToken,
+  requireScopes(SCOPES.USERS_READ),
+  validate(noInputSchema),
+  usersDetails
+);
+
+/**
+ * Route for changing the authenticated user's password.
+ * Requires the current password; every other session is signed out and all
+ * previously issued access tokens are revoked, so the client must refresh.
+ * @name put/me/password
+ * @function
+ * @memberof module:routes/userRoutes
+ * @param {string} path - Express route path ("/me/password")
+ * @param {Function} middleware - Authentication middleware to verify JWT token
+ * @param {Function} middleware - Scope middleware requiring the users:write scope
+ * @param {Function} middleware - Request validation (see schemas/userSchemas)
+ * @param {Function} controller - Controller to handle change password request
+ * @see {@link module:controllers/userController.changePassword} for implementation details
+ * @example
+ * // Example request:
+ * PUT /api/users/me/password
+ * Body:
+ * {
+ *   "current_password": "securePassword123",
+ *   "new_password": "evenMoreSecure456"
+ * }
+ *
+ * @example
+ * // Example successful response:
+ * {
+ *   "message": "Password changed successfully",
+ *   "data": {
+ *     "revoked_sessions": 2
+ *   },
+ *   "error": null
  * }
  */
-router.get("/details", authenticateToken, usersDetails);
+router.put(
+  "/me/password",
+  authenticateToken,
+  requireScopes(SCOPES.USERS_WRITE),
+  validate(changePasswordSchema),
+  changePassword
+);
 
 /**
- * Route for fetching all users.
+ * Route for listing users one page at a time. Restricted to admins.
+ *
+ * Query parameters (all optional):
+ * - `limit`: users per page, 1-100 (default 20).
+ * - `cursor`: `next_cursor` from the previous page, to continue after it.
+ * - `page`: page number, for offset paging instead (cannot be combined with `cursor`).
+ * - `sort`: id, email, full_name or created_at (default id).
+ * - `order`: asc or desc (default asc).
+ * - `email` / `name`: substring the email address / full name must contain.
+ * - `created_from` / `created_to`: creation date range (YYYY-MM-DD, inclusive).
+ *
+ * A cursor is only valid with the sort and order it was issued for.
  * @name get/
  * @function
  * @memberof module:routes/userRoutes
  * @param {string} path - Express route path ("/")
- * @param {Function} controller - Controller to handle fetch all users request
+ * @param {Function} middleware - Authentication middleware to verify JWT token
+ * @param {Function} middleware - Scope middleware requiring the users:read scope
+ * @param {Function} middleware - Authorization middleware requiring the admin role
+ * @param {Function} middleware - Request validation (see schemas/userSchemas)
+ * @param {Function} controller - Controller to handle fetch users request
+ * @see {@link module:middlewares/authorize.authorize} for authorization details
  * @see {@link module:controllers/userController.fetchUsers} for implementation details
  * @example
  * // Example request:
- * GET /api/user/
+ * GET /api/users?limit=2&sort=created_at&order=desc&email=example.com
  *
  * @example
  * // Example successful response:
  * {
- *   "message": "Successfully fetched all users",
- *   "data": [
- *     {
- *       "id": 123,
- *       "full_name": "John Doe",
- *       "email": "john@example.com"
- *     },
- *     {
- *       "id": 456,
- *       "full_name": "Jane Smith",
- *       "email": "jane@example.com"
+ *   "message": "Successfully fetched users",
+ *   "data": {
+ *     "users": [
+ *       {
+ *         "id": 456,
+ *         "email": "jane@example.com",
+ *         "full_name": "Jane Smith",
+ *         "created_at": "2025-01-02 09:30:00"
+ *       },
+ *       {
+ *         "id": 123,
+ *         "email": "john@example.com",
+ *         "full_name": "John Doe",
+ *         "created_at": "2025-01-01 08:00:00"
+ *       }
+ *     ],
+ *     "pagination": {
+ *       "total": 5,
+ *       "limit": 2,
+ *       "page": null,
+ *       "next_cursor": "eyJzIjoiY3JlYXRlZF9hdCIsIm8iOiJkZXNjIiwidiI6IjIwMjUtMDEtMDEgMDg6MDA6MDAiLCJpIjoxMjN9",
+ *       "links": {
+ *         "self": "/api/users?limit=2&sort=created_at&order=desc&email=example.com",
+ *         "next": "/api/users?limit=2&sort=created_at&order=desc&email=example.com&cursor=eyJzIjoiY3JlYXRlZF9hdCIsIm8iOiJkZXNjIiwidiI6IjIwMjUtMDEtMDEgMDg6MDA6MDAiLCJpIjoxMjN9",
+ *         "prev": null
+ *       }
  *     }
- *   ],
+ *   },
  *   "error": null
  * }
  */
-router.get("/", fetchUsers);
+router.get(
+  "/",
+  authenticateToken,
+  requireScopes(SCOPES.USERS_READ),
+  authorize(ROLES.ADMIN),
+  validate(listUsersSchema),
+  fetchUsers
+);
 
 /**
  * Route for fetching a specific user by ID.
+ * Users may fetch their own record; fetching other users requires the admin role.
  * @name get/:id
  * @function
  * @memberof module:routes/userRoutes
  * @param {string} path - Express route path ("/:id")
+ * @param {Function} middleware - Authentication middleware to verify JWT token
+ * @param {Function} middleware - Scope middleware requiring the users:read scope
+ * @param {Function} middleware - Authorization middleware allowing self or admin
+ * @param {Function} middleware - Request validation (see schemas/userSchemas)
  * @param {Function} controller - Controller to handle fetch user request
+ * @see {@link module:middlewares/authorize.authorizeSelfOrRole} for authorization details
  * @see {@link module:controllers/userController.fetchUserById} for implementation details
  * @example
  * // Example request:
@@ -122,20 +250,36 @@ router.get("/", fetchUsers);
  * @example
  * // Example error response (user not found):
  * {
- *   "message": "User not found",
- *   "data": null,
+ *   "message": "Fetching user failed",
+ *   "data": {
+ *     "code": "USER_NOT_FOUND"
+ *   },
  *   "error": "No user exists with the given ID"
  * }
  */
-router.get("/:id", fetchUserById);
+router.get(
+  "/:id",
+  authenticateToken,
+  requireScopes(SCOPES.USERS_READ),
+  authorizeSelfOrRole(ROLES.ADMIN),
+  validate(userIdSchema),
+  fetchUserById
+);
 
 /**
  * Route for updating a user by ID.
+ * Users may update their own record; updating other users requires the admin role.
  * @name put/:id
  * @function
  * @memberof module:routes/userRoutes
  * @param {string} path - Express route path ("/:id")
+ * @param {Function} middleware - Authentication middleware to verify JWT token
+ * @param {Function} middleware - Scope middleware requiring the users:write scope
+ * @param {Function} middleware - Authorization middleware allowing self or admin
+ * @param {Function} middleware - Request validation (see schemas/userSchemas)
  * @param {Function} controller - Controller to handle update user request
+ * @param {Function} errorMiddleware - Records rejected requests in the audit log
+ * @see {@link module:middlewares/authorize.authorizeSelfOrRole} for authorization details
  * @see {@link module:controllers/userController.updateUserById} for implementation details
  * @example
  * // Example request:
@@ -161,20 +305,48 @@ router.get("/:id", fetchUserById);
  * @example
  * // Example error response (validation):
  * {
- *   "message": "Updating user failed",
- *   "data": null,
- *   "error": "Both email and full name are required"
+ *   "message": "Request validation failed",
+ *   "data": {
+ *     "code": "VALIDATION_FAILED",
+ *     "errors": [
+ *       {
+ *         "location": "body",
+ *         "field": "email",
+ *         "message": "email must be a valid email address"
+ *       }
+ *     ]
+ *   },
+ *   "error": "One or more fields are invalid"
  * }
  */
-router.put("/:id", updateUserById);
+router.put(
+  "/:id",
+  authenticateToken,
+  requireScopes(SCOPES.USERS_WRITE),
+  authorizeSelfOrRole(ROLES.ADMIN),
+  validate(updateUserSchema),
+  updateUserById,
+  auditFailure(AUDIT_ACTIONS.USER_UPDATE, (req) => ({
+    email: req.body?.email,
+    full_name: req.body?.full_name,
+  }))
+);
 
 /**
- * Route for deleting a user by ID.
+ * Route for deleting a user by ID. Restricted to admins.
+ * The user is soft-deleted: their sessions are signed out and they disappear
+ * from every lookup, but the account can be restored until it is purged.
  * @name delete/:id
  * @function
  * @memberof module:routes/userRoutes
  * @param {string} path - Express route path ("/:id")
+ * @param {Function} middleware - Authentication middleware to verify JWT token
+ * @param {Function} middleware - Scope middleware requiring the users:write scope
+ * @param {Function} middleware - Authorization middleware requiring the admin role
+ * @param {Function} middleware - Request validation (see schemas/userSchemas)
  * @param {Function} controller - Controller to handle delete user request
+ * @param {Function} errorMiddleware - Records rejected requests in the audit log
+ * @see {@link module:middlewares/authorize.authorize} for authorization details
  * @see {@link module:controllers/userController.deleteUserById} for implementation details
  * @example
  * // Example request:
@@ -193,12 +365,297 @@ router.put("/:id", updateUserById);
  * @example
  * // Example error response:
  * {
- *   "message": "User not found",
- *   "data": null,
+ *   "message": "Deleting user failed",
+ *   "data": {
+ *     "code": "USER_NOT_FOUND"
+ *   },
  *   "error": "No user exists with the given ID"
  * }
  */
-router.delete("/:id", deleteUserById);
+router.delete(
+  "/:id",
+  authenticateToken,
+  requireScopes(SCOPES.USERS_WRITE),
+  authorize(ROLES.ADMIN),
+  validate(userIdSchema),
+  deleteUserById,
+  auditFailure(AUDIT_ACTIONS.USER_DELETE)
+);
+
+/**
+ * Route for granting a role to a user. Restricted to admins.
+ * @name post/:id/roles
+ * @function
+ * @memberof module:routes/userRoutes
+ * @param {string} path - Express route path ("/:id/roles")
+ * @param {Function} middleware - Authentication middleware to verify JWT token
+ * @param {Function} middleware - Scope middleware requiring the roles:write scope
+ * @param {Function} middleware - Authorization middleware requiring the admin role
+ * @param {Function} middleware - Request validation (see schemas/userSchemas)
+ * @param {Function} controller - Controller to handle grant role request
+ * @param {Function} errorMiddleware - Records rejected requests in the audit log
+ * @see {@link module:controllers/userController.grantUserRole} for implementation details
+ * @example
+ * // Example request:
+ * POST /api/users/123/roles
+ * Body:
+ * {
+ *   "role": "admin"
+ * }
+ *
+ * @example
+ * // Example successful response:
+ * {
+ *   "message": "Role granted successfully",
+ *   "data": {
+ *     "id": 123,
+ *     "roles": ["admin", "user"]
+ *   },
+ *   "error": null
+ * }
+ */
+router.post(
+  "/:id/roles",
+  authenticateToken,
+  requireScopes(SCOPES.ROLES_WRITE),
+  authorize(ROLES.ADMIN),
+  validate(grantRoleSchema),
+  grantUserRole,
+  auditFailure(AUDIT_ACTIONS.ROLE_GRANT, (req) => ({ role: req.body?.role }))
+);
+
+/**
+ * Route for revoking a role from a user. Restricted to admins.
+ * @name delete/:id/roles/:role
+ * @function
+ * @memberof module:routes/userRoutes
+ * @param {string} path - Express route path ("/:id/roles/:role")
+ * @param {Function} middleware - Authentication middleware to verify JWT token
+ * @param {Function} middleware - Scope middleware requiring the roles:write scope
+ * @param {Function} middleware - Authorization middleware requiring the admin role
+ * @param {Function} middleware - Request validation (see schemas/userSchemas)
+ * @param {Function} controller - Controller to handle revoke role request
+ * @param {Function} errorMiddleware - Records rejected requests in the audit log
+ * @see {@link module:controllers/userController.revokeUserRole} for implementation details
+ * @example
+ * // Example request:
+ * DELETE /api/users/123/roles/admin
+ *
+ * @example
+ * // Example successful response:
+ * {
+ *   "message": "Role revoked successfully",
+ *   "data": {
+ *     "id": 123,
+ *     "roles": ["user"]
+ *   },
+ *   "error": null
+ * }
+ */
+router.delete(
+  "/:id/roles/:role",
+  authenticateToken,
+  requireScopes(SCOPES.ROLES_WRITE),
+  authorize(ROLES.ADMIN),
+  validate(revokeRoleSchema),
+  revokeUserRole,
+  auditFailure(AUDIT_ACTIONS.ROLE_REVOKE, (req) => ({ role: req.params.role }))
+);
+
+/**
+ * Route for unlocking a user locked out after failed logins. Restricted to admins.
+ * @name post/:id/unlock
+ * @function
+ * @memberof module:routes/userRoutes
+ * @param {string} path - Express route path ("/:id/unlock")
+ * @param {Function} middleware - Authentication middleware to verify JWT token
+ * @param {Function} middleware - Scope middleware requiring the users:write scope
+ * @param {Function} middleware - Authorization middleware requiring the admin role
+ * @param {Function} middleware - Request validation (see schemas/userSchemas)
+ * @param {Function} controller - Controller to handle unlock user request
+ * @param {Function} errorMiddleware - Records rejected requests in the audit log
+ * @see {@link module:controllers/userController.unlockUser} for implementation details
+ * @example
+ * // Example request:
+ * POST /api/users/123/unlock
+ *
+ * @example
+ * // Example successful response:
+ * {
+ *   "message": "User unlocked successfully",
+ *   "data": {
+ *     "id": 123,
+ *     "was_locked": true
+ *   },
+ *   "error": null
+ * }
+ */
+router.post(
+  "/:id/unlock",
+  authenticateToken,
+  requireScopes(SCOPES.USERS_WRITE),
+  authorize(ROLES.ADMIN),
+  validate(userIdSchema),
+  unlockUser,
+  auditFailure(AUDIT_ACTIONS.USER_UNLOCK)
+);
+
+/**
+ * Route for disabling a user's account. Restricted to admins.
+ * The user's sessions are signed out and their logins refused until the
+ * account is enabled again.
+ * @name post/:id/disable
+ * @function
+ * @memberof module:routes/userRoutes
+ * @param {string} path - Express route path ("/:id/disable")
+ * @param {Function} middleware - Authentication middleware to verify JWT token
+ * @param {Function} middleware - Scope middleware requiring the users:write scope
+ * @param {Function} middleware - Authorization middleware requiring the admin role
+ * @param {Function} middleware - Request validation (see schemas/userSchemas)
+ * @param {Function} controller - Controller to handle disable user request
+ * @param {Function} errorMiddleware - Records rejected requests in the audit log
+ * @see {@link module:controllers/userController.disableUser} for implementation details
+ * @example
+ * // Example request:
+ * POST /api/users/123/disable
+ *
+ * @example
+ * // Example successful response:
+ * {
+ *   "message": "User disabled successfully",
+ *   "data": {
+ *     "id": 123,
+ *     "disabled": true
+ *   },
+ *   "error": null
+ * }
+ */
+router.post(
+  "/:id/disable",
+  authenticateToken,
+  requireScopes(SCOPES.USERS_WRITE),
+  authorize(ROLES.ADMIN),
+  validate(userIdSchema),
+  disableUser,
+  auditFailure(AUDIT_ACTIONS.USER_DISABLE)
+);
+
+/**
+ * Route for re-enabling a disabled user's account. Restricted to admins.
+ * @name post/:id/enable
+ * @function
+ * @memberof module:routes/userRoutes
+ * @param {string} path - Express route path ("/:id/enable")
+ * @param {Function} middleware - Authentication middleware to verify JWT token
+ * @param {Function} middleware - Scope middleware requiring the users:write scope
+ * @param {Function} middleware - Authorization middleware requiring the admin role
+ * @param {Function} middleware - Request validation (see schemas/userSchemas)
+ * @param {Function} controller - Controller to handle enable user request
+ * @param {Function} errorMiddleware - Records rejected requests in the audit log
+ * @see {@link module:controllers/userController.enableUser} for implementation details
+ * @example
+ * // Example request:
+ * POST /api/users/123/enable
+ *
+ * @example
+ * // Example successful response:
+ * {
+ *   "message": "User enabled successfully",
+ *   "data": {
+ *     "id": 123,
+ *     "disabled": false
+ *   },
+ *   "error": null
+ * }
+ */
+router.post(
+  "/:id/enable",
+  authenticateToken,
+  requireScopes(SCOPES.USERS_WRITE),
+  authorize(ROLES.ADMIN),
+  validate(userIdSchema),
+  enableUser,
+  auditFailure(AUDIT_ACTIONS.USER_ENABLE)
+);
+
+/**
+ * Route for restoring a deleted user. Restricted to admins.
+ * Fails with 409 if the user's email address has since been registered again.
+ * @name post/:id/restore
+ * @function
+ * @memberof module:routes/userRoutes
+ * @param {string} path - Express route path ("/:id/restore")
+ * @param {Function} middleware - Authentication middleware to verify JWT token
+ * @param {Function} middleware - Scope middleware requiring the users:write scope
+ * @param {Function} middleware - Authorization middleware requiring the admin role
+ * @param {Function} middleware - Request validation (see schemas/userSchemas)
+ * @param {Function} controller - Controller to handle restore user request
+ * @param {Function} errorMiddleware - Records rejected requests in the audit log
+ * @see {@link module:controllers/userController.restoreUser} for implementation details
+ * @example
+ * // Example request:
+ * POST /api/users/123/restore
+ *
+ * @example
+ * // Example successful response:
+ * {
+ *   "message": "User restored successfully",
+ *   "data": {
+ *     "id": 123,
+ *     "full_name": "John Doe",
+ *     "email": "john@example.com"
+ *   },
+ *   "error": null
+ * }
+ */
+router.post(
+  "/:id/restore",
+  authenticateToken,
+  requireScopes(SCOPES.USERS_WRITE),
+  authorize(ROLES.ADMIN),
+  validate(userIdSchema),
+  restoreUser,
+  auditFailure(AUDIT_ACTIONS.USER_RESTORE)
+);
+
+/**
+ * Route for permanently deleting a deleted user. Restricted to admins.
+ * Only allowed once USER_PURGE_RETENTION has passed since the deletion;
+ * the user's roles, MFA settings and pending tokens are removed with it.
+ * @name delete/:id/purge
+ * @function
+ * @memberof module:routes/userRoutes
+ * @param {string} path - Express route path ("/:id/purge")
+ * @param {Function} middleware - Authentication middleware to verify JWT token
+ * @param {Function} middleware - Scope middleware requiring the users:write scope
+ * @param {Function} middleware - Authorization middleware requiring the admin role
+ * @param {Function} middleware - Request validation (see schemas/userSchemas)
+ * @param {Function} controller - Controller to handle purge user request
+ * @param {Function} errorMiddleware - Records rejected requests in the audit log
+ * @see {@link module:controllers/userController.purgeUser} for implementation details
+ * @example
+ * // Example request:
+ * DELETE /api/users/123/purge
+ *
+ * @example
+ * // Example error response (deleted too recently):
+ * {
+ *   "message": "Purging user failed",
+ *   "data": {
+ *     "code": "RETENTION_PERIOD_ACTIVE"
+ *   },
+ *   "error": "Deleted users can only be purged once their retention period has passed"
+ * }
+ */
+router.delete(
+  "/:id/purge",
+  authenticateToken,
+  requireScopes(SCOPES.USERS_WRITE),
+  authorize(ROLES.ADMIN),
+  validate(userIdSchema),
+  purgeUser,
+  auditFailure(AUDIT_ACTIONS.USER_PURGE)
+);
 
 /**
  * @exports userRoutes
@@ -0,0 +1,50 @@
+/**
+ * @file Routes served under /.well-known for other services to discover.
+ * @module routes/wellKnownRoutes
+ * @requires express
+ * @requires ../controllers/jwksController
+ */
+
+import express from "express";
+import { getJwks } from "../controllers/jwksController.js";
+
+/**
+ * Express router for /.well-known endpoints.
+ * @type {express.Router}
+ */
+const router = express.Router();
+
+/**
+ * Route for fetching the public signing keys as a JSON Web Key Set.
+ * @name get/jwks.json
+ * @function
+ * @memberof module:routes/wellKnownRoutes
+ * @param {string} path - Express route path ("/jwks.json")
+ * @param {Function} controller - Controller to handle JWKS request
+ * @see {@link module:controllers/jwksController.getJwks} for implementation details
+ * @example
+ * // Example request:
+ * GET /.well-known/jwks.json
+ *
+ * @example
+ * // Example successful response:
+ * {
+ *   "keys": [
+ *     {
+ *       "kty": "RSA",
+ *       "n": "0vx7agoebGcQSuuPiLJXZptN9nndrQmbXEps2aiAFbWhM78LhWx4...",
+ *       "e": "AQAB",
+ *       "kid": "2025-01",
+ *       "alg": "RS256",
+ *       "use": "sig"
+ *     }
+ *   ]
+ * }
+ */
+router.get("/jwks.json", getJwks);
+
+/**
+ * @exports wellKnownRoutes
+ * @type {express.Router}
+ */
+export default router;
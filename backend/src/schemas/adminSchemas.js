@@ -0,0 +1,37 @@
+/**
+ * @file Request schemas for the admin routes.
+ * @module schemas/adminSchemas
+ * @requires ../config/audit.config
+ *
+ * See middlewares/validate for the schema format.
+ */
+
+import { AUDIT_ACTIONS, AUDIT_OUTCOMES } from "../config/audit.config.js";
+
+/**
+ * Schema for GET /audit, the paginated audit log.
+ * @constant {Object}
+ */
+export const listAuditSchema = {
+  query: {
+    limit: { type: "integer", min: 1, max: 100, default: 20 },
+    cursor: { type: "string", trim: true },
+    action: {
+      type: "string",
+      trim: true,
+      lowercase: true,
+      enum: Object.values(AUDIT_ACTIONS),
+    },
+    outcome: {
+      type: "string",
+      trim: true,
+      lowercase: true,
+      enum: Object.values(AUDIT_OUTCOMES),
+    },
+    actor_user_id: { type: "integer", min: 1 },
+    target_user_id: { type: "integer", min: 1 },
+    created_from: { type: "string", trim: true, format: "date" },
+    created_to: { type: "string", trim: true, format: "date" },
+  },
+  body: {},
+};
@@ -0,0 +1,129 @@
+/**
+ * @file Request schemas for the authentication routes.
+ * @module schemas/authSchemas
+ * @requires ./common
+ *
+ * See middlewares/validate for the schema format.
+ */
+
+import { FIELDS } from "./common.js";
+
+/**
+ * Schema for POST /register.
+ * @constant {Object}
+ */
+export const registerSchema = {
+  body: {
+    full_name: FIELDS.FULL_NAME,
+    email: FIELDS.EMAIL,
+    password: FIELDS.PASSWORD,
+  },
+};
+
+/**
+ * Schema for GET /verify-email, which serves the emailed link.
+ * @constant {Object}
+ */
+export const verifyEmailLinkSchema = {
+  query: { token: FIELDS.TOKEN },
+};
+
+/**
+ * Schema for POST /verify-email.
+ * @constant {Object}
+ */
+export const verifyEmailSchema = {
+  body: { token: FIELDS.TOKEN },
+};
+
+/**
+ * Schema for the routes taking only an email address
+ * (POST /verify-email/resend and POST /forgot-password).
+ * @constant {Object}
+ */
+export const emailOnlySchema = {
+  body: { email: FIELDS.EMAIL },
+};
+
+/**
+ * Schema for POST /login.
+ * @constant {Object}
+ */
+export const loginSchema = {
+  body: {
+    email: FIELDS.EMAIL,
+    password: FIELDS.PASSWORD,
+    scope: { type: "string", trim: true },
+  },
+};
+
+/**
+ * Schema for POST /mfa/verify.
+ * @constant {Object}
+ */
+export const verifyMfaSchema = {
+  body: {
+    mfa_token: FIELDS.TOKEN,
+    code: FIELDS.TOKEN,
+  },
+};
+
+/**
+ * Schema for POST /mfa/enable.
+ * @constant {Object}
+ */
+export const enableMfaSchema = {
+  body: { code: FIELDS.TOKEN },
+};
+
+/**
+ * Schema for POST /mfa/disable. Either field may be given; the service
+ * requires at least one.
+ * @constant {Object}
+ */
+export const disableMfaSchema = {
+  body: {
+    password: { ...FIELDS.PASSWORD, required: false },
+    code: { ...FIELDS.TOKEN, required: false },
+  },
+};
+
+/**
+ * Schema for POST /refresh. The refresh token may come from its cookie instead.
+ * @constant {Object}
+ */
+export const refreshSchema = {
+  body: {
+    refresh_token: { ...FIELDS.TOKEN, required: false },
+  },
+};
+
+/**
+ * Schema for POST /logout. Both fields may come from the refresh token cookie instead.
+ * @constant {Object}
+ */
+export const logoutSchema = {
+  body: {
+    user_id: { ...FIELDS.USER_ID, required: false },
+    refresh_token: { ...FIELDS.TOKEN, required: false },
+  },
+};
+
+/**
+ * Schema for POST /reset-password.
+ * @constant {Object}
+ */
+export const resetPasswordSchema = {
+  body: {
+    token: FIELDS.TOKEN,
+    password: FIELDS.PASSWORD,
+  },
+};
+
+/**
+ * Schema for DELETE /sessions/:id.
+ * @constant {Object}
+ */
+export const revokeSessionSchema = {
+  params: { id: FIELDS.SESSION_ID },
+};
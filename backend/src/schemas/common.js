@@ -0,0 +1,48 @@
+/**
+ * @file Field rules and schemas shared by the route schemas.
+ * @module schemas/common
+ *
+ * See middlewares/validate for the rule format.
+ */
+
+/**
+ * Maximum length of the user table's VARCHAR(255) columns.
+ * @constant {number}
+ */
+const MAX_COLUMN_LENGTH = 255;
+
+/**
+ * Reusable field rules.
+ * Passwords are neither trimmed nor length-checked here: the password policy
+ * (see PasswordPolicyService) decides what a valid new password is.
+ * @readonly
+ * @enum {Object}
+ */
+export const FIELDS = Object.freeze({
+  EMAIL: {
+    type: "string",
+    required: true,
+    trim: true,
+    format: "email",
+    maxLength: MAX_COLUMN_LENGTH,
+  },
+  FULL_NAME: {
+    type: "string",
+    required: true,
+    trim: true,
+    maxLength: MAX_COLUMN_LENGTH,
+  },
+  PASSWORD: { type: "string", required: true },
+  TOKEN: { type: "string", required: true, trim: true },
+  USER_ID: { type: "integer", required: true, min: 1 },
+  SESSION_ID: { type: "string", required: true, format: "uuid" },
+});
+
+/**
+ * Schema for routes that take no input: any body or query string is dropped.
+ * @constant {Object}
+ */
+export const noInputSchema = {
+  query: {},
+  body: {},
+};
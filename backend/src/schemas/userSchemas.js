@@ -0,0 +1,103 @@
+/**
+ * @file Request schemas for the user routes.
+ * @module schemas/userSchemas
+ * @requires ./common
+ * @requires ../config/roles.config
+ *
+ * See middlewares/validate for the schema format.
+ */
+
+import { FIELDS } from "./common.js";
+import { ROLES } from "../config/roles.config.js";
+
+/**
+ * Rule for a role name.
+ * @constant {Object}
+ */
+const ROLE = {
+  type: "string",
+  required: true,
+  trim: true,
+  enum: Object.values(ROLES),
+};
+
+/**
+ * Schema for the routes taking only a user ID
+ * (GET, DELETE /:id, DELETE /:id/purge and POST /:id/unlock, /:id/disable,
+ * /:id/enable, /:id/restore).
+ * @constant {Object}
+ */
+export const userIdSchema = {
+  params: { id: FIELDS.USER_ID },
+  body: {},
+};
+
+/**
+ * Schema for GET /, the paginated user listing.
+ * @constant {Object}
+ */
+export const listUsersSchema = {
+  query: {
+    limit: { type: "integer", min: 1, max: 100, default: 20 },
+    cursor: { type: "string", trim: true },
+    page: { type: "integer", min: 1 },
+    sort: {
+      type: "string",
+      trim: true,
+      enum: ["id", "email", "full_name", "created_at"],
+      default: "id",
+    },
+    order: {
+      type: "string",
+      trim: true,
+      lowercase: true,
+      enum: ["asc", "desc"],
+      default: "asc",
+    },
+    email: { type: "string", trim: true, maxLength: 255 },
+    name: { type: "string", trim: true, maxLength: 255 },
+    created_from: { type: "string", trim: true, format: "date" },
+    created_to: { type: "string", trim: true, format: "date" },
+  },
+  body: {},
+};
+
+/**
+ * Schema for PUT /me/password.
+ * @constant {Object}
+ */
+export const changePasswordSchema = {
+  body: {
+    current_password: FIELDS.PASSWORD,
+    new_password: FIELDS.PASSWORD,
+  },
+};
+
+/**
+ * Schema for PUT /:id.
+ * @constant {Object}
+ */
+export const updateUserSchema = {
+  params: { id: FIELDS.USER_ID },
+  body: {
+    email: FIELDS.EMAIL,
+    full_name: FIELDS.FULL_NAME,
+  },
+};
+
+/**
+ * Schema for POST /:id/roles.
+ * @constant {Object}
+ */
+export const grantRoleSchema = {
+  params: { id: FIELDS.USER_ID },
+  body: { role: ROLE },
+};
+
+/**
+ * Schema for DELETE /:id/roles/:role.
+ * @constant {Object}
+ */
+export const revokeRoleSchema = {
+  params: { id: FIELDS.USER_ID, role: ROLE },
+};
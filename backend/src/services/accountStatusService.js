@@ -0,0 +1,330 @@
+/**
+ * @file Account status service for checking that authenticated users may still use the API,
+ * and for disabling, deleting, restoring and purging accounts.
+ * @module services/accountStatusService
+ * @requires ../models/User
+ * @requires ../models/UserRole
+ * @requires ./loginProtectionService
+ * @requires ./whitelistService
+ * @requires ./tokenRevocationService
+ * @requires ../util/datetime.util
+ * @requires ../config/env.config
+ * @requires ../errors/AppError
+ *
+ * Loaded users are cached in process memory for AUTH_USER_CACHE_TTL so
+ * authenticated requests rarely reach the database. Changes made by this
+ * process drop the cached entry immediately; changes made by other instances
+ * apply here once the entry expires.
+ */
+
+import User from "../models/User.js";
+import UserRole from "../models/UserRole.js";
+import LoginProtectionService from "./loginProtectionService.js";
+import WhitelistService from "./whitelistService.js";
+import TokenRevocationService from "./tokenRevocationService.js";
+import DatetimeUtil from "../util/datetime.util.js";
+import config from "../config/env.config.js";
+import {
+  ConflictError,
+  NotFoundError,
+  UnauthorizedError,
+} from "../errors/AppError.js";
+
+/**
+ * How often expired cache entries are swept from memory, in milliseconds.
+ * @constant {number}
+ */
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Client-facing explanations for each reason an account is refused.
+ * @constant {Object<string, string>}
+ */
+const REFUSAL_DETAILS = Object.freeze({
+  USER_NOT_FOUND: "User no longer exists",
+  ACCOUNT_DISABLED: "Account has been disabled",
+  ACCOUNT_LOCKED: "Account is locked due to too many failed login attempts",
+});
+
+/**
+ * Cached lookups by user ID: either the user's profile or the error code
+ * their account was rejected with.
+ * @type {Map<string, {user: Object|null, error: string|null, expiresAt: number}>}
+ */
+const accounts = new Map();
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, entry] of accounts) {
+    if (entry.expiresAt <= now) accounts.delete(key);
+  }
+}, PRUNE_INTERVAL_MS).unref();
+
+/**
+ * Class containing account status methods.
+ */
+class AccountStatusService {
+  /**
+   * Looks up a user and determines whether their account is usable.
+   * @static
+   * @async
+   * @param {number|string} user_id - User ID.
+   * @returns {Promise<Object>} Lookup result.
+   * @property {Object|null} user - Profile (id, email, full_name, roles) if the account is usable.
+   * @property {string|null} error - USER_NOT_FOUND, ACCOUNT_DISABLED or ACCOUNT_LOCKED otherwise.
+   */
+  static async lookUp(user_id) {
+    const account = await User.fetchAccountByUserId(user_id);
+
+    if (!account) {
+      return { user: null, error: "USER_NOT_FOUND" };
+    }
+
+    if (account.disabled_at) {
+      return { user: null, error: "ACCOUNT_DISABLED" };
+    }
+
+    if (await LoginProtectionService.isAccountLocked(account.email)) {
+      return { user: null, error: "ACCOUNT_LOCKED" };
+    }
+
+    return {
+      user: {
+        id: account.id,
+        email: account.email,
+        full_name: account.full_name,
+        roles: await UserRole.findRolesByUserId(account.id),
+      },
+      error: null,
+    };
+  }
+
+  /**
+   * Loads the profile of an authenticated user, refusing accounts that have
+   * been deleted, disabled or locked out since the token was issued.
+   * @static
+   * @async
+   * @param {number|string} user_id - User ID from the access token.
+   * @returns {Promise<Object>} User profile.
+   * @property {number} id - User ID.
+   * @property {string} email - User's email.
+   * @property {string} full_name - User's full name.
+   * @property {Array<string>} roles - Roles currently granted to the user.
+   * @throws {UnauthorizedError} Possible errors:
+   * - USER_NOT_FOUND: If the user has been deleted
+   * - ACCOUNT_DISABLED: If the account has been disabled
+   * - ACCOUNT_LOCKED: If the account is locked out after too many failed logins
+   */
+  static async loadActiveUser(user_id) {
+    const key = String(user_id);
+    let entry = accounts.get(key);
+
+    if (!entry || entry.expiresAt <= Date.now()) {
+      entry = {
+        ...(await this.lookUp(user_id)),
+        expiresAt: Date.now() + config.authentication.userCacheTtl * 1000,
+      };
+      accounts.set(key, entry);
+    }
+
+    if (entry.error) {
+      throw new UnauthorizedError(entry.error, REFUSAL_DETAILS[entry.error]);
+    }
+
+    return entry.user;
+  }
+
+  /**
+   * Drops a user from the cache so the next request loads them again.
+   * Call after changing anything loadActiveUser depends on.
+   * @static
+   * @param {number|string} user_id - User ID.
+   * @returns {void}
+   */
+  static invalidate(user_id) {
+    accounts.delete(String(user_id));
+  }
+
+  /**
+   * Disables a user's account. Every session is signed out and every access
+   * token issued so far is revoked; logins are refused until it is enabled.
+   * @static
+   * @async
+   * @param {number|string} user_id - ID of the user to disable.
+   * @returns {Promise<void>}
+   * @throws {Error} Possible errors:
+   * - USER_NOT_FOUND: If no user exists with the given ID
+   */
+  static async disableAccount(user_id) {
+    const isUpdated = await User.setDisabledAt({
+      user_id: user_id,
+      disabled_at: DatetimeUtil.now(),
+    });
+
+    if (!isUpdated) {
+      throw new NotFoundError(
+        "USER_NOT_FOUND",
+        "No user exists with the given ID"
+      );
+    }
+
+    await WhitelistService.revokeAllSessions(user_id);
+    await TokenRevocationService.revokeAllForUser(user_id);
+    this.invalidate(user_id);
+  }
+
+  /**
+   * Re-enables a disabled account.
+   * @static
+   * @async
+   * @param {number|string} user_id - ID of the user to enable.
+   * @returns {Promise<void>}
+   * @throws {Error} Possible errors:
+   * - USER_NOT_FOUND: If no user exists with the given ID
+   */
+  static async enableAccount(user_id) {
+    const isUpdated = await User.setDisabledAt({
+      user_id: user_id,
+      disabled_at: null,
+    });
+
+    if (!isUpdated) {
+      throw new NotFoundError(
+        "USER_NOT_FOUND",
+        "No user exists with the given ID"
+      );
+    }
+
+    this.invalidate(user_id);
+  }
+
+  /**
+   * Finds a soft-deleted user, telling apart IDs of active users (which
+   * cannot be restored or purged) from IDs that do not exist at all.
+   * @static
+   * @async
+   * @param {number|string} user_id - User ID.
+   * @returns {Promise<Object>} The deleted user, as returned by User.fetchDeletedByUserId.
+   * @throws {Error} Possible errors:
+   * - USER_NOT_FOUND: If no user exists with the given ID
+   * - USER_NOT_DELETED: If the user has not been deleted
+   */
+  static async findDeletedUser(user_id) {
+    const user = await User.fetchDeletedByUserId(user_id);
+
+    if (user) {
+      return user;
+    }
+
+    if (await User.userExistByUserId(user_id)) {
+      throw new ConflictError(
+        "USER_NOT_DELETED",
+        "The user has not been deleted"
+      );
+    }
+
+    throw new NotFoundError(
+      "USER_NOT_FOUND",
+      "No user exists with the given ID"
+    );
+  }
+
+  /**
+   * Soft-deletes a user's account. Every session is signed out and every
+   * access token issued so far is revoked. The account stays restorable
+   * until it is purged, which USER_PURGE_RETENTION after deletion allows.
+   * @static
+   * @async
+   * @param {number|string} user_id - ID of the user to delete.
+   * @returns {Promise<void>}
+   * @throws {Error} Possible errors:
+   * - USER_NOT_FOUND: If no user exists with the given ID
+   */
+  static async deleteAccount(user_id) {
+    const isDeleted = await User.softDelete({
+      user_id: user_id,
+      deleted_at: DatetimeUtil.now(),
+    });
+
+    if (!isDeleted) {
+      throw new NotFoundError(
+        "USER_NOT_FOUND",
+        "No user exists with the given ID"
+      );
+    }
+
+    await WhitelistService.revokeAllSessions(user_id);
+    await TokenRevocationService.revokeAllForUser(user_id);
+    this.invalidate(user_id);
+  }
+
+  /**
+   * Restores a soft-deleted account. The user has to log in again, since
+   * their sessions were signed out on deletion.
+   * @static
+   * @async
+   * @param {number|string} user_id - ID of the user to restore.
+   * @returns {Promise<void>}
+   * @throws {Error} Possible errors:
+   * - USER_NOT_FOUND: If no user exists with the given ID
+   * - USER_NOT_DELETED: If the user has not been deleted
+   * - EMAIL_EXISTS: If the email address now belongs to another user
+   */
+  static async restoreAccount(user_id) {
+    const user = await this.findDeletedUser(user_id);
+    const emailTaken = new ConflictError(
+      "EMAIL_EXISTS",
+      "The user's email address now belongs to another user"
+    );
+
+    if (await User.emailExists(user.email)) {
+      throw emailTaken;
+    }
+
+    try {
+      await User.restore(user_id);
+    } catch (error) {
+      // The address was registered between the check and the update
+      if (error.code === "ER_DUP_ENTRY") {
+        throw emailTaken;
+      }
+      throw error;
+    }
+
+    this.invalidate(user_id);
+  }
+
+  /**
+   * Permanently deletes a soft-deleted account, once USER_PURGE_RETENTION
+   * has passed since its deletion.
+   * @static
+   * @async
+   * @param {number|string} user_id - ID of the user to purge.
+   * @returns {Promise<void>}
+   * @throws {Error} Possible errors:
+   * - USER_NOT_FOUND: If no user exists with the given ID
+   * - USER_NOT_DELETED: If the user has not been deleted
+   * - RETENTION_PERIOD_ACTIVE: If the user was deleted too recently
+   */
+  static async purgeAccount(user_id) {
+    await this.findDeletedUser(user_id);
+
+    const isPurged = await User.purge({
+      user_id: user_id,
+      deleted_before: DatetimeUtil.expiryFromSeconds(
+        -config.userDeletion.purgeRetention
+      ),
+    });
+
+    if (!isPurged) {
+      throw new ConflictError(
+        "RETENTION_PERIOD_ACTIVE",
+        "Deleted users can only be purged once their retention period has passed"
+      );
+    }
+
+    this.invalidate(user_id);
+  }
+}
+
+export default AccountStatusService;
@@ -0,0 +1,170 @@
+/**
+ * @file Audit service for recording authentication and account-management events
+ * and for reading them back.
+ * @module services/auditService
+ * @requires ../models/AuditLog
+ * @requires ../config/audit.config
+ * @requires ../errors/AppError
+ */
+
+import AuditLog from "../models/AuditLog.js";
+import { AUDIT_OUTCOMES } from "../config/audit.config.js";
+import { AppError, ValidationError } from "../errors/AppError.js";
+
+/**
+ * Builds a ValidationError for an invalid query value, in the same shape as
+ * the errors reported by the validate middleware.
+ * @param {string} field - Query field name.
+ * @param {string} problem - What is wrong with it.
+ * @returns {ValidationError} Error to throw.
+ */
+const queryError = (field, problem) =>
+  new ValidationError([
+    { location: "query", field: field, message: `${field} ${problem}` },
+  ]);
+
+/**
+ * Class containing audit log methods.
+ *
+ * Services and controllers record an entry once an audited action has
+ * succeeded or failed; admins page through the entries with listEntries.
+ */
+class AuditService {
+  /**
+   * Appends an entry to the audit log.
+   * The outcome is "failure" when an error is given, whose code is stored as
+   * `details.reason`; errors other than AppError are stored as INTERNAL_ERROR.
+   * Recording never fails the audited action: if the entry cannot be
+   * written, the problem is logged and the action goes ahead.
+   * @static
+   * @async
+   * @param {Object} entry - Audit log entry.
+   * @param {string} entry.action - Audited action (see config/audit.config AUDIT_ACTIONS).
+   * @param {number|string|null} [entry.actor_user_id] - ID of the user who acted, if known.
+   * @param {number|string|null} [entry.target_user_id] - ID of the user acted upon, if any.
+   * @param {Object} [entry.client] - Information about the client making the request.
+   * @param {string} [entry.client.ip_address] - Client's IP address.
+   * @param {string} [entry.client.user_agent] - Client's user agent.
+   * @param {Object} [entry.details] - Additional context.
+   * @param {Error} [entry.error] - Error the action failed with.
+   * @returns {Promise<void>}
+   */
+  static async record({
+    action,
+    actor_user_id,
+    target_user_id,
+    client = {},
+    details,
+    error,
+  }) {
+    const reason = error instanceof AppError ? error.code : "INTERNAL_ERROR";
+
+    try {
+      await AuditLog.create({
+        action: action,
+        outcome: error ? AUDIT_OUTCOMES.FAILURE : AUDIT_OUTCOMES.SUCCESS,
+        actor_user_id: actor_user_id,
+        target_user_id: target_user_id,
+        ip_address: client.ip_address,
+        user_agent: client.user_agent?.slice(0, 512),
+        details: error ? { ...details, reason: reason } : details,
+      });
+    } catch (writeError) {
+      console.error("Audit log write failed:", writeError);
+    }
+  }
+
+  /**
+   * Encodes the position after an entry as a cursor.
+   * @static
+   * @param {number} id - The entry's ID.
+   * @returns {string} Base64url-encoded cursor.
+   */
+  static encodeCursor(id) {
+    return Buffer.from(JSON.stringify({ i: id })).toString("base64url");
+  }
+
+  /**
+   * Decodes a cursor produced by encodeCursor.
+   * @static
+   * @param {string} cursor - Cursor from the client.
+   * @returns {number} ID of the entry to continue after.
+   * @throws {ValidationError} If the cursor is malformed.
+   */
+  static decodeCursor(cursor) {
+    let position;
+    try {
+      position = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    } catch {
+      throw queryError("cursor", "is not a valid cursor");
+    }
+
+    if (!Number.isSafeInteger(position?.i)) {
+      throw queryError("cursor", "is not a valid cursor");
+    }
+
+    return position.i;
+  }
+
+  /**
+   * Fetches one page of audit log entries, newest first.
+   * Only cursor paging is offered, and no total is returned: the log only
+   * grows, and counting it on every page would get slower and slower.
+   * @static
+   * @async
+   * @param {Object} query - Listing options, validated by the route schema.
+   * @param {number} query.limit - Page size.
+   * @param {string} [query.cursor] - Cursor of the previous page.
+   * @param {string} [query.action] - Audited action.
+   * @param {string} [query.outcome] - "success" or "failure".
+   * @param {number} [query.actor_user_id] - ID of the user who acted.
+   * @param {number} [query.target_user_id] - ID of the user acted upon.
+   * @param {string} [query.created_from] - Earliest date (YYYY-MM-DD), inclusive.
+   * @param {string} [query.created_to] - Latest date (YYYY-MM-DD), inclusive.
+   * @returns {Promise<Object>} The page.
+   * @property {Array<Object>} entries - Entries on the page.
+   * @property {string|null} next_cursor - Cursor of the next page, null on the last page.
+   * @throws {ValidationError} Possible errors:
+   * - If the cursor is malformed
+   * - If created_from is after created_to
+   */
+  static async listEntries(query) {
+    const { limit, cursor } = query;
+    const filters = {
+      action: query.action,
+      outcome: query.outcome,
+      actor_user_id: query.actor_user_id,
+      target_user_id: query.target_user_id,
+      created_from: query.created_from,
+      created_to: query.created_to,
+    };
+
+    // Dates are YYYY-MM-DD, so comparing the strings compares the dates
+    if (
+      filters.created_from &&
+      filters.created_to &&
+      filters.created_from > filters.created_to
+    ) {
+      throw queryError("created_to", "must not be before created_from");
+    }
+
+    // One extra row tells whether another page follows
+    const rows = await AuditLog.findPage({
+      filters: filters,
+      limit: limit + 1,
+      before: cursor ? this.decodeCursor(cursor) : undefined,
+    });
+
+    const entries = rows.slice(0, limit);
+    const hasMore = rows.length > limit;
+
+    return {
+      entries: entries,
+      next_cursor: hasMore
+        ? this.encodeCursor(entries[entries.length - 1].id)
+        : null,
+    };
+  }
+}
+
+export default AuditService;
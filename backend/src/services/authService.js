@@ -2,24 +2,58 @@
  * @file Authentication service handling core business logic for user authentication.
  * @module services/authService
  * @requires ../models/User
+ * @requires ../models/UserRole
+ * @requires ../config/roles.config
+ * @requires ../config/scopes.config
  * @requires bcryptjs
- * @requires jsonwebtoken
+ * @requires crypto
+ * @requires ./tokenService
  * @requires ./whitelistService
+ * @requires ./tokenRevocationService
+ * @requires ./loginProtectionService
+ * @requires ./emailVerificationService
+ * @requires ./passwordResetService
+ * @requires ./passwordPolicyService
+ * @requires ./mfaService
+ * @requires ./auditService
  * @requires ../util/datetime.util
+ * @requires ../config/env.config
+ * @requires ../config/audit.config
+ * @requires ../errors/AppError
  */
 
 import User from "../models/User.js";
+import UserRole from "../models/UserRole.js";
+import { ROLES } from "../config/roles.config.js";
+import { parseScope, scopesForRoles } from "../config/scopes.config.js";
 import bcryptjs from "bcryptjs";
-import jwt from "jsonwebtoken";
+import crypto from "crypto";
+import TokenService from "./tokenService.js";
 import WhitelistService from "./whitelistService.js";
+import TokenRevocationService from "./tokenRevocationService.js";
+import LoginProtectionService from "./loginProtectionService.js";
+import EmailVerificationService from "./emailVerificationService.js";
+import PasswordResetService from "./passwordResetService.js";
+import PasswordPolicyService from "./passwordPolicyService.js";
+import MfaService from "./mfaService.js";
+import AuditService from "./auditService.js";
 import DatetimeUtil from "../util/datetime.util.js";
+import config from "../config/env.config.js";
+import { AUDIT_ACTIONS } from "../config/audit.config.js";
+import {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  UnauthorizedError,
+} from "../errors/AppError.js";
 
 const saltRounds = 12;
-const JWT_SECRET = process.env.JWT_SECRET;
 
 /**
  * Class containing authentication service methods.
- * Handles registration, login, logout, and related validation logic.
+ * Handles registration, login (including the MFA step), token refresh,
+ * logout, password changes and resets, and related validation logic.
  */
 class AuthService {
   /**
@@ -33,7 +67,7 @@ class AuthService {
    * @throws {Error} Possible validation errors:
    * - ALL_FIELDS_REQUIRED: If any field is missing or empty
    * - INVALID_EMAIL_FORMAT: If email format is invalid
-   * - PASSWORD_TOO_SHORT: If password is less than 8 characters
+   * - WEAK_PASSWORD: If password violates the password policy (see PasswordPolicyService)
    */
   static async validateRegistrationData({ full_name, email, password }) {
     if (
@@ -44,36 +78,47 @@ class AuthService {
       email.trim() === "" ||
       password.trim() === ""
     ) {
-      throw new Error("ALL_FIELDS_REQUIRED");
+      throw new BadRequestError(
+        "ALL_FIELDS_REQUIRED",
+        "All fields (full_name, email, password) are required"
+      );
     }
 
     if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
-      throw new Error("INVALID_EMAIL_FORMAT");
+      throw new BadRequestError(
+        "INVALID_EMAIL_FORMAT",
+        "Email must be a valid format (e.g., user@example.com)"
+      );
     }
 
-    if (password.length < 8) {
-      throw new Error("PASSWORD_TOO_SHORT");
-    }
+    PasswordPolicyService.assertValid(password, { email, full_name });
   }
 
   /**
-   * Registers a new user.
+   * Registers a new user, grants them the default user role and emails them
+   * a verification link. The account starts out unverified.
    * @static
    * @async
    * @param {Object} userData - User registration data.
    * @param {string} userData.full_name - User's full name.
    * @param {string} userData.email - User's email address.
    * @param {string} userData.password - User's password.
+   * @param {Object} [client] - Information about the client registering, for the audit log.
+   * @param {string} [client.user_agent] - Client's user agent.
+   * @param {string} [client.ip_address] - Client's IP address.
    * @returns {Promise<Object>} Created user object (without password).
    * @throws {Error} Possible errors:
    * - EMAIL_EXISTS: If email is already registered
    * - Errors from validateRegistrationData
    */
-  static async registerUser(userData) {
+  static async registerUser(userData, client = {}) {
     await this.validateRegistrationData(userData);
 
     if (await User.emailExists(userData.email)) {
-      throw new Error("EMAIL_EXISTS");
+      throw new ConflictError(
+        "EMAIL_EXISTS",
+        "Email address is already registered"
+      );
     }
 
     const hashedPassword = await bcryptjs.hash(userData.password, saltRounds);
@@ -82,72 +127,715 @@ class AuthService {
       password: hashedPassword,
     });
 
+    await UserRole.grant({ user_id: user.id, role: ROLES.USER });
+    await AuditService.record({
+      action: AUDIT_ACTIONS.USER_REGISTER,
+      actor_user_id: user.id,
+      target_user_id: user.id,
+      client: client,
+    });
+
+    // The account exists either way; a failed email can be resent later
+    try {
+      await EmailVerificationService.sendVerification(user);
+    } catch (error) {
+      console.error("Failed to send verification email:", error);
+    }
+
     return user;
   }
 
   /**
    * Authenticates a user and generates JWT tokens.
+   * Attempts are throttled per account and per IP by LoginProtectionService.
+   * If the user has MFA enabled, no tokens are issued yet: a short-lived MFA
+   * token is returned instead, to be exchanged through verifyMfa.
+   * Completed and failed logins are recorded in the audit log; a correct
+   * password awaiting its MFA code is recorded once verifyMfa settles it.
    * @static
    * @async
    * @param {Object} credentials - User login credentials.
    * @param {string} credentials.email - User's email address.
    * @param {string} credentials.password - User's password.
-   * @returns {Promise<Object>} Object containing access and refresh tokens.
-   * @property {string} accessToken - JWT access token (expires in 15 minutes).
-   * @property {string} refreshToken - JWT refresh token (expires in 7 days).
+   * @param {string} [credentials.scope] - Space-delimited scopes to limit the tokens to.
+   * Defaults to every scope the user's roles allow.
+   * @param {Object} [client] - Information about the client logging in, stored with the session.
+   * @param {string} [client.user_agent] - Client's user agent.
+   * @param {string} [client.ip_address] - Client's IP address.
+   * @returns {Promise<Object>} Object containing either access and refresh tokens or an MFA token.
+   * @property {string} [accessToken] - JWT access token (expires after JWT_ACCESS_TOKEN_TTL).
+   * @property {string} [refreshToken] - JWT refresh token (expires after JWT_REFRESH_TOKEN_TTL).
+   * @property {string} [mfaToken] - MFA token (expires after MFA_PENDING_TOKEN_TTL), when MFA is enabled.
    * @throws {Error} Possible errors:
    * - ALL_FIELDS_REQUIRED: If email or password is missing
    * - INVALID_CREDENTIALS: If email/password combination is invalid
+   * - INVALID_SCOPE: If a requested scope is not allowed for the user's roles
+   * - ACCOUNT_DISABLED: If the account has been disabled by an administrator
+   * - EMAIL_NOT_VERIFIED: If EMAIL_VERIFICATION_REQUIRED is on and the email is unverified
+   * - Errors from LoginProtectionService.assertLoginAllowed (ACCOUNT_LOCKED, LOGIN_THROTTLED)
    */
-  static async loginUser({ email, password }) {
+  static async loginUser({ email, password, scope }, client = {}) {
     if (!email || email == "" || !password || password == "") {
-      throw new Error("ALL_FIELDS_REQUIRED");
+      throw new BadRequestError(
+        "ALL_FIELDS_REQUIRED",
+        "All fields (email, password) are required"
+      );
     }
 
-    const user = await User.userExistByEmail(email);
+    let user = null;
+    try {
+      const attempt = { email: email, ip_address: client.ip_address };
+      await LoginProtectionService.assertLoginAllowed(attempt);
+
+      user = await User.userExistByEmail(email);
+
+      if (!user) {
+        await LoginProtectionService.recordFailedLogin(attempt);
+        throw new UnauthorizedError(
+          "INVALID_CREDENTIALS",
+          "Invalid email or password"
+        );
+      }
+
+      const isMatch = await bcryptjs.compare(password, user.password);
+
+      if (!isMatch) {
+        await LoginProtectionService.recordFailedLogin(attempt);
+        throw new UnauthorizedError(
+          "INVALID_CREDENTIALS",
+          "Invalid email or password"
+        );
+      }
+
+      const mfaEnabled = await MfaService.isEnabled(user.id);
+
+      // With MFA on, failures keep counting until the code is verified, so a
+      // correct password cannot be used to reset the count between code guesses
+      if (!mfaEnabled) {
+        await LoginProtectionService.recordSuccessfulLogin(attempt);
+      }
+
+      // Checked after the password so the response does not reveal whether an address is registered
+      if (user.disabled_at) {
+        throw new ForbiddenError(
+          "ACCOUNT_DISABLED",
+          "Account has been disabled"
+        );
+      }
+
+      if (config.emailVerification.required && !user.email_verified_at) {
+        throw new ForbiddenError(
+          "EMAIL_NOT_VERIFIED",
+          "Email address must be verified before logging in"
+        );
+      }
+
+      const roles = await UserRole.findRolesByUserId(user.id);
+      const allowedScopes = scopesForRoles(roles);
+      const requestedScopes = parseScope(scope);
+
+      if (requestedScopes.some((s) => !allowedScopes.includes(s))) {
+        throw new BadRequestError(
+          "INVALID_SCOPE",
+          "One or more requested scopes are not allowed"
+        );
+      }
+
+      const scopes =
+        requestedScopes.length > 0 ? requestedScopes : allowedScopes;
+
+      if (mfaEnabled) {
+        return {
+          mfaToken: this.generateMfaToken({ user_id: user.id, scopes }),
+        };
+      }
+
+      const tokens = await this.startSession({
+        user_id: user.id,
+        roles: roles,
+        scopes: scopes,
+        client: client,
+      });
+      await AuditService.record({
+        action: AUDIT_ACTIONS.LOGIN,
+        actor_user_id: user.id,
+        target_user_id: user.id,
+        client: client,
+      });
+
+      return tokens;
+    } catch (error) {
+      await AuditService.record({
+        action: AUDIT_ACTIONS.LOGIN,
+        target_user_id: user?.id,
+        client: client,
+        details: { email: email },
+        error: error,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Completes a login for a user with MFA enabled by checking their code and
+   * issuing the access/refresh token pair. Wrong codes count as failed logins.
+   * Completed and failed logins are recorded in the audit log, once the MFA
+   * token has identified the user.
+   * @static
+   * @async
+   * @param {Object} mfaData - MFA step data.
+   * @param {string} mfaData.mfa_token - MFA token returned by loginUser.
+   * @param {string} mfaData.code - TOTP code from the authenticator app, or a recovery code.
+   * @param {Object} [client] - Information about the client logging in, stored with the session.
+   * @param {string} [client.user_agent] - Client's user agent.
+   * @param {string} [client.ip_address] - Client's IP address.
+   * @returns {Promise<Object>} Object containing access and refresh tokens.
+   * @property {string} accessToken - JWT access token (expires after JWT_ACCESS_TOKEN_TTL).
+   * @property {string} refreshToken - JWT refresh token (expires after JWT_REFRESH_TOKEN_TTL).
+   * @throws {Error} Possible errors:
+   * - MFA_FIELDS_REQUIRED: If the MFA token or code is missing
+   * - INVALID_MFA_TOKEN: If the MFA token is invalid or has expired
+   * - INVALID_MFA_CODE: If the code is wrong or was already used
+   * - ACCOUNT_DISABLED: If the account was disabled after the password step
+   * - Errors from LoginProtectionService.assertLoginAllowed (ACCOUNT_LOCKED, LOGIN_THROTTLED)
+   */
+  static async verifyMfa({ mfa_token, code }, client = {}) {
+    if (!mfa_token || !code) {
+      throw new BadRequestError(
+        "MFA_FIELDS_REQUIRED",
+        "Fields (mfa_token, code) are required"
+      );
+    }
+
+    let decoded;
+    try {
+      decoded = TokenService.verify(mfa_token);
+    } catch {
+      throw new UnauthorizedError(
+        "INVALID_MFA_TOKEN",
+        "MFA token is invalid or has expired; please log in again"
+      );
+    }
+
+    if (decoded.token_use !== "mfa") {
+      throw new UnauthorizedError(
+        "INVALID_MFA_TOKEN",
+        "MFA token is invalid or has expired; please log in again"
+      );
+    }
+
+    try {
+      const user = await User.fetchAccountByUserId(decoded.id);
+      if (!user) {
+        throw new UnauthorizedError(
+          "INVALID_MFA_TOKEN",
+          "MFA token is invalid or has expired; please log in again"
+        );
+      }
+
+      if (user.disabled_at) {
+        throw new ForbiddenError(
+          "ACCOUNT_DISABLED",
+          "Account has been disabled"
+        );
+      }
+
+      const attempt = { email: user.email, ip_address: client.ip_address };
+      await LoginProtectionService.assertLoginAllowed(attempt);
 
+      if (!(await MfaService.verifyCode({ user_id: user.id, code }))) {
+        await LoginProtectionService.recordFailedLogin(attempt);
+        throw new UnauthorizedError(
+          "INVALID_MFA_CODE",
+          "Authentication code is invalid"
+        );
+      }
+
+      await LoginProtectionService.recordSuccessfulLogin(attempt);
+
+      // Roles may have changed since the password step
+      const roles = await UserRole.findRolesByUserId(user.id);
+      const allowedScopes = scopesForRoles(roles);
+
+      const tokens = await this.startSession({
+        user_id: user.id,
+        roles: roles,
+        scopes: parseScope(decoded.scope).filter((s) =>
+          allowedScopes.includes(s)
+        ),
+        client: client,
+      });
+      await AuditService.record({
+        action: AUDIT_ACTIONS.LOGIN,
+        actor_user_id: user.id,
+        target_user_id: user.id,
+        client: client,
+        details: { mfa: true },
+      });
+
+      return tokens;
+    } catch (error) {
+      await AuditService.record({
+        action: AUDIT_ACTIONS.LOGIN,
+        target_user_id: decoded.id,
+        client: client,
+        details: { mfa: true },
+        error: error,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Turns MFA off for a logged-in user after re-checking their password or
+   * a current MFA code. Wrong passwords and codes count as failed logins.
+   * @static
+   * @async
+   * @param {Object} disableData - MFA disabling data.
+   * @param {number} disableData.user_id - ID of the authenticated user.
+   * @param {string} [disableData.password] - User's current password.
+   * @param {string} [disableData.code] - TOTP code or recovery code, if no password is given.
+   * @param {Object} [client] - Information about the client making the request.
+   * @param {string} [client.ip_address] - Client's IP address.
+   * @returns {Promise<void>}
+   * @throws {Error} Possible errors:
+   * - MFA_DISABLE_FIELDS_REQUIRED: If neither a password nor a code is given
+   * - USER_NOT_FOUND: If the user no longer exists
+   * - MFA_NOT_ENABLED: If the user does not have MFA on
+   * - INVALID_CURRENT_PASSWORD: If the password is wrong
+   * - INVALID_MFA_CODE: If the code is wrong or was already used
+   * - Errors from LoginProtectionService.assertLoginAllowed (ACCOUNT_LOCKED, LOGIN_THROTTLED)
+   */
+  static async disableMfa({ user_id, password, code }, client = {}) {
+    if (!password && !code) {
+      throw new BadRequestError(
+        "MFA_DISABLE_FIELDS_REQUIRED",
+        "Either field (password) or field (code) is required"
+      );
+    }
+
+    const user = await User.fetchCredentialsByUserId(user_id);
     if (!user) {
-      throw new Error("INVALID_CREDENTIALS");
+      throw new NotFoundError("USER_NOT_FOUND", "User not found");
     }
 
-    const isMatch = await bcryptjs.compare(password, user.password);
+    if (!(await MfaService.isEnabled(user.id))) {
+      throw new BadRequestError(
+        "MFA_NOT_ENABLED",
+        "Multi-factor authentication is not enabled"
+      );
+    }
+
+    const attempt = { email: user.email, ip_address: client.ip_address };
+    await LoginProtectionService.assertLoginAllowed(attempt);
 
-    if (!isMatch) {
-      throw new Error("INVALID_CREDENTIALS");
+    const isConfirmed = password
+      ? await bcryptjs.compare(String(password), user.password)
+      : await MfaService.verifyCode({ user_id: user.id, code: code });
+
+    if (!isConfirmed) {
+      await LoginProtectionService.recordFailedLogin(attempt);
+      throw password
+        ? new BadRequestError(
+            "INVALID_CURRENT_PASSWORD",
+            "Current password is incorrect"
+          )
+        : new BadRequestError(
+            "INVALID_MFA_CODE",
+            "Authentication code is invalid"
+          );
     }
 
-    const accessToken = jwt.sign({ id: user.id }, JWT_SECRET, {
-      expiresIn: "15m",
-    });
+    await LoginProtectionService.recordSuccessfulLogin(attempt);
+    await MfaService.disable(user.id);
+  }
 
-    const refreshToken = jwt.sign({ id: user.id }, JWT_SECRET, {
-      expiresIn: "7d",
+  /**
+   * Starts a new session: signs a token pair in a new token family and
+   * whitelists the refresh token.
+   * @static
+   * @async
+   * @param {Object} sessionData - Session data.
+   * @param {number} sessionData.user_id - ID of the user logging in.
+   * @param {Array<string>} sessionData.roles - Roles granted to the user.
+   * @param {Array<string>} sessionData.scopes - Scopes granted to the tokens.
+   * @param {Object} sessionData.client - Client information stored with the session.
+   * @returns {Promise<Object>} Object containing access and refresh tokens.
+   * @property {string} accessToken - JWT access token (expires after JWT_ACCESS_TOKEN_TTL).
+   * @property {string} refreshToken - JWT refresh token (expires after JWT_REFRESH_TOKEN_TTL).
+   */
+  static async startSession({ user_id, roles, scopes, client }) {
+    // Every login starts a new refresh token family
+    const family_id = crypto.randomUUID();
+    const { accessToken, refreshToken } = this.generateTokens({
+      user_id: user_id,
+      family_id: family_id,
+      roles: roles,
+      scopes: scopes,
     });
 
     await WhitelistService.insertRefreshToken({
-      user_id: user.id,
+      user_id: user_id,
       refresh_token: refreshToken,
-      expires_at: DatetimeUtil.expiryFromDays(7),
+      family_id: family_id,
+      expires_at: DatetimeUtil.expiryFromSeconds(config.jwt.refreshTokenTtl),
+      user_agent: client.user_agent,
+      ip_address: client.ip_address,
     });
 
     return { accessToken, refreshToken };
   }
 
+  /**
+   * Signs the MFA token handed out after a correct password when MFA is
+   * enabled. Its `token_use` claim of "mfa" keeps it from being accepted as
+   * an access or refresh token.
+   * @static
+   * @param {Object} tokenData - Data to embed in the token.
+   * @param {number} tokenData.user_id - ID of the user logging in.
+   * @param {Array<string>} tokenData.scopes - Scopes the final tokens will be granted.
+   * @returns {string} MFA token (expires after MFA_PENDING_TOKEN_TTL).
+   */
+  static generateMfaToken({ user_id, scopes }) {
+    return TokenService.sign(
+      { id: user_id, scope: scopes.join(" "), token_use: "mfa" },
+      { expiresIn: config.mfa.pendingTokenTtl }
+    );
+  }
+
+  /**
+   * Signs a new access/refresh token pair for a user.
+   * Both tokens carry the granted permissions as a space-delimited `scope`
+   * claim, and the access token also carries the user's `roles` claim and a
+   * `sid` claim identifying the session (token family). Both tokens carry a
+   * random `jti`: the access token's lets it be revoked individually (see
+   * TokenRevocationService), and the refresh token's keeps two tokens issued
+   * to the same user within the same second from colliding in the whitelist.
+   * The refresh token also carries a `fid` claim naming its token family.
+   * A `token_use` claim of "access" or "refresh" keeps either token from
+   * being accepted in place of the other, since both are signed with the same key.
+   * @static
+   * @param {Object} tokenData - Data to embed in the tokens.
+   * @param {number} tokenData.user_id - ID of the user the tokens are issued to.
+   * @param {string} tokenData.family_id - Token family the refresh token belongs to.
+   * @param {Array<string>} tokenData.roles - Roles granted to the user.
+   * @param {Array<string>} tokenData.scopes - Scopes granted to the tokens.
+   * @returns {Object} Object containing access and refresh tokens.
+   * @property {string} accessToken - JWT access token (expires after JWT_ACCESS_TOKEN_TTL).
+   * @property {string} refreshToken - JWT refresh token (expires after JWT_REFRESH_TOKEN_TTL).
+   */
+  static generateTokens({ user_id, family_id, roles, scopes }) {
+    const scope = scopes.join(" ");
+
+    const accessToken = TokenService.sign(
+      {
+        id: user_id,
+        sid: family_id,
+        roles: roles,
+        scope: scope,
+        token_use: "access",
+      },
+      { expiresIn: config.jwt.accessTokenTtl, jwtid: crypto.randomUUID() }
+    );
+
+    const refreshToken = TokenService.sign(
+      { id: user_id, fid: family_id, scope: scope, token_use: "refresh" },
+      {
+        expiresIn: config.jwt.refreshTokenTtl,
+        jwtid: crypto.randomUUID(),
+      }
+    );
+
+    return { accessToken, refreshToken };
+  }
+
+  /**
+   * Exchanges a valid refresh token for a new access/refresh token pair.
+   * The presented refresh token is rotated out of the whitelist and replaced
+   * by a newly issued one in the same token family. Roles are re-read so that
+   * grants and revocations take effect on the next refresh, and the refresh
+   * token's scopes are narrowed to what the current roles still allow.
+   * Refreshes and failed refreshes are recorded in the audit log; a failure
+   * with reason REFRESH_TOKEN_REUSED means the token family was revoked.
+   * @static
+   * @async
+   * @param {Object} tokenData - Token data for the refresh.
+   * @param {string} tokenData.refresh_token - Refresh token to exchange.
+   * @param {Object} [client] - Information about the client refreshing, for the audit log.
+   * @param {string} [client.user_agent] - Client's user agent.
+   * @param {string} [client.ip_address] - Client's IP address.
+   * @returns {Promise<Object>} Object containing the new access and refresh tokens.
+   * @property {string} accessToken - JWT access token (expires after JWT_ACCESS_TOKEN_TTL).
+   * @property {string} refreshToken - JWT refresh token (expires after JWT_REFRESH_TOKEN_TTL).
+   * @throws {Error} Possible errors:
+   * - REFRESH_TOKEN_REQUIRED: If the refresh token is missing
+   * - INVALID_REFRESH_TOKEN: If the token signature is invalid or it has expired
+   * - Errors from WhitelistService.rotateRefreshToken
+   */
+  static async refreshTokens({ refresh_token }, client = {}) {
+    if (!refresh_token || refresh_token === "") {
+      throw new BadRequestError(
+        "REFRESH_TOKEN_REQUIRED",
+        "Field (refresh_token) is required"
+      );
+    }
+
+    let decoded = null;
+    try {
+      try {
+        decoded = TokenService.verify(refresh_token);
+      } catch {
+        throw new UnauthorizedError(
+          "INVALID_REFRESH_TOKEN",
+          "Refresh token is invalid or has expired"
+        );
+      }
+
+      // Access and MFA tokens are signed with the same key but are not refresh tokens
+      if (decoded.token_use !== "refresh") {
+        throw new UnauthorizedError(
+          "INVALID_REFRESH_TOKEN",
+          "Refresh token is invalid or has expired"
+        );
+      }
+
+      const family_id = decoded.fid;
+      const roles = await UserRole.findRolesByUserId(decoded.id);
+      const allowedScopes = scopesForRoles(roles);
+      const scopes = parseScope(decoded.scope).filter((s) =>
+        allowedScopes.includes(s)
+      );
+
+      const { accessToken, refreshToken } = this.generateTokens({
+        user_id: decoded.id,
+        family_id: family_id,
+        roles: roles,
+        scopes: scopes,
+      });
+
+      await WhitelistService.rotateRefreshToken({
+        user_id: decoded.id,
+        family_id: family_id,
+        refresh_token: refresh_token,
+        new_refresh_token: refreshToken,
+        expires_at: DatetimeUtil.expiryFromSeconds(config.jwt.refreshTokenTtl),
+      });
+      await AuditService.record({
+        action: AUDIT_ACTIONS.TOKEN_REFRESH,
+        actor_user_id: decoded.id,
+        target_user_id: decoded.id,
+        client: client,
+        details: { session_id: family_id },
+      });
+
+      return { accessToken, refreshToken };
+    } catch (error) {
+      // Unverifiable tokens name no user; the entry still records the client
+      await AuditService.record({
+        action: AUDIT_ACTIONS.TOKEN_REFRESH,
+        target_user_id: decoded?.id,
+        client: client,
+        details: { session_id: decoded?.fid },
+        error: error,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Changes the password of a logged-in user after checking their current one.
+   * Every other session of the user is signed out; the session making the
+   * request stays signed in, but all access tokens issued so far are revoked,
+   * so its client must refresh before its next request. Wrong current
+   * passwords count as failed logins,
+   * so a stolen access token cannot be used to guess the password.
+   * Changes and wrong current passwords are recorded in the audit log.
+   * @static
+   * @async
+   * @param {Object} passwordData - Password change data.
+   * @param {number} passwordData.user_id - ID of the authenticated user.
+   * @param {string} passwordData.session_id - Session ID of the access token, which is kept.
+   * @param {string} passwordData.current_password - User's current password.
+   * @param {string} passwordData.new_password - New password.
+   * @param {Object} [client] - Information about the client making the request.
+   * @param {string} [client.user_agent] - Client's user agent.
+   * @param {string} [client.ip_address] - Client's IP address.
+   * @returns {Promise<number>} Number of other sessions signed out.
+   * @throws {Error} Possible errors:
+   * - CHANGE_PASSWORD_FIELDS_REQUIRED: If either password is missing
+   * - CURRENT_SESSION_UNKNOWN: If the access token does not identify its session
+   * - USER_NOT_FOUND: If the user no longer exists
+   * - WEAK_PASSWORD: If the new password violates the password policy
+   * - INVALID_CURRENT_PASSWORD: If the current password is wrong
+   * - Errors from LoginProtectionService.assertLoginAllowed (ACCOUNT_LOCKED, LOGIN_THROTTLED)
+   */
+  static async changePassword(
+    { user_id, session_id, current_password, new_password },
+    client = {}
+  ) {
+    if (
+      !current_password ||
+      typeof current_password !== "string" ||
+      !new_password ||
+      typeof new_password !== "string" ||
+      new_password.trim() === ""
+    ) {
+      throw new BadRequestError(
+        "CHANGE_PASSWORD_FIELDS_REQUIRED",
+        "Fields (current_password, new_password) are required"
+      );
+    }
+
+    // Checked up front so the password is never changed without revoking the other sessions
+    if (!session_id) {
+      throw new BadRequestError(
+        "CURRENT_SESSION_UNKNOWN",
+        "The current session could not be determined; please log in again"
+      );
+    }
+
+    const user = await User.fetchCredentialsByUserId(user_id);
+    if (!user) {
+      throw new NotFoundError("USER_NOT_FOUND", "User not found");
+    }
+
+    PasswordPolicyService.assertValid(new_password, user);
+
+    const attempt = { email: user.email, ip_address: client.ip_address };
+    await LoginProtectionService.assertLoginAllowed(attempt);
+
+    if (!(await bcryptjs.compare(current_password, user.password))) {
+      await LoginProtectionService.recordFailedLogin(attempt);
+      const error = new BadRequestError(
+        "INVALID_CURRENT_PASSWORD",
+        "Current password is incorrect"
+      );
+      await AuditService.record({
+        action: AUDIT_ACTIONS.PASSWORD_CHANGE,
+        actor_user_id: user.id,
+        target_user_id: user.id,
+        client: client,
+        error: error,
+      });
+      throw error;
+    }
+
+    await LoginProtectionService.recordSuccessfulLogin(attempt);
+
+    const hashedPassword = await bcryptjs.hash(new_password, saltRounds);
+    await User.updatePassword({ user_id: user.id, password: hashedPassword });
+    await TokenRevocationService.revokeAllForUser(user.id);
+
+    const revokedCount = await WhitelistService.revokeOtherSessions({
+      user_id: user.id,
+      current_session_id: session_id,
+    });
+    await AuditService.record({
+      action: AUDIT_ACTIONS.PASSWORD_CHANGE,
+      actor_user_id: user.id,
+      target_user_id: user.id,
+      client: client,
+      details: { revoked_sessions: revokedCount },
+    });
+
+    return revokedCount;
+  }
+
+  /**
+   * Sets a new password using a token from a password reset email.
+   * Every session of the user is signed out, and any login lockout on the
+   * account is lifted since the user has proven they own the address.
+   * @static
+   * @async
+   * @param {Object} resetData - Password reset data.
+   * @param {string} resetData.token - Token from the reset email.
+   * @param {string} resetData.password - New password.
+   * @param {Object} [client] - Information about the client making the request, for the audit log.
+   * @param {string} [client.user_agent] - Client's user agent.
+   * @param {string} [client.ip_address] - Client's IP address.
+   * @returns {Promise<void>}
+   * @throws {Error} Possible errors:
+   * - RESET_FIELDS_REQUIRED: If the token or password is missing
+   * - INVALID_RESET_TOKEN: If the token is unknown, already used or expired
+   * - WEAK_PASSWORD: If password violates the password policy; the token stays valid
+   */
+  static async resetPassword({ token, password }, client = {}) {
+    if (
+      !token ||
+      typeof token !== "string" ||
+      !password ||
+      typeof password !== "string" ||
+      password.trim() === ""
+    ) {
+      throw new BadRequestError(
+        "RESET_FIELDS_REQUIRED",
+        "Fields (token, password) are required"
+      );
+    }
+
+    const entry = await PasswordResetService.findResetToken(token);
+    const user = await User.fetchUserInformationByUserId(entry.user_id);
+    if (!user) {
+      throw new BadRequestError(
+        "INVALID_RESET_TOKEN",
+        "Reset token is invalid or has expired"
+      );
+    }
+
+    PasswordPolicyService.assertValid(password, user);
+
+    await PasswordResetService.consumeResetToken(entry);
+    const hashedPassword = await bcryptjs.hash(password, saltRounds);
+
+    await User.updatePassword({ user_id: user.id, password: hashedPassword });
+    await WhitelistService.revokeAllSessions(user.id);
+    await TokenRevocationService.revokeAllForUser(user.id);
+    await LoginProtectionService.unlockAccount(user.email);
+    await AuditService.record({
+      action: AUDIT_ACTIONS.PASSWORD_RESET,
+      actor_user_id: user.id,
+      target_user_id: user.id,
+      client: client,
+    });
+  }
+
   /**
    * Handles user logout by validating and preparing for token invalidation.
+   * If the client also presents its access token, that token is revoked so
+   * it stops working before it expires.
    * @static
    * @async
    * @param {Object} tokenData - Token data for logout.
    * @param {string} tokenData.refresh_token - Refresh token to invalidate.
-   * @param {number} tokenData.user_id - ID of the user logging out.
+   * @param {number} [tokenData.user_id] - ID of the user logging out. Taken from
+   * the refresh token if omitted, e.g. when it comes from a cookie.
+   * @param {string} [tokenData.access_token] - Access token to revoke. Ignored
+   * if it is invalid or belongs to another user.
+   * @param {Object} [client] - Information about the client logging out, for the audit log.
+   * @param {string} [client.user_agent] - Client's user agent.
+   * @param {string} [client.ip_address] - Client's IP address.
    * @returns {Promise<Object>} Object containing user ID and refresh token.
    * @throws {Error} Possible errors:
    * - LOGOUT_FIELDS_REQUIRED: If required fields are missing
    * - Error from checkRefreshTokenExistence if token validation fails
    */
-  static async logoutUser({ refresh_token, user_id }) {
+  static async logoutUser(
+    { refresh_token, user_id, access_token },
+    client = {}
+  ) {
+    if (refresh_token && !user_id) {
+      try {
+        user_id = TokenService.verify(refresh_token).id;
+      } catch {
+        // Reported as a missing field below
+      }
+    }
+
     if (refresh_token === "" || !refresh_token || user_id === "" || !user_id) {
-      throw new Error("LOGOUT_FIELDS_REQUIRED");
+      throw new BadRequestError(
+        "LOGOUT_FIELDS_REQUIRED",
+        "Logout fields (user_id, refresh_token) are required"
+      );
     }
 
     await WhitelistService.checkRefreshTokenExistence({
@@ -155,6 +843,26 @@ class AuthService {
       refresh_token: refresh_token,
     });
 
+    if (access_token) {
+      let decoded = null;
+      try {
+        decoded = TokenService.verify(access_token);
+      } catch {
+        // An unusable access token needs no revoking
+      }
+
+      if (decoded && String(decoded.id) === String(user_id)) {
+        await TokenRevocationService.revokeToken(decoded);
+      }
+    }
+
+    await AuditService.record({
+      action: AUDIT_ACTIONS.LOGOUT,
+      actor_user_id: user_id,
+      target_user_id: user_id,
+      client: client,
+    });
+
     return {
       user_id: user_id,
       refresh_token: refresh_token,
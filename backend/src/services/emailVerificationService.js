@@ -0,0 +1,136 @@
+/**
+ * @file Email verification service handling verification links sent to new
+ * accounts and to changed email addresses.
+ * @module services/emailVerificationService
+ * @requires crypto
+ * @requires ../models/User
+ * @requires ../models/EmailVerification
+ * @requires ./mailService
+ * @requires ../util/datetime.util
+ * @requires ../config/env.config
+ * @requires ../errors/AppError
+ */
+
+import crypto from "crypto";
+import User from "../models/User.js";
+import EmailVerification from "../models/EmailVerification.js";
+import MailService from "./mailService.js";
+import DatetimeUtil from "../util/datetime.util.js";
+import config from "../config/env.config.js";
+import { BadRequestError } from "../errors/AppError.js";
+
+/**
+ * Class containing business logic for verifying users' email addresses.
+ * Each verification email carries a single-use random token valid for
+ * EMAIL_VERIFICATION_TOKEN_TTL; sending a new one invalidates the previous.
+ */
+class EmailVerificationService {
+  /**
+   * Issues a new verification token to a user and emails them the link.
+   * @static
+   * @async
+   * @param {Object} user - User to verify.
+   * @param {number} user.id - User ID.
+   * @param {string} user.email - Address to verify.
+   * @param {string} user.full_name - User's full name.
+   * @returns {Promise<void>}
+   * @throws {Error} If the token cannot be stored or the email cannot be sent.
+   */
+  static async sendVerification({ id, email, full_name }) {
+    const token = crypto.randomBytes(32).toString("base64url");
+
+    await EmailVerification.deleteByUserId(id);
+    await EmailVerification.create({
+      user_id: id,
+      token: token,
+      expires_at: DatetimeUtil.expiryFromSeconds(
+        config.emailVerification.tokenTtl
+      ),
+      created_at: DatetimeUtil.now(),
+    });
+
+    const link = `${config.appBaseUrl}/api/auth/verify-email?token=${token}`;
+    await MailService.send({
+      to: email,
+      subject: "Verify your email address",
+      text:
+        `Hi ${full_name},\n\n` +
+        `Please confirm your email address by opening the link below:\n\n` +
+        `${link}\n\n` +
+        `If you did not request this, you can ignore this email.`,
+    });
+  }
+
+  /**
+   * Marks the email address a verification token was issued for as verified.
+   * The token and any other outstanding tokens of the user are consumed.
+   * @static
+   * @async
+   * @param {string} token - Token from the verification link.
+   * @returns {Promise<void>}
+   * @throws {Error} Possible errors:
+   * - VERIFICATION_TOKEN_REQUIRED: If the token is missing
+   * - INVALID_VERIFICATION_TOKEN: If the token is unknown, already used or expired
+   */
+  static async verifyEmail(token) {
+    if (!token || typeof token !== "string") {
+      throw new BadRequestError(
+        "VERIFICATION_TOKEN_REQUIRED",
+        "Field (token) is required"
+      );
+    }
+
+    const now = DatetimeUtil.now();
+    const entry = await EmailVerification.findValidByToken({
+      token: token,
+      now: now,
+    });
+
+    if (!entry) {
+      throw new BadRequestError(
+        "INVALID_VERIFICATION_TOKEN",
+        "Verification token is invalid or has expired"
+      );
+    }
+
+    await User.markEmailVerified({ user_id: entry.user_id, verified_at: now });
+    await EmailVerification.deleteByUserId(entry.user_id);
+  }
+
+  /**
+   * Sends a new verification email to an unverified account.
+   * Does nothing if the address is unknown, already verified or was sent an
+   * email within EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS, so callers can
+   * respond identically in every case without revealing registered addresses.
+   * @static
+   * @async
+   * @param {string} email - Address to send the verification email to.
+   * @returns {Promise<void>}
+   * @throws {Error} Possible errors:
+   * - EMAIL_REQUIRED: If the email is missing
+   */
+  static async resendVerification(email) {
+    if (!email || typeof email !== "string" || email.trim() === "") {
+      throw new BadRequestError("EMAIL_REQUIRED", "Field (email) is required");
+    }
+
+    const user = await User.userExistByEmail(email.trim());
+    if (!user || user.email_verified_at) {
+      return;
+    }
+
+    const recentlySent = await EmailVerification.existsCreatedSince({
+      user_id: user.id,
+      since: DatetimeUtil.daysAgo(
+        config.emailVerification.resendCooldownSeconds / 86400
+      ),
+    });
+    if (recentlySent) {
+      return;
+    }
+
+    await this.sendVerification(user);
+  }
+}
+
+export default EmailVerificationService;
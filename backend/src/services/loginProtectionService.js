@@ -0,0 +1,207 @@
+/**
+ * @file Login protection service guarding against password brute-forcing.
+ * @module services/loginProtectionService
+ * @requires ../models/LoginAttempt
+ * @requires ../util/datetime.util
+ * @requires ../config/env.config
+ * @requires ../errors/AppError
+ */
+
+import LoginAttempt from "../models/LoginAttempt.js";
+import DatetimeUtil from "../util/datetime.util.js";
+import config from "../config/env.config.js";
+import { LockedError, TooManyRequestsError } from "../errors/AppError.js";
+
+/**
+ * Class containing business logic for login throttling and account lockout.
+ *
+ * Failures are counted per account (by email, whether or not it exists, so
+ * responses do not reveal registered addresses) and per client IP. Each
+ * failed attempt on an account blocks it for an exponentially growing delay;
+ * once LOGIN_MAX_FAILURES is reached it is locked for LOGIN_LOCKOUT_MINUTES.
+ * An IP is only blocked, for the same lockout period, once it reaches
+ * LOGIN_IP_MAX_FAILURES, so users sharing an address are not slowed down by
+ * each other's typos.
+ */
+class LoginProtectionService {
+  /**
+   * Creates the error thrown when a login attempt is refused.
+   * @static
+   * @param {string} code - ACCOUNT_LOCKED or LOGIN_THROTTLED.
+   * @param {number} retryAfter - Seconds until the next attempt is allowed.
+   * @returns {LockedError|TooManyRequestsError} Error setting the Retry-After header.
+   */
+  static blockedError(code, retryAfter) {
+    const options = { headers: { "Retry-After": String(retryAfter) } };
+
+    if (code === "ACCOUNT_LOCKED") {
+      return new LockedError(
+        code,
+        "Account is temporarily locked due to too many failed login attempts",
+        options
+      );
+    }
+
+    return new TooManyRequestsError(
+      code,
+      "Too many attempts; please wait before retrying",
+      options
+    );
+  }
+
+  /**
+   * Builds the subjects failures are tracked for.
+   * @static
+   * @param {Object} client - Login attempt data.
+   * @param {string} client.email - Submitted email address.
+   * @param {string} [client.ip_address] - Client's IP address.
+   * @returns {Object} Account and IP subjects (the IP subject is null if unknown).
+   */
+  static subjectsFor({ email, ip_address }) {
+    return {
+      account: {
+        subject_type: "account",
+        subject_key: email.trim().toLowerCase(),
+      },
+      ip: ip_address ? { subject_type: "ip", subject_key: ip_address } : null,
+    };
+  }
+
+  /**
+   * Builds the time range within which failures are counted.
+   * @static
+   * @returns {Object} Current datetime and start of the failure window.
+   */
+  static timeWindow() {
+    return {
+      now: DatetimeUtil.now(),
+      window_start: DatetimeUtil.daysAgo(
+        config.loginProtection.failureWindowMinutes / 1440
+      ),
+    };
+  }
+
+  /**
+   * Refuses the login attempt if the account or IP is currently blocked.
+   * @static
+   * @async
+   * @param {Object} client - Login attempt data.
+   * @param {string} client.email - Submitted email address.
+   * @param {string} [client.ip_address] - Client's IP address.
+   * @throws {Error} Possible errors, each setting the Retry-After header:
+   * - ACCOUNT_LOCKED: If the account is locked out
+   * - LOGIN_THROTTLED: If the account is in a progressive delay or the IP is blocked
+   */
+  static async assertLoginAllowed(client) {
+    const { account, ip } = this.subjectsFor(client);
+    const window = this.timeWindow();
+
+    const accountStatus = await LoginAttempt.findStatus({
+      ...account,
+      ...window,
+    });
+
+    if (accountStatus.retry_after > 0) {
+      throw this.blockedError(
+        accountStatus.is_lockout ? "ACCOUNT_LOCKED" : "LOGIN_THROTTLED",
+        accountStatus.retry_after
+      );
+    }
+
+    if (ip) {
+      const ipStatus = await LoginAttempt.findStatus({ ...ip, ...window });
+      if (ipStatus.retry_after > 0) {
+        throw this.blockedError("LOGIN_THROTTLED", ipStatus.retry_after);
+      }
+    }
+  }
+
+  /**
+   * Records a failed login for the account and IP and applies any resulting block.
+   * @static
+   * @async
+   * @param {Object} client - Login attempt data.
+   * @param {string} client.email - Submitted email address.
+   * @param {string} [client.ip_address] - Client's IP address.
+   * @returns {Promise<void>}
+   */
+  static async recordFailedLogin(client) {
+    const { account, ip } = this.subjectsFor(client);
+    const window = this.timeWindow();
+    const { maxFailures, ipMaxFailures, lockoutMinutes, baseDelaySeconds } =
+      config.loginProtection;
+    const lockoutSeconds = lockoutMinutes * 60;
+
+    const accountFailures = await LoginAttempt.recordFailure({
+      ...account,
+      ...window,
+    });
+    const isAccountLockout = accountFailures >= maxFailures;
+    const delaySeconds = isAccountLockout
+      ? lockoutSeconds
+      : Math.min(baseDelaySeconds * 2 ** (accountFailures - 1), lockoutSeconds);
+
+    await LoginAttempt.block({
+      ...account,
+      blocked_until: DatetimeUtil.expiryFromSeconds(delaySeconds),
+      is_lockout: isAccountLockout,
+    });
+
+    if (ip) {
+      const ipFailures = await LoginAttempt.recordFailure({
+        ...ip,
+        ...window,
+      });
+
+      if (ipFailures >= ipMaxFailures) {
+        await LoginAttempt.block({
+          ...ip,
+          blocked_until: DatetimeUtil.expiryFromSeconds(lockoutSeconds),
+          is_lockout: true,
+        });
+      }
+    }
+  }
+
+  /**
+   * Clears the account's failure history after a successful login.
+   * The IP history is kept, so one valid account cannot reset an attacker's IP counter.
+   * @static
+   * @async
+   * @param {Object} client - Login attempt data.
+   * @param {string} client.email - Submitted email address.
+   * @returns {Promise<void>}
+   */
+  static async recordSuccessfulLogin({ email }) {
+    await LoginAttempt.delete(this.subjectsFor({ email }).account);
+  }
+
+  /**
+   * Checks whether an account is currently locked out. Progressive delays
+   * after a few failures do not count as a lockout.
+   * @static
+   * @async
+   * @param {string} email - Email address of the account.
+   * @returns {Promise<boolean>} True if the account is locked out.
+   */
+  static async isAccountLocked(email) {
+    const status = await LoginAttempt.findStatus({
+      ...this.subjectsFor({ email }).account,
+      ...this.timeWindow(),
+    });
+    return status.is_lockout;
+  }
+
+  /**
+   * Lifts any lockout or delay on an account.
+   * @static
+   * @async
+   * @param {string} email - Email address of the account.
+   * @returns {Promise<boolean>} True if the account had failure history, false otherwise.
+   */
+  static async unlockAccount(email) {
+    return LoginAttempt.delete(this.subjectsFor({ email }).account);
+  }
+}
+
+export default LoginProtectionService;
@@ -0,0 +1,72 @@
+/**
+ * @file Mail service for sending transactional email.
+ * @module services/mailService
+ * @requires ../mailers/consoleMailTransport
+ * @requires ../mailers/fileMailTransport
+ * @requires ../config/env.config
+ */
+
+import ConsoleMailTransport from "../mailers/consoleMailTransport.js";
+import FileMailTransport from "../mailers/fileMailTransport.js";
+import config from "../config/env.config.js";
+
+/**
+ * Transport messages are handed to, created on first use.
+ * @type {Object|null}
+ */
+let transport = null;
+
+/**
+ * Class containing methods for sending email through the configured transport.
+ * A transport is any object with an async `send({ from, to, subject, text })`
+ * method; MAIL_TRANSPORT selects a built-in one and setTransport replaces it,
+ * e.g. with an SMTP or HTTP API client.
+ */
+class MailService {
+  /**
+   * Returns the transport selected by MAIL_TRANSPORT ("console" or "file").
+   * @static
+   * @returns {Object} Mail transport.
+   */
+  static getTransport() {
+    if (!transport) {
+      transport =
+        config.mail.transport === "file"
+          ? new FileMailTransport(config.mail.filePath)
+          : new ConsoleMailTransport();
+    }
+    return transport;
+  }
+
+  /**
+   * Replaces the transport messages are handed to.
+   * @static
+   * @param {Object} customTransport - Object with an async `send(message)` method.
+   * @returns {void}
+   */
+  static setTransport(customTransport) {
+    transport = customTransport;
+  }
+
+  /**
+   * Sends a plain-text email from MAIL_FROM.
+   * @static
+   * @async
+   * @param {Object} message - Message to send.
+   * @param {string} message.to - Recipient address.
+   * @param {string} message.subject - Subject line.
+   * @param {string} message.text - Plain-text body.
+   * @returns {Promise<void>}
+   * @throws {Error} If the transport fails to deliver the message.
+   */
+  static async send({ to, subject, text }) {
+    await this.getTransport().send({
+      from: config.mail.from,
+      to: to,
+      subject: subject,
+      text: text,
+    });
+  }
+}
+
+export default MailService;
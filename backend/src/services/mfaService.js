@@ -0,0 +1,297 @@
+/**
+ * @file MFA service handling TOTP two-factor enrolment, verification and recovery codes.
+ * @module services/mfaService
+ * @requires crypto
+ * @requires ../models/User
+ * @requires ../models/UserMfa
+ * @requires ../models/MfaRecoveryCode
+ * @requires ../util/totp.util
+ * @requires ../util/datetime.util
+ * @requires ../config/env.config
+ * @requires ../errors/AppError
+ */
+
+import crypto from "crypto";
+import User from "../models/User.js";
+import UserMfa from "../models/UserMfa.js";
+import MfaRecoveryCode from "../models/MfaRecoveryCode.js";
+import TotpUtil from "../util/totp.util.js";
+import DatetimeUtil from "../util/datetime.util.js";
+import config from "../config/env.config.js";
+import {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+} from "../errors/AppError.js";
+
+/**
+ * Number of recovery codes issued when MFA is enabled.
+ * @constant {number}
+ */
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Class containing business logic for TOTP (RFC 6238) two-factor authentication.
+ *
+ * Enrolment is two-step: setup stores a new secret and returns it, and
+ * enable turns MFA on once the user proves their app generates valid codes.
+ * TOTP secrets must be readable to check codes, so they are stored encrypted
+ * (AES-256-GCM, key derived from MFA_ENCRYPTION_KEY); recovery codes only
+ * need comparing and are stored as keyed hashes.
+ */
+class MfaService {
+  /**
+   * Derives the key TOTP secrets are encrypted with.
+   * @static
+   * @returns {Buffer} 256-bit key.
+   */
+  static encryptionKey() {
+    return Buffer.from(
+      crypto.hkdfSync(
+        "sha256",
+        config.mfa.encryptionKey,
+        "",
+        "mfa-totp-secret",
+        32
+      )
+    );
+  }
+
+  /**
+   * Encrypts a TOTP secret for storage.
+   * @static
+   * @param {string} secret - Base32 encoded secret.
+   * @returns {string} IV, auth tag and ciphertext, base64url encoded and joined by ".".
+   */
+  static encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(
+      "aes-256-gcm",
+      this.encryptionKey(),
+      iv
+    );
+    const ciphertext = Buffer.concat([cipher.update(secret), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), ciphertext]
+      .map((part) => part.toString("base64url"))
+      .join(".");
+  }
+
+  /**
+   * Decrypts a stored TOTP secret.
+   * @static
+   * @param {string} stored - Value produced by encryptSecret.
+   * @returns {string} Base32 encoded secret.
+   * @throws {Error} If the value was tampered with or the key has changed.
+   */
+  static decryptSecret(stored) {
+    const [iv, tag, ciphertext] = stored
+      .split(".")
+      .map((part) => Buffer.from(part, "base64url"));
+    const decipher = crypto.createDecipheriv(
+      "aes-256-gcm",
+      this.encryptionKey(),
+      iv
+    );
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([
+      decipher.update(ciphertext),
+      decipher.final(),
+    ]).toString();
+  }
+
+  /**
+   * Generates a fresh set of recovery codes.
+   * @static
+   * @returns {Array<string>} Codes formatted as "xxxxx-xxxxx".
+   */
+  static generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const code = TotpUtil.base32Encode(crypto.randomBytes(7))
+        .slice(0, 10)
+        .toLowerCase();
+      return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+  }
+
+  /**
+   * Normalises a recovery code as typed by a user.
+   * @static
+   * @param {string} code - Recovery code.
+   * @returns {string} Lowercased code without spaces, with its dash restored.
+   */
+  static normalizeRecoveryCode(code) {
+    const compact = code.replace(/[\s-]/g, "").toLowerCase();
+    return `${compact.slice(0, 5)}-${compact.slice(5)}`;
+  }
+
+  /**
+   * Checks whether a user has MFA turned on.
+   * @static
+   * @async
+   * @param {number} user_id - User ID.
+   * @returns {Promise<boolean>} True if MFA is enabled.
+   */
+  static async isEnabled(user_id) {
+    const mfa = await UserMfa.findByUserId(user_id);
+    return Boolean(mfa?.enabled_at);
+  }
+
+  /**
+   * Starts enrolment by generating a new TOTP secret for a user.
+   * Any earlier unfinished enrolment is replaced.
+   * @static
+   * @async
+   * @param {number} user_id - ID of the user enrolling.
+   * @returns {Promise<Object>} Enrolment details for the authenticator app.
+   * @property {string} secret - Base32 secret, for manual entry.
+   * @property {string} otpauth_uri - otpauth:// URI, to be shown as a QR code.
+   * @throws {Error} Possible errors:
+   * - USER_NOT_FOUND: If the user no longer exists
+   * - MFA_ALREADY_ENABLED: If MFA is already on (disable it first to re-enrol)
+   */
+  static async setup(user_id) {
+    const user = await User.fetchUserInformationByUserId(user_id);
+    if (!user) {
+      throw new NotFoundError("USER_NOT_FOUND", "User not found");
+    }
+
+    if (await this.isEnabled(user_id)) {
+      throw new ConflictError(
+        "MFA_ALREADY_ENABLED",
+        "Multi-factor authentication is already enabled"
+      );
+    }
+
+    const secret = TotpUtil.generateSecret();
+    await UserMfa.upsertPending({
+      user_id: user_id,
+      secret_ciphertext: this.encryptSecret(secret),
+      created_at: DatetimeUtil.now(),
+    });
+
+    return {
+      secret: secret,
+      otpauth_uri: TotpUtil.buildUri({
+        secret: secret,
+        account: user.email,
+        issuer: config.mfa.issuer,
+      }),
+    };
+  }
+
+  /**
+   * Finishes enrolment: checks a code from the user's app, turns MFA on and
+   * issues recovery codes. The codes are only ever returned here.
+   * @static
+   * @async
+   * @param {Object} enableData - Enrolment confirmation data.
+   * @param {number} enableData.user_id - ID of the user enrolling.
+   * @param {string} enableData.code - Current code from the authenticator app.
+   * @returns {Promise<Array<string>>} Recovery codes.
+   * @throws {Error} Possible errors:
+   * - MFA_CODE_REQUIRED: If the code is missing
+   * - MFA_NOT_SET_UP: If setup has not been called
+   * - MFA_ALREADY_ENABLED: If MFA is already on
+   * - INVALID_MFA_CODE: If the code is wrong
+   */
+  static async enable({ user_id, code }) {
+    if (!code || typeof code !== "string") {
+      throw new BadRequestError(
+        "MFA_CODE_REQUIRED",
+        "Field (code) is required"
+      );
+    }
+
+    const mfa = await UserMfa.findByUserId(user_id);
+    if (!mfa) {
+      throw new BadRequestError(
+        "MFA_NOT_SET_UP",
+        "Multi-factor authentication setup has not been started"
+      );
+    }
+    if (mfa.enabled_at) {
+      throw new ConflictError(
+        "MFA_ALREADY_ENABLED",
+        "Multi-factor authentication is already enabled"
+      );
+    }
+
+    const step = TotpUtil.verify(
+      this.decryptSecret(mfa.secret_ciphertext),
+      code.trim()
+    );
+    if (step === null || !(await UserMfa.claimStep({ user_id, step }))) {
+      throw new BadRequestError(
+        "INVALID_MFA_CODE",
+        "Authentication code is invalid"
+      );
+    }
+
+    const now = DatetimeUtil.now();
+    const recoveryCodes = this.generateRecoveryCodes();
+
+    await MfaRecoveryCode.replaceAll({
+      user_id: user_id,
+      codes: recoveryCodes,
+      created_at: now,
+    });
+    if (!(await UserMfa.enable({ user_id: user_id, enabled_at: now }))) {
+      throw new ConflictError(
+        "MFA_ALREADY_ENABLED",
+        "Multi-factor authentication is already enabled"
+      );
+    }
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Checks a second-factor code for a user with MFA enabled.
+   * Six-digit codes are checked as TOTP codes (each accepted once), anything
+   * else as a recovery code (used up on success).
+   * @static
+   * @async
+   * @param {Object} codeData - Code data.
+   * @param {number} codeData.user_id - User ID.
+   * @param {string} codeData.code - TOTP code or recovery code.
+   * @returns {Promise<boolean>} True if the code was accepted.
+   */
+  static async verifyCode({ user_id, code }) {
+    const mfa = await UserMfa.findByUserId(user_id);
+    if (!mfa?.enabled_at || typeof code !== "string") {
+      return false;
+    }
+
+    const trimmed = code.trim();
+
+    if (/^\d{6}$/.test(trimmed)) {
+      const step = TotpUtil.verify(
+        this.decryptSecret(mfa.secret_ciphertext),
+        trimmed
+      );
+      return step !== null && (await UserMfa.claimStep({ user_id, step }));
+    }
+
+    return MfaRecoveryCode.consume({
+      user_id: user_id,
+      code: this.normalizeRecoveryCode(trimmed),
+    });
+  }
+
+  /**
+   * Turns MFA off and discards the secret and recovery codes.
+   * The caller is responsible for re-authenticating the user first.
+   * @static
+   * @async
+   * @param {number} user_id - User ID.
+   * @returns {Promise<void>}
+   */
+  static async disable(user_id) {
+    await MfaRecoveryCode.deleteByUserId(user_id);
+    await UserMfa.delete(user_id);
+  }
+}
+
+export default MfaService;
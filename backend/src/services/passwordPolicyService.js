@@ -0,0 +1,210 @@
+/**
+ * @file Password policy service checking new passwords against the configured rules.
+ * @module services/passwordPolicyService
+ * @requires fs
+ * @requires path
+ * @requires url
+ * @requires ../config/env.config
+ * @requires ../errors/AppError
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import config from "../config/env.config.js";
+import { BadRequestError } from "../errors/AppError.js";
+
+// ES Modules alternative for __dirname
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Bundled list of common and breached passwords.
+ * @constant {string}
+ */
+const COMMON_PASSWORDS_FILE = path.join(
+  __dirname,
+  "../data/common-passwords.txt"
+);
+
+/**
+ * Shortest email local part or name part that passwords may not contain.
+ * Shorter fragments (e.g. "jo") appear in too many unrelated passwords.
+ * @constant {number}
+ */
+const MIN_PERSONAL_FRAGMENT_LENGTH = 3;
+
+/**
+ * Lowercased common passwords. Populated on first use.
+ * @type {Set<string>|null}
+ */
+let commonPasswords = null;
+
+/**
+ * Class containing the password policy applied wherever a password is set
+ * (registration, password change and password reset).
+ *
+ * Every rule is evaluated so users can be told everything that needs fixing
+ * at once. Length and character-class rules come from the PASSWORD_* settings;
+ * passwords containing the user's email or name, or appearing on the bundled
+ * common/breached password list, are always rejected (the list can be turned
+ * off with PASSWORD_BLOCK_COMMON=false).
+ */
+class PasswordPolicyService {
+  /**
+   * Returns the common password list, loading it on first use.
+   * @static
+   * @returns {Set<string>} Lowercased common passwords.
+   */
+  static getCommonPasswords() {
+    if (!commonPasswords) {
+      commonPasswords = new Set(
+        fs
+          .readFileSync(COMMON_PASSWORDS_FILE, "utf8")
+          .split(/\r?\n/)
+          .map((line) => line.trim().toLowerCase())
+          .filter((line) => line !== "" && !line.startsWith("#"))
+      );
+    }
+    return commonPasswords;
+  }
+
+  /**
+   * Builds the personal fragments a password may not contain.
+   * @static
+   * @param {Object} user - Account the password is for.
+   * @param {string} [user.email] - User's email address.
+   * @param {string} [user.full_name] - User's full name.
+   * @returns {Array<string>} Lowercased fragments.
+   */
+  static personalFragments({ email, full_name }) {
+    const fragments = [];
+
+    if (typeof email === "string") {
+      fragments.push(email.trim().toLowerCase().split("@")[0]);
+    }
+
+    if (typeof full_name === "string") {
+      fragments.push(...full_name.trim().toLowerCase().split(/\s+/));
+    }
+
+    return fragments.filter(
+      (fragment) => fragment.length >= MIN_PERSONAL_FRAGMENT_LENGTH
+    );
+  }
+
+  /**
+   * Checks a password against every rule of the policy.
+   * @static
+   * @param {string} password - Password to check.
+   * @param {Object} [user={}] - Account the password is for.
+   * @param {string} [user.email] - User's email address.
+   * @param {string} [user.full_name] - User's full name.
+   * @returns {Array<Object>} Violated rules, empty if the password is acceptable.
+   * @property {string} rule - Machine-readable rule name (e.g. "min_length").
+   * @property {string} message - Explanation of what to fix.
+   */
+  static check(password, user = {}) {
+    const policy = config.passwordPolicy;
+    const violations = [];
+    // Count code points, so characters outside the BMP count once
+    const length = [...password].length;
+
+    if (password.trim() === "") {
+      violations.push({
+        rule: "not_blank",
+        message: "Password must not consist only of whitespace",
+      });
+    }
+
+    if (length < policy.minLength) {
+      violations.push({
+        rule: "min_length",
+        message: `Password must be at least ${policy.minLength} characters long`,
+      });
+    }
+
+    if (length > policy.maxLength) {
+      violations.push({
+        rule: "max_length",
+        message: `Password must be at most ${policy.maxLength} characters long`,
+      });
+    }
+
+    if (policy.requireLowercase && !/\p{Ll}/u.test(password)) {
+      violations.push({
+        rule: "lowercase",
+        message: "Password must contain a lowercase letter",
+      });
+    }
+
+    if (policy.requireUppercase && !/\p{Lu}/u.test(password)) {
+      violations.push({
+        rule: "uppercase",
+        message: "Password must contain an uppercase letter",
+      });
+    }
+
+    if (policy.requireDigit && !/\p{Nd}/u.test(password)) {
+      violations.push({
+        rule: "digit",
+        message: "Password must contain a digit",
+      });
+    }
+
+    if (policy.requireSymbol && !/[^\p{L}\p{Nd}]/u.test(password)) {
+      violations.push({
+        rule: "symbol",
+        message:
+          "Password must contain a symbol (a character that is not a letter or digit)",
+      });
+    }
+
+    const lowered = password.toLowerCase();
+
+    if (
+      this.personalFragments(user).some((fragment) =>
+        lowered.includes(fragment)
+      )
+    ) {
+      violations.push({
+        rule: "personal_info",
+        message: "Password must not contain your email address or name",
+      });
+    }
+
+    if (policy.blockCommon && this.getCommonPasswords().has(lowered)) {
+      violations.push({
+        rule: "common_password",
+        message:
+          "Password is too common or has appeared in a data breach; choose another",
+      });
+    }
+
+    return violations;
+  }
+
+  /**
+   * Throws if a password violates the policy.
+   * @static
+   * @param {string} password - Password to check.
+   * @param {Object} [user={}] - Account the password is for.
+   * @param {string} [user.email] - User's email address.
+   * @param {string} [user.full_name] - User's full name.
+   * @throws {BadRequestError} WEAK_PASSWORD, with the violated rules (see
+   * check) returned to the client as `violations`.
+   */
+  static assertValid(password, user = {}) {
+    const violations = this.check(password, user);
+
+    if (violations.length > 0) {
+      throw new BadRequestError(
+        "WEAK_PASSWORD",
+        "Password does not meet the password policy",
+        { data: { violations: violations } }
+      );
+    }
+  }
+}
+
+export default PasswordPolicyService;
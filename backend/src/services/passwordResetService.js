@@ -0,0 +1,127 @@
+/**
+ * @file Password reset service handling reset links for users who forgot their password.
+ * @module services/passwordResetService
+ * @requires crypto
+ * @requires ../models/User
+ * @requires ../models/PasswordReset
+ * @requires ./mailService
+ * @requires ../util/datetime.util
+ * @requires ../config/env.config
+ * @requires ../errors/AppError
+ */
+
+import crypto from "crypto";
+import User from "../models/User.js";
+import PasswordReset from "../models/PasswordReset.js";
+import MailService from "./mailService.js";
+import DatetimeUtil from "../util/datetime.util.js";
+import config from "../config/env.config.js";
+import { BadRequestError } from "../errors/AppError.js";
+
+/**
+ * Class containing business logic for password reset tokens.
+ * Each reset email carries a single-use random token valid for
+ * PASSWORD_RESET_TOKEN_TTL; requesting a new one invalidates the previous.
+ * Setting the new password itself is done by AuthService.resetPassword.
+ */
+class PasswordResetService {
+  /**
+   * Issues a password reset token and emails the reset link.
+   * Does nothing if no account uses the address, so callers can respond
+   * identically either way without revealing registered addresses.
+   * @static
+   * @async
+   * @param {string} email - Address of the account to reset.
+   * @returns {Promise<void>}
+   * @throws {Error} Possible errors:
+   * - EMAIL_REQUIRED: If the email is missing
+   */
+  static async requestPasswordReset(email) {
+    if (!email || typeof email !== "string" || email.trim() === "") {
+      throw new BadRequestError("EMAIL_REQUIRED", "Field (email) is required");
+    }
+
+    const user = await User.userExistByEmail(email.trim());
+    if (!user) {
+      return;
+    }
+
+    const token = crypto.randomBytes(32).toString("base64url");
+
+    await PasswordReset.deleteByUserId(user.id);
+    await PasswordReset.create({
+      user_id: user.id,
+      token: token,
+      expires_at: DatetimeUtil.expiryFromSeconds(config.passwordReset.tokenTtl),
+      created_at: DatetimeUtil.now(),
+    });
+
+    const minutes = Math.round(config.passwordReset.tokenTtl / 60);
+    await MailService.send({
+      to: user.email,
+      subject: "Reset your password",
+      text:
+        `Hi ${user.full_name},\n\n` +
+        `Someone asked to reset the password of your account. To choose a new ` +
+        `password, send the token below to POST /api/auth/reset-password ` +
+        `within ${minutes} minutes:\n\n` +
+        `${token}\n\n` +
+        `If you did not ask for this, you can ignore this email; your password ` +
+        `has not been changed.`,
+    });
+  }
+
+  /**
+   * Looks up a password reset token without consuming it, so the new password
+   * can be checked before the token is used up.
+   * @static
+   * @async
+   * @param {string} token - Token from the reset email.
+   * @returns {Promise<Object>} Token entry.
+   * @property {number} id - Token entry ID.
+   * @property {number} user_id - ID of the user whose password may be reset.
+   * @throws {Error} Possible errors:
+   * - INVALID_RESET_TOKEN: If the token is unknown, already used or expired
+   */
+  static async findResetToken(token) {
+    const entry = await PasswordReset.findValidByToken({
+      token: token,
+      now: DatetimeUtil.now(),
+    });
+
+    if (!entry) {
+      throw new BadRequestError(
+        "INVALID_RESET_TOKEN",
+        "Reset token is invalid or has expired"
+      );
+    }
+
+    return entry;
+  }
+
+  /**
+   * Consumes a password reset token, along with any other outstanding reset
+   * tokens of the same user.
+   * @static
+   * @async
+   * @param {Object} entry - Token entry returned by findResetToken.
+   * @param {number} entry.id - Token entry ID.
+   * @param {number} entry.user_id - ID of the user the token belongs to.
+   * @returns {Promise<void>}
+   * @throws {Error} Possible errors:
+   * - INVALID_RESET_TOKEN: If the token was used up since it was looked up
+   */
+  static async consumeResetToken({ id, user_id }) {
+    // Deleting the row is what claims it, so concurrent requests cannot both succeed
+    if (!(await PasswordReset.delete(id))) {
+      throw new BadRequestError(
+        "INVALID_RESET_TOKEN",
+        "Reset token is invalid or has expired"
+      );
+    }
+
+    await PasswordReset.deleteByUserId(user_id);
+  }
+}
+
+export default PasswordResetService;
@@ -0,0 +1,180 @@
+/**
+ * @file Token revocation service for invalidating access tokens before they expire.
+ * @module services/tokenRevocationService
+ * @requires ../models/AccessTokenRevocation
+ * @requires ../util/datetime.util
+ * @requires ../config/env.config
+ *
+ * Lookups are cached in process memory for TOKEN_REVOCATION_CACHE_TTL so
+ * authenticated requests rarely reach the database. Revocations made by this
+ * process update its cache immediately; those made by other instances apply
+ * here once the cached entry expires.
+ */
+
+import AccessTokenRevocation from "../models/AccessTokenRevocation.js";
+import DatetimeUtil from "../util/datetime.util.js";
+import config from "../config/env.config.js";
+
+/**
+ * How often expired cache entries are swept from memory, in milliseconds.
+ * @constant {number}
+ */
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Cached denylist lookups by token ID.
+ * @type {Map<string, {denied: boolean, expiresAt: number}>}
+ */
+const deniedTokens = new Map();
+
+/**
+ * Cached cutoffs by user ID. A null cutoff means the user has none.
+ * @type {Map<string, {issuedBefore: number|null, expiresAt: number}>}
+ */
+const userCutoffs = new Map();
+
+setInterval(() => {
+  const now = Date.now();
+  for (const cache of [deniedTokens, userCutoffs]) {
+    for (const [key, entry] of cache) {
+      if (entry.expiresAt <= now) cache.delete(key);
+    }
+  }
+}, PRUNE_INTERVAL_MS).unref();
+
+/**
+ * Returns the time until which a lookup made now may be cached.
+ * @returns {number} Expiry as a millisecond timestamp.
+ */
+const cacheExpiry = () => Date.now() + config.tokenRevocation.cacheTtl * 1000;
+
+/**
+ * Returns a cache entry if it has not expired yet.
+ * @param {Map<string, Object>} cache - Cache to read.
+ * @param {string} key - Entry key.
+ * @returns {Object|undefined} Cached entry.
+ */
+const readCache = (cache, key) => {
+  const entry = cache.get(key);
+  return entry && entry.expiresAt > Date.now() ? entry : undefined;
+};
+
+/**
+ * Class containing access token revocation methods.
+ */
+class TokenRevocationService {
+  /**
+   * Revokes a single access token by adding its `jti` to the denylist.
+   * Tokens issued without a `jti` cannot be revoked individually and are ignored.
+   * @static
+   * @async
+   * @param {Object} decoded - Verified access token payload.
+   * @param {string} [decoded.jti] - Token ID.
+   * @param {number} decoded.id - ID of the user the token was issued to.
+   * @param {number} decoded.exp - Token expiry as a Unix timestamp in seconds.
+   * @returns {Promise<void>}
+   */
+  static async revokeToken({ jti, id, exp }) {
+    if (!jti) return;
+
+    const secondsLeft = Math.max(exp - Math.floor(Date.now() / 1000), 0);
+
+    await AccessTokenRevocation.denyToken({
+      jti: jti,
+      user_id: id,
+      expires_at: DatetimeUtil.expiryFromSeconds(secondsLeft),
+      created_at: DatetimeUtil.now(),
+    });
+
+    deniedTokens.set(jti, { denied: true, expiresAt: cacheExpiry() });
+  }
+
+  /**
+   * Revokes every access token issued to a user up to now, including the
+   * one used for the current request. Tokens issued within the same second
+   * as the revocation stay valid, so the caller's client can refresh
+   * straight away.
+   * @static
+   * @async
+   * @param {number|string} user_id - User ID.
+   * @returns {Promise<void>}
+   */
+  static async revokeAllForUser(user_id) {
+    const issuedBefore = Math.floor(Date.now() / 1000);
+
+    await AccessTokenRevocation.setCutoff({
+      user_id: user_id,
+      issued_before: issuedBefore,
+      updated_at: DatetimeUtil.now(),
+    });
+
+    userCutoffs.set(String(user_id), {
+      issuedBefore: issuedBefore,
+      expiresAt: cacheExpiry(),
+    });
+  }
+
+  /**
+   * Checks whether an access token has been revoked, either individually or
+   * by its user's cutoff. The database is only queried when either answer is
+   * missing from the cache.
+   * @static
+   * @async
+   * @param {Object} decoded - Verified access token payload.
+   * @param {string} [decoded.jti] - Token ID; tokens without one only check the cutoff.
+   * @param {number} decoded.id - ID of the user the token was issued to.
+   * @param {number} decoded.iat - Issue time as a Unix timestamp in seconds.
+   * @returns {Promise<boolean>} True if the token must be rejected.
+   */
+  static async isRevoked({ jti, id, iat }) {
+    const userKey = String(id);
+    let tokenEntry = jti ? readCache(deniedTokens, jti) : { denied: false };
+    let cutoffEntry = readCache(userCutoffs, userKey);
+
+    if (!tokenEntry || !cutoffEntry) {
+      const state = await AccessTokenRevocation.findState({
+        jti: jti ?? null,
+        user_id: id,
+      });
+      const expiresAt = cacheExpiry();
+
+      tokenEntry = { denied: state.denied, expiresAt: expiresAt };
+      cutoffEntry = { issuedBefore: state.issued_before, expiresAt: expiresAt };
+
+      if (jti) deniedTokens.set(jti, tokenEntry);
+      userCutoffs.set(userKey, cutoffEntry);
+    }
+
+    return (
+      tokenEntry.denied ||
+      (cutoffEntry.issuedBefore !== null && iat < cutoffEntry.issuedBefore)
+    );
+  }
+
+  /**
+   * Purges denylist entries whose token has expired.
+   * Rows are deleted in batches so a large backlog never holds long locks.
+   * @static
+   * @async
+   * @param {Object} options - Purge options.
+   * @param {number} options.batch_size - Maximum number of rows deleted per query.
+   * @returns {Promise<number>} Total number of entries removed.
+   */
+  static async purgeExpiredEntries({ batch_size }) {
+    const now = DatetimeUtil.now();
+    let total = 0;
+    let deleted;
+
+    do {
+      deleted = await AccessTokenRevocation.deleteExpired({
+        now: now,
+        limit: batch_size,
+      });
+      total += deleted;
+    } while (deleted === batch_size);
+
+    return total;
+  }
+}
+
+export default TokenRevocationService;
@@ -0,0 +1,187 @@
+/**
+ * @file Token service for signing and verifying JWTs with the configured keyset.
+ * @module services/tokenService
+ * @requires jsonwebtoken
+ * @requires crypto
+ * @requires fs
+ * @requires path
+ * @requires ../config/env.config
+ *
+ * Two signing modes are supported:
+ * - Asymmetric (RS256/ES256): enabled by setting JWT_ACTIVE_KID. Keys are PEM
+ *   files named `<kid>.pem` in JWT_KEYS_DIR (default `backend/keys`). A file
+ *   may hold a private key (usable for signing and verification) or a public
+ *   key (verification only). Tokens carry the signing key's `kid` header.
+ * - Shared secret (HS256): used when JWT_ACTIVE_KID is not set, with
+ *   JWT_SECRET as the key.
+ *
+ * To rotate keys, add the new key file, point JWT_ACTIVE_KID at it and
+ * restart. Keep the previous key file (its public half is enough) until the
+ * longest-lived token it signed has expired, so those tokens keep verifying.
+ * Tokens without a `kid` header are always verified with JWT_SECRET, which
+ * lets HS256 tokens issued before switching to asymmetric keys run out.
+ */
+
+import jwt from "jsonwebtoken";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import config from "../config/env.config.js";
+
+/**
+ * Loaded keyset, keyed by kid. Populated on first use.
+ * @type {Map<string, Object>|null}
+ */
+let keyset = null;
+
+/**
+ * Class containing JWT signing and verification logic.
+ */
+class TokenService {
+  /**
+   * Determines the JWS algorithm to use with a public key.
+   * @static
+   * @param {crypto.KeyObject} publicKey - Public key.
+   * @returns {string} "RS256" for RSA keys, "ES256" for P-256 EC keys.
+   * @throws {Error} If the key type is not supported.
+   */
+  static algorithmFor(publicKey) {
+    const { asymmetricKeyType, asymmetricKeyDetails } = publicKey;
+
+    if (asymmetricKeyType === "rsa") {
+      return "RS256";
+    }
+
+    if (
+      asymmetricKeyType === "ec" &&
+      asymmetricKeyDetails.namedCurve === "prime256v1"
+    ) {
+      return "ES256";
+    }
+
+    throw new Error(`Unsupported key type: ${asymmetricKeyType}`);
+  }
+
+  /**
+   * Returns the keyset, loading it from JWT_KEYS_DIR on first use.
+   * @static
+   * @returns {Map<string, Object>} Keys by kid.
+   * @property {string} algorithm - JWS algorithm of the key.
+   * @property {crypto.KeyObject|null} privateKey - Private key, if present.
+   * @property {crypto.KeyObject} publicKey - Public key.
+   */
+  static getKeys() {
+    if (keyset) {
+      return keyset;
+    }
+
+    const keysDir = config.jwt.keysDir;
+    keyset = new Map();
+
+    if (!fs.existsSync(keysDir)) {
+      return keyset;
+    }
+
+    for (const file of fs.readdirSync(keysDir)) {
+      if (path.extname(file) !== ".pem") continue;
+
+      const kid = path.basename(file, ".pem");
+      const pem = fs.readFileSync(path.join(keysDir, file));
+
+      let privateKey = null;
+      let publicKey;
+      try {
+        privateKey = crypto.createPrivateKey(pem);
+        publicKey = crypto.createPublicKey(privateKey);
+      } catch {
+        // Not a private key: retired keys only need their public half
+        publicKey = crypto.createPublicKey(pem);
+      }
+
+      keyset.set(kid, {
+        algorithm: this.algorithmFor(publicKey),
+        privateKey,
+        publicKey,
+      });
+    }
+
+    return keyset;
+  }
+
+  /**
+   * Signs a JWT with the active key.
+   * @static
+   * @param {Object} payload - Token claims.
+   * @param {Object} options - jsonwebtoken sign options (e.g. expiresIn, jwtid).
+   * @returns {string} Signed JWT.
+   * @throws {Error} If JWT_ACTIVE_KID is set but no private key exists for it.
+   */
+  static sign(payload, options) {
+    const kid = config.jwt.activeKid;
+
+    if (!kid) {
+      return jwt.sign(payload, config.jwt.secret, {
+        ...options,
+        algorithm: "HS256",
+      });
+    }
+
+    const key = this.getKeys().get(kid);
+    if (!key?.privateKey) {
+      throw new Error(`No private key found for active kid "${kid}"`);
+    }
+
+    return jwt.sign(payload, key.privateKey, {
+      ...options,
+      algorithm: key.algorithm,
+      keyid: kid,
+    });
+  }
+
+  /**
+   * Verifies a JWT with the key named by its `kid` header, or with
+   * JWT_SECRET if it has none. Only the algorithm of the selected key is
+   * accepted.
+   * @static
+   * @param {string} token - JWT to verify.
+   * @returns {Object} Decoded token payload.
+   * @throws {jwt.JsonWebTokenError} If the token is malformed, its kid is unknown
+   * or its signature is invalid.
+   * @throws {jwt.TokenExpiredError} If the token has expired.
+   */
+  static verify(token) {
+    const decoded = jwt.decode(token, { complete: true });
+    const kid = decoded?.header?.kid;
+
+    if (kid === undefined) {
+      return jwt.verify(token, config.jwt.secret, {
+        algorithms: ["HS256"],
+      });
+    }
+
+    const key = this.getKeys().get(kid);
+    if (!key) {
+      throw new jwt.JsonWebTokenError("unknown key id");
+    }
+
+    return jwt.verify(token, key.publicKey, { algorithms: [key.algorithm] });
+  }
+
+  /**
+   * Builds the public JSON Web Key Set for every loaded key.
+   * @static
+   * @returns {Object} JWK Set ({ keys: [...] }) as defined in RFC 7517.
+   */
+  static getJwks() {
+    const keys = [...this.getKeys()].map(([kid, key]) => ({
+      ...key.publicKey.export({ format: "jwk" }),
+      kid: kid,
+      alg: key.algorithm,
+      use: "sig",
+    }));
+
+    return { keys };
+  }
+}
+
+export default TokenService;
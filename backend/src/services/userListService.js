@@ -0,0 +1,174 @@
+/**
+ * @file User list service for paging through, filtering and sorting users.
+ * @module services/userListService
+ * @requires ../models/User
+ * @requires ../errors/AppError
+ */
+
+import User from "../models/User.js";
+import { ValidationError } from "../errors/AppError.js";
+
+/**
+ * Builds a ValidationError for an invalid query value, in the same shape as
+ * the errors reported by the validate middleware.
+ * @param {string} field - Query field name.
+ * @param {string} problem - What is wrong with it.
+ * @returns {ValidationError} Error to throw.
+ */
+const queryError = (field, problem) =>
+  new ValidationError([
+    { location: "query", field: field, message: `${field} ${problem}` },
+  ]);
+
+/**
+ * Checks a cursor's sort value has the type of its sort field, so that a
+ * tampered cursor is rejected before it reaches the query.
+ * created_at values are formatted by User.findPage as YYYY-MM-DD HH:mm:ss.
+ * @type {Object<string, function(*): boolean>}
+ */
+const CURSOR_VALUE_CHECKS = {
+  id: (value) => Number.isSafeInteger(value),
+  email: (value) => typeof value === "string",
+  full_name: (value) => typeof value === "string",
+  created_at: (value) =>
+    typeof value === "string" &&
+    /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value),
+};
+
+/**
+ * Class containing the user listing logic.
+ *
+ * Two ways of paging are supported:
+ * - Cursor (the default): each page returns `next_cursor`, an opaque token
+ *   naming the last user returned, and the next page starts right after it.
+ *   Pages stay consistent while users are added or removed and stay fast
+ *   however deep the client pages.
+ * - Offset: `page` selects a page by number, for UIs that jump between
+ *   numbered pages. Deep pages get slower as the table grows.
+ */
+class UserListService {
+  /**
+   * Encodes the position after a user as a cursor.
+   * The sort field and direction are included so a cursor cannot be replayed
+   * against a different ordering.
+   * @static
+   * @param {Object} position - Cursor contents.
+   * @param {string} position.sort - Sort field.
+   * @param {string} position.order - Sort direction.
+   * @param {*} position.value - The user's value of the sort field.
+   * @param {number} position.id - The user's ID.
+   * @returns {string} Base64url-encoded cursor.
+   */
+  static encodeCursor({ sort, order, value, id }) {
+    return Buffer.from(
+      JSON.stringify({ s: sort, o: order, v: value, i: id })
+    ).toString("base64url");
+  }
+
+  /**
+   * Decodes a cursor produced by encodeCursor.
+   * @static
+   * @param {string} cursor - Cursor from the client.
+   * @param {Object} ordering - Ordering of the requested page.
+   * @param {string} ordering.sort - Sort field.
+   * @param {string} ordering.order - Sort direction.
+   * @returns {{value: *, id: number}} Position to continue after.
+   * @throws {ValidationError} If the cursor is malformed or was issued for
+   * another ordering.
+   */
+  static decodeCursor(cursor, { sort, order }) {
+    let position;
+    try {
+      position = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    } catch {
+      throw queryError("cursor", "is not a valid cursor");
+    }
+
+    if (!Number.isSafeInteger(position?.i)) {
+      throw queryError("cursor", "is not a valid cursor");
+    }
+
+    if (position.s !== sort || position.o !== order) {
+      throw queryError(
+        "cursor",
+        "was issued for a different sort; repeat the sort and order it was issued with"
+      );
+    }
+
+    if (!CURSOR_VALUE_CHECKS[sort]?.(position.v)) {
+      throw queryError("cursor", "is not a valid cursor");
+    }
+
+    return { value: position.v, id: position.i };
+  }
+
+  /**
+   * Fetches one page of users.
+   * @static
+   * @async
+   * @param {Object} query - Listing options, validated by the route schema.
+   * @param {number} query.limit - Page size.
+   * @param {string} [query.cursor] - Cursor of the previous page, for cursor paging.
+   * @param {number} [query.page] - Page number, for offset paging.
+   * @param {string} query.sort - Sort field: id, email, full_name or created_at.
+   * @param {string} query.order - Sort direction: "asc" or "desc".
+   * @param {string} [query.email] - Substring of the email address.
+   * @param {string} [query.name] - Substring of the full name.
+   * @param {string} [query.created_from] - Earliest creation date (YYYY-MM-DD), inclusive.
+   * @param {string} [query.created_to] - Latest creation date (YYYY-MM-DD), inclusive.
+   * @returns {Promise<Object>} The page.
+   * @property {Array<Object>} users - Users on the page.
+   * @property {number} total - Number of users matching the filters.
+   * @property {string|null} next_cursor - Cursor of the next page, null on the last page.
+   * @throws {ValidationError} Possible errors:
+   * - If both cursor and page are given
+   * - If the cursor is malformed or was issued for another ordering
+   * - If created_from is after created_to
+   */
+  static async listUsers(query) {
+    const { limit, cursor, page, sort, order } = query;
+    const filters = {
+      email: query.email,
+      name: query.name,
+      created_from: query.created_from,
+      created_to: query.created_to,
+    };
+
+    if (cursor && page) {
+      throw queryError("page", "cannot be combined with cursor");
+    }
+
+    // Dates are YYYY-MM-DD, so comparing the strings compares the dates
+    if (
+      filters.created_from &&
+      filters.created_to &&
+      filters.created_from > filters.created_to
+    ) {
+      throw queryError("created_to", "must not be before created_from");
+    }
+
+    // One extra row tells whether another page follows
+    const rows = await User.findPage({
+      filters: filters,
+      sort: sort,
+      order: order,
+      limit: limit + 1,
+      offset: page ? (page - 1) * limit : 0,
+      after: cursor ? this.decodeCursor(cursor, { sort, order }) : undefined,
+    });
+
+    const users = rows.slice(0, limit);
+    const last = users[users.length - 1];
+    const hasMore = rows.length > limit;
+
+    return {
+      users: users,
+      total: await User.countUsers(filters),
+      next_cursor: hasMore
+        ? this.encodeCursor({ sort, order, value: last[sort], id: last.id })
+        : null,
+    };
+  }
+}
+
+export default UserListService;
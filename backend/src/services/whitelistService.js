@@ -3,14 +3,26 @@
  * @module services/whitelistService
  * @requires ../models/Whitelist
  * @requires ../models/User
+ * @requires ../models/SecurityEvent
+ * @requires ../util/datetime.util
+ * @requires ../errors/AppError
  */
 
 import Whitelist from "../models/Whitelist.js";
 import User from "../models/User.js";
+import SecurityEvent from "../models/SecurityEvent.js";
+import DatetimeUtil from "../util/datetime.util.js";
+import {
+  BadRequestError,
+  NotFoundError,
+  UnauthorizedError,
+} from "../errors/AppError.js";
 
 /**
  * Class containing business logic for refresh token whitelisting operations.
- * Handles creation, validation, and deletion of refresh tokens.
+ * Handles creation, validation, rotation, reuse detection, session management,
+ * and deletion of refresh tokens. A session is a token family: it starts at
+ * login and survives rotation, so its ID is the family ID.
  */
 class WhitelistService {
   /**
@@ -20,19 +32,30 @@ class WhitelistService {
    * @param {Object} tokenData - Refresh token data to validate.
    * @param {number} tokenData.user_id - User ID associated with the token.
    * @param {string} tokenData.refresh_token - The refresh token string.
+   * @param {string} tokenData.family_id - Token family the refresh token belongs to.
    * @param {string|Date} tokenData.expires_at - Token expiration datetime.
-   * @throws {Error} ALL_FIELDS_REQUIRED if any field is missing or empty.
+   * @throws {BadRequestError} ALL_FIELDS_REQUIRED if any field is missing or empty.
    */
-  static async validateInsertionData({ user_id, refresh_token, expires_at }) {
+  static async validateInsertionData({
+    user_id,
+    refresh_token,
+    family_id,
+    expires_at,
+  }) {
     if (
       !user_id ||
       !refresh_token ||
+      !family_id ||
       !expires_at ||
       user_id === "" ||
       refresh_token === "" ||
+      family_id === "" ||
       expires_at === ""
     ) {
-      throw new Error("ALL_FIELDS_REQUIRED");
+      throw new BadRequestError(
+        "ALL_FIELDS_REQUIRED",
+        "Fields (user_id, refresh_token, family_id, expires_at) are required"
+      );
     }
   }
 
@@ -43,17 +66,24 @@ class WhitelistService {
    * @param {Object} data - Refresh token data to insert.
    * @param {number} data.user_id - User ID associated with the token.
    * @param {string} data.refresh_token - The refresh token string.
+   * @param {string} data.family_id - Token family the refresh token belongs to.
    * @param {string|Date} data.expires_at - Token expiration datetime.
+   * @param {string} [data.user_agent] - User agent of the client that logged in.
+   * @param {string} [data.ip_address] - IP address of the client that logged in.
+   * @param {string} [data.created_at] - Session start datetime (defaults to now).
    * @returns {Promise<Object>} The created whitelist entry.
    * @throws {Error} Possible errors:
-   * - ALL_FIELDS_REQUIRED: If validation fails
-   * - USER_ID_DOES_NOT_BELONG_TO_ANY_ACCOUNT: If user doesn't exist
+   * - ALL_FIELDS_REQUIRED (BadRequestError): If validation fails
+   * - USER_ID_DOES_NOT_BELONG_TO_ANY_ACCOUNT (NotFoundError): If user doesn't exist
    */
   static async insertRefreshToken(data) {
     await this.validateInsertionData(data);
 
     if (!(await User.userExistByUserId(data.user_id))) {
-      throw new Error("USER_ID_DOES_NOT_BELONG_TO_ANY_ACCOUNT");
+      throw new NotFoundError(
+        "USER_ID_DOES_NOT_BELONG_TO_ANY_ACCOUNT",
+        "User ID does not belong to any account"
+      );
     }
 
     const refreshTokenData = await Whitelist.create(data);
@@ -69,7 +99,7 @@ class WhitelistService {
    * @param {Object} tokenData - Refresh token data to validate.
    * @param {number} tokenData.user_id - User ID associated with the token.
    * @param {string} tokenData.refresh_token - The refresh token string to validate.
-   * @throws {Error} REFRESH_TOKEN_DOES_EXIST_FOR_THIS_USER if token doesn't exist.
+   * @throws {UnauthorizedError} REFRESH_TOKEN_DOES_EXIST_FOR_THIS_USER if token doesn't exist.
    */
   static async checkRefreshTokenExistence({ user_id, refresh_token }) {
     const isValid = await Whitelist.doesRefreshTokenExist({
@@ -78,7 +108,10 @@ class WhitelistService {
     });
 
     if (!isValid) {
-      throw new Error("REFRESH_TOKEN_DOES_EXIST_FOR_THIS_USER");
+      throw new UnauthorizedError(
+        "REFRESH_TOKEN_DOES_EXIST_FOR_THIS_USER",
+        "The refresh token does not exist in the whitelist for the given user"
+      );
     }
 
     await this.deleteRefreshToken({
@@ -87,6 +120,229 @@ class WhitelistService {
     });
   }
 
+  /**
+   * Rotates a refresh token: removes the presented token from the whitelist,
+   * stores its replacement in the same token family and stamps the
+   * replacement's last used time. The session's start time, user agent and
+   * IP address are carried over to the replacement.
+   * The old row is deleted first so that two concurrent refreshes with the
+   * same token cannot both succeed. A validly signed token that is no longer
+   * whitelisted while its family still is has already been rotated out, so
+   * presenting it again is treated as reuse and the whole family is revoked.
+   * If the family is gone altogether, the session was signed out, revoked or
+   * purged as idle, and the token is merely rejected.
+   * @static
+   * @async
+   * @param {Object} tokenData - Refresh token rotation data.
+   * @param {number} tokenData.user_id - User ID associated with the tokens.
+   * @param {string} tokenData.family_id - Token family the tokens belong to.
+   * @param {string} tokenData.refresh_token - The refresh token being rotated out.
+   * @param {string} tokenData.new_refresh_token - The refresh token replacing it.
+   * @param {string|Date} tokenData.expires_at - Expiration datetime of the new token.
+   * @returns {Promise<Object>} The created whitelist entry for the new token.
+   * @throws {Error} Possible errors:
+   * - REFRESH_TOKEN_REUSED: If the presented token was already rotated out
+   * - INVALID_REFRESH_TOKEN: If the token's session no longer exists
+   * - Errors from insertRefreshToken
+   */
+  static async rotateRefreshToken({
+    user_id,
+    family_id,
+    refresh_token,
+    new_refresh_token,
+    expires_at,
+  }) {
+    const session = await Whitelist.findByToken({
+      user_id: user_id,
+      refresh_token: refresh_token,
+    });
+
+    const isDeleted = await Whitelist.delete({
+      user_id: user_id,
+      refresh_token: refresh_token,
+    });
+
+    if (
+      !isDeleted &&
+      !(await Whitelist.doesFamilyExist({
+        user_id: user_id,
+        family_id: family_id,
+      }))
+    ) {
+      throw new UnauthorizedError(
+        "INVALID_REFRESH_TOKEN",
+        "Refresh token is invalid or has expired"
+      );
+    }
+
+    if (!isDeleted) {
+      await this.revokeTokenFamily({ user_id: user_id, family_id: family_id });
+      throw new UnauthorizedError(
+        "REFRESH_TOKEN_REUSED",
+        "Refresh token has already been used; all related sessions have been revoked"
+      );
+    }
+
+    const refreshTokenData = await this.insertRefreshToken({
+      user_id: user_id,
+      refresh_token: new_refresh_token,
+      family_id: family_id,
+      expires_at: expires_at,
+      user_agent: session.user_agent,
+      ip_address: session.ip_address,
+      created_at: session.created_at,
+    });
+
+    await Whitelist.updateLastUsed(new_refresh_token);
+
+    return refreshTokenData;
+  }
+
+  /**
+   * Lists a user's active sessions without exposing their refresh tokens.
+   * @static
+   * @async
+   * @param {Object} sessionData - Session lookup data.
+   * @param {number} sessionData.user_id - User ID to list sessions for.
+   * @param {string} [sessionData.current_session_id] - Session ID of the caller, flagged as current.
+   * @returns {Promise<Array<Object>>} Array of sessions.
+   * @property {string} id - Session ID.
+   * @property {boolean} current - Whether this is the caller's session.
+   * @property {string|null} user_agent - User agent captured at login.
+   * @property {string|null} ip_address - IP address captured at login.
+   * @property {string} created_at - Datetime the session started.
+   * @property {string|null} last_used_at - Datetime the session was last refreshed.
+   * @property {string} expires_at - Datetime the session expires unless refreshed.
+   */
+  static async listSessions({ user_id, current_session_id }) {
+    const rows = await Whitelist.findActiveByUserId(user_id);
+
+    return rows.map((row) => ({
+      id: row.family_id,
+      current: row.family_id === current_session_id,
+      user_agent: row.user_agent,
+      ip_address: row.ip_address,
+      created_at: row.created_at,
+      last_used_at: row.last_used_at,
+      expires_at: row.expires_at,
+    }));
+  }
+
+  /**
+   * Signs out a single session of a user by revoking its refresh tokens.
+   * Access tokens already issued to the session are not revoked and stay
+   * valid until they expire.
+   * @static
+   * @async
+   * @param {Object} sessionData - Session data.
+   * @param {number} sessionData.user_id - User ID owning the session.
+   * @param {string} sessionData.session_id - Session ID to revoke.
+   * @returns {Promise<void>}
+   * @throws {NotFoundError} SESSION_NOT_FOUND if the user has no such session.
+   */
+  static async revokeSession({ user_id, session_id }) {
+    const revokedCount = await Whitelist.deleteByFamily({
+      user_id: user_id,
+      family_id: session_id,
+    });
+
+    if (revokedCount === 0) {
+      throw new NotFoundError(
+        "SESSION_NOT_FOUND",
+        "No session exists with the given ID"
+      );
+    }
+  }
+
+  /**
+   * Signs out every session of a user except the current one by revoking
+   * their refresh tokens. Their access tokens stay valid until they expire.
+   * @static
+   * @async
+   * @param {Object} sessionData - Session data.
+   * @param {number} sessionData.user_id - User ID owning the sessions.
+   * @param {string} sessionData.current_session_id - Session ID to keep.
+   * @returns {Promise<number>} Number of refresh tokens revoked.
+   * @throws {BadRequestError} CURRENT_SESSION_UNKNOWN if the current session ID is missing.
+   */
+  static async revokeOtherSessions({ user_id, current_session_id }) {
+    if (!current_session_id) {
+      throw new BadRequestError(
+        "CURRENT_SESSION_UNKNOWN",
+        "The current session could not be determined; please log in again"
+      );
+    }
+
+    return Whitelist.deleteByUserExceptFamily({
+      user_id: user_id,
+      family_id: current_session_id,
+    });
+  }
+
+  /**
+   * Signs out every session of a user.
+   * @static
+   * @async
+   * @param {number} user_id - User ID owning the sessions.
+   * @returns {Promise<number>} Number of refresh tokens revoked.
+   */
+  static async revokeAllSessions(user_id) {
+    return Whitelist.deleteByUserId(user_id);
+  }
+
+  /**
+   * Revokes every refresh token in a token family and records a
+   * REFRESH_TOKEN_REUSE security event.
+   * @static
+   * @async
+   * @param {Object} familyData - Token family data.
+   * @param {number} familyData.user_id - User ID associated with the family.
+   * @param {string} familyData.family_id - Token family ID to revoke.
+   * @returns {Promise<number>} Number of refresh tokens revoked.
+   */
+  static async revokeTokenFamily({ user_id, family_id }) {
+    const revokedCount = await Whitelist.deleteByFamily({
+      user_id: user_id,
+      family_id: family_id,
+    });
+
+    await SecurityEvent.create({
+      user_id: user_id,
+      event_type: "REFRESH_TOKEN_REUSE",
+      details: { family_id: family_id, revoked_tokens: revokedCount },
+    });
+
+    return revokedCount;
+  }
+
+  /**
+   * Purges expired and idle refresh tokens from the whitelist.
+   * Rows are deleted in batches so a large backlog never holds long locks.
+   * @static
+   * @async
+   * @param {Object} options - Purge options.
+   * @param {number} options.batch_size - Maximum number of rows deleted per query.
+   * @param {number} options.idle_days - Days without use after which a token is purged.
+   * @returns {Promise<number>} Total number of refresh tokens removed.
+   */
+  static async purgeStaleRefreshTokens({ batch_size, idle_days }) {
+    const now = DatetimeUtil.now();
+    const idle_before = DatetimeUtil.daysAgo(idle_days);
+    let total = 0;
+    let deleted;
+
+    do {
+      deleted = await Whitelist.deleteStale({
+        now: now,
+        idle_before: idle_before,
+        limit: batch_size,
+      });
+      total += deleted;
+    } while (deleted === batch_size);
+
+    return total;
+  }
+
   /**
    * Deletes a refresh token from the whitelist.
    * @static
@@ -0,0 +1,66 @@
+/**
+ * @file In-memory rate limit counter store for single-instance deployments.
+ * @module stores/memoryRateLimitStore
+ */
+
+/**
+ * How often expired counters are swept from memory, in milliseconds.
+ * @constant {number}
+ */
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Class storing fixed-window rate limit counters in process memory.
+ * Counters are lost on restart and not shared between instances.
+ */
+class MemoryRateLimitStore {
+  constructor() {
+    /**
+     * Counters by key.
+     * @type {Map<string, {count: number, expiresAt: number}>}
+     */
+    this.counters = new Map();
+
+    setInterval(() => this.prune(), PRUNE_INTERVAL_MS).unref();
+  }
+
+  /**
+   * Counts a hit against a key, starting a new window if the previous one has ended.
+   * @async
+   * @param {string} key - Counter key.
+   * @param {number} windowSeconds - Window length in seconds.
+   * @returns {Promise<Object>} Counter state after the hit.
+   * @property {number} count - Hits in the current window.
+   * @property {number} resetSeconds - Seconds until the window ends.
+   */
+  async increment(key, windowSeconds) {
+    const now = Date.now();
+    let counter = this.counters.get(key);
+
+    if (!counter || counter.expiresAt <= now) {
+      counter = { count: 0, expiresAt: now + windowSeconds * 1000 };
+      this.counters.set(key, counter);
+    }
+
+    counter.count += 1;
+
+    return {
+      count: counter.count,
+      resetSeconds: Math.ceil((counter.expiresAt - now) / 1000),
+    };
+  }
+
+  /**
+   * Removes counters whose window has ended.
+   * @async
+   * @returns {Promise<void>}
+   */
+  async prune() {
+    const now = Date.now();
+    for (const [key, counter] of this.counters) {
+      if (counter.expiresAt <= now) this.counters.delete(key);
+    }
+  }
+}
+
+export default MemoryRateLimitStore;
@@ -0,0 +1,77 @@
+/**
+ * @file MySQL-backed rate limit counter store shared between server replicas.
+ * @module stores/mysqlRateLimitStore
+ * @requires ../config/db.config
+ * @requires ../util/datetime.util
+ */
+
+import pool from "../config/db.config.js";
+import DatetimeUtil from "../util/datetime.util.js";
+
+/**
+ * How often expired counters are deleted from the table, in milliseconds.
+ * @constant {number}
+ */
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * Class storing fixed-window rate limit counters in the `rate_limit` table,
+ * so every replica using the same database shares the same counters.
+ */
+class MysqlRateLimitStore {
+  constructor() {
+    setInterval(() => {
+      this.prune().catch((error) =>
+        console.error("Rate limit prune failed:", error)
+      );
+    }, PRUNE_INTERVAL_MS).unref();
+  }
+
+  /**
+   * Counts a hit against a key, starting a new window if the previous one has ended.
+   * The counter is reset and incremented in a single upsert, so concurrent
+   * hits from several replicas are all counted.
+   * @async
+   * @param {string} key - Counter key.
+   * @param {number} windowSeconds - Window length in seconds.
+   * @returns {Promise<Object>} Counter state after the hit.
+   * @property {number} count - Hits in the current window.
+   * @property {number} resetSeconds - Seconds until the window ends.
+   */
+  async increment(key, windowSeconds) {
+    const now = DatetimeUtil.now();
+
+    await pool.query(
+      `INSERT INTO rate_limit (bucket_key, hit_count, expires_at) 
+       VALUES (?, 1, ?) 
+       ON DUPLICATE KEY UPDATE 
+         hit_count = IF(expires_at <= ?, 1, hit_count + 1), 
+         expires_at = IF(expires_at <= ?, VALUES(expires_at), expires_at)`,
+      [key, DatetimeUtil.expiryFromSeconds(windowSeconds), now, now]
+    );
+
+    const [rows] = await pool.query(
+      `SELECT hit_count, GREATEST(TIMESTAMPDIFF(SECOND, ?, expires_at), 0) AS reset_seconds 
+       FROM rate_limit WHERE bucket_key = ? LIMIT 1`,
+      [now, key]
+    );
+
+    return {
+      count: rows[0].hit_count,
+      resetSeconds: rows[0].reset_seconds,
+    };
+  }
+
+  /**
+   * Deletes counters whose window has ended.
+   * @async
+   * @returns {Promise<void>}
+   */
+  async prune() {
+    await pool.query("DELETE FROM rate_limit WHERE expires_at <= ?", [
+      DatetimeUtil.now(),
+    ]);
+  }
+}
+
+export default MysqlRateLimitStore;
@@ -0,0 +1,92 @@
+import crypto from "crypto";
+import config from "../config/env.config.js";
+
+/**
+ * Cookie names used when tokens are delivered as cookies
+ * @constant {Object<string, string>}
+ */
+export const COOKIE_NAMES = Object.freeze({
+  ACCESS_TOKEN: "access_token",
+  REFRESH_TOKEN: "refresh_token",
+  CSRF_TOKEN: "csrf_token",
+});
+
+/**
+ * Paths the cookies are scoped to. The refresh token is only ever sent to the
+ * auth endpoints; the CSRF token must be readable by the whole browser app.
+ * @constant {Object<string, string>}
+ */
+const COOKIE_PATHS = Object.freeze({
+  ACCESS_TOKEN: "/api",
+  REFRESH_TOKEN: "/api/auth",
+  CSRF_TOKEN: "/",
+});
+
+class AuthCookieUtil {
+  /**
+   * Build the options shared by every auth cookie
+   * @param {string} path - Cookie path
+   * @param {number} maxAgeSeconds - Cookie lifetime in seconds
+   * @param {boolean} httpOnly - Whether scripts are kept from reading the cookie
+   * @returns {Object} Express cookie options
+   */
+  static options(path, maxAgeSeconds, httpOnly) {
+    return {
+      httpOnly: httpOnly,
+      secure: config.cookies.secure,
+      sameSite: config.cookies.sameSite,
+      domain: config.cookies.domain,
+      path: path,
+      maxAge: maxAgeSeconds * 1000,
+    };
+  }
+
+  /**
+   * Set the access and refresh tokens as HttpOnly cookies, along with a new
+   * CSRF token the browser app must echo in the X-CSRF-Token header
+   * @param {Object} res - Express response object
+   * @param {Object} tokens - Tokens to set
+   * @param {string} tokens.accessToken - JWT access token
+   * @param {string} tokens.refreshToken - JWT refresh token
+   * @returns {string} The CSRF token
+   */
+  static setTokens(res, { accessToken, refreshToken }) {
+    const csrfToken = crypto.randomBytes(32).toString("base64url");
+
+    res.cookie(
+      COOKIE_NAMES.ACCESS_TOKEN,
+      accessToken,
+      this.options(COOKIE_PATHS.ACCESS_TOKEN, config.jwt.accessTokenTtl, true)
+    );
+    res.cookie(
+      COOKIE_NAMES.REFRESH_TOKEN,
+      refreshToken,
+      this.options(COOKIE_PATHS.REFRESH_TOKEN, config.jwt.refreshTokenTtl, true)
+    );
+    res.cookie(
+      COOKIE_NAMES.CSRF_TOKEN,
+      csrfToken,
+      this.options(COOKIE_PATHS.CSRF_TOKEN, config.jwt.refreshTokenTtl, false)
+    );
+
+    return csrfToken;
+  }
+
+  /**
+   * Remove every auth cookie
+   * @param {Object} res - Express response object
+   * @returns {void}
+   */
+  static clearTokens(res) {
+    for (const [key, name] of Object.entries(COOKIE_NAMES)) {
+      const { maxAge, ...options } = this.options(
+        COOKIE_PATHS[key],
+        0,
+        name !== COOKIE_NAMES.CSRF_TOKEN
+      );
+      res.clearCookie(name, options);
+    }
+  }
+}
+
+export default AuthCookieUtil;
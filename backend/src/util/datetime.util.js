@@ -19,6 +19,24 @@ class DatetimeUtil {
     const expiryMs = Date.now() + days * 24 * 60 * 60 * 1000 + 8 * 3600 * 1000;
     return new Date(expiryMs).toISOString().replace("T", " ").slice(0, 19);
   }
+
+  /**
+   * Convert seconds to MySQL datetime expiry string (GMT+8)
+   * @param {number} seconds - Number of seconds until expiry
+   * @returns {string} MySQL formatted expiry datetime (YYYY-MM-DD HH:mm:ss)
+   */
+  static expiryFromSeconds(seconds) {
+    return this.expiryFromDays(seconds / 86400);
+  }
+
+  /**
+   * Convert days in the past to MySQL datetime string (GMT+8)
+   * @param {number} days - Number of days before now
+   * @returns {string} MySQL formatted datetime (YYYY-MM-DD HH:mm:ss)
+   */
+  static daysAgo(days) {
+    return this.expiryFromDays(-days);
+  }
 }
 
 export default DatetimeUtil;
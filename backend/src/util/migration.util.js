@@ -0,0 +1,81 @@
+class MigrationUtil {
+  /**
+   * Check whether a table exists in the current database
+   * @param {Object} connection - mysql2/promise connection
+   * @param {string} table - Table name
+   * @returns {Promise<boolean>} True if the table exists
+   */
+  static async tableExists(connection, table) {
+    const [rows] = await connection.query(
+      `SELECT 1 FROM information_schema.TABLES
+       WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?`,
+      [table]
+    );
+    return rows.length > 0;
+  }
+
+  /**
+   * Check whether a table has a column
+   * @param {Object} connection - mysql2/promise connection
+   * @param {string} table - Table name
+   * @param {string} column - Column name
+   * @returns {Promise<boolean>} True if the column exists
+   */
+  static async columnExists(connection, table, column) {
+    const [rows] = await connection.query(
+      `SELECT 1 FROM information_schema.COLUMNS
+       WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+      [table, column]
+    );
+    return rows.length > 0;
+  }
+
+  /**
+   * List the indexes of a table whose first column is the given column
+   * @param {Object} connection - mysql2/promise connection
+   * @param {string} table - Table name
+   * @param {string} column - Column name
+   * @returns {Promise<Array<string>>} Index names
+   */
+  static async indexesStartingWith(connection, table, column) {
+    const [rows] = await connection.query(
+      `SELECT INDEX_NAME AS name FROM information_schema.STATISTICS
+       WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?
+         AND SEQ_IN_INDEX = 1 AND COLUMN_NAME = ?`,
+      [table, column]
+    );
+    return rows.map((row) => row.name);
+  }
+
+  /**
+   * Give the unique index on a single column a known name, creating it if the
+   * column has none, so later migrations can refer to it by that name
+   * @param {Object} connection - mysql2/promise connection
+   * @param {string} table - Table name
+   * @param {string} column - Column the index covers
+   * @param {string} name - Name the index should have
+   * @returns {Promise<void>}
+   */
+  static async nameUniqueIndex(connection, table, column, name) {
+    const [rows] = await connection.query(
+      `SELECT INDEX_NAME AS name FROM information_schema.STATISTICS
+       WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?
+         AND NON_UNIQUE = 0 AND INDEX_NAME <> 'PRIMARY'
+       GROUP BY INDEX_NAME
+       HAVING COUNT(*) = 1 AND MAX(COLUMN_NAME) = ?`,
+      [table, column]
+    );
+
+    if (rows.length === 0) {
+      await connection.query(
+        `ALTER TABLE \`${table}\` ADD UNIQUE KEY \`${name}\` (\`${column}\`)`
+      );
+    } else if (rows[0].name !== name) {
+      await connection.query(
+        `ALTER TABLE \`${table}\` RENAME INDEX \`${rows[0].name}\` TO \`${name}\``
+      );
+    }
+  }
+}
+
+export default MigrationUtil;
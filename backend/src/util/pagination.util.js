@@ -0,0 +1,22 @@
+class PaginationUtil {
+  /**
+   * Build a link to the current route with some query values changed.
+   * Values that are undefined or null are left out
+   * @param {Object} req - Express request object, with a validated query
+   * @param {Object} changes - Query values to set or (with undefined) remove
+   * @returns {string} Relative URL
+   */
+  static linkWithQuery(req, changes) {
+    const params = new URLSearchParams();
+
+    for (const [key, value] of Object.entries({ ...req.query, ...changes })) {
+      if (value !== undefined && value !== null) {
+        params.set(key, String(value));
+      }
+    }
+
+    return `${req.originalUrl.split("?")[0]}?${params}`;
+  }
+}
+
+export default PaginationUtil;
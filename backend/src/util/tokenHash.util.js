@@ -0,0 +1,18 @@
+import crypto from "crypto";
+import config from "../config/env.config.js";
+
+class TokenHashUtil {
+  /**
+   * Compute the keyed hash under which a token is stored
+   * @param {string} token - Token to hash
+   * @returns {string} Hex encoded HMAC-SHA256 of the token, keyed with REFRESH_TOKEN_PEPPER
+   */
+  static hash(token) {
+    return crypto
+      .createHmac("sha256", config.refreshTokenPepper)
+      .update(token)
+      .digest("hex");
+  }
+}
+
+export default TokenHashUtil;